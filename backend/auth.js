@@ -0,0 +1,148 @@
+// Access control for the local proxy. Without it any website open in the
+// browser could POST to localhost and spend the API quota.
+//
+// - Requests from a browser must come from an allowed extension origin.
+// - Every /api request (except pairing) needs `Authorization: Bearer <token>`.
+//   Tokens are handed out by pairing: the server prints a one-time code on
+//   startup and the extension's options page trades it for a token. Only
+//   token hashes are stored. A fixed AUTH_TOKEN works too, e.g. for scripts.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+const MAX_PAIRING_ATTEMPTS = 5;
+
+function hash(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function sameSecret(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Short enough to type, from an alphabet without look-alike characters
+function newPairingCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    const bytes = crypto.randomBytes(8);
+    const code = [...bytes].map(byte => alphabet[byte % alphabet.length]).join('');
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+function logRejected(req, reason) {
+    console.warn(`Rejected ${req.method} ${req.originalUrl} from ${req.get('Origin') || req.ip}: ${reason}`);
+}
+
+/**
+ * @param {{file: string, token: string, origins: string[]}} [options] - see config.auth
+ */
+function createAuth({ file, token, origins } = config.auth) {
+    let tokens = null; // paired token records, loaded on first use
+    let pairingCode = newPairingCode();
+    let failedAttempts = 0;
+
+    async function load() {
+        if (tokens) return tokens;
+        try {
+            tokens = JSON.parse(await fs.readFile(file, 'utf8')).tokens || [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            tokens = [];
+        }
+        return tokens;
+    }
+
+    async function persist() {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tmp = `${file}.tmp`;
+        await fs.writeFile(tmp, JSON.stringify({ tokens }, null, 2), { mode: 0o600 });
+        await fs.rename(tmp, file);
+    }
+
+    function rotatePairingCode() {
+        pairingCode = newPairingCode();
+        failedAttempts = 0;
+        console.log(`Pairing code: ${pairingCode}`);
+    }
+
+    /**
+     * Extension pages only; no Origin header means a non-browser client
+     * (curl, scripts), which still needs a token.
+     */
+    function isAllowedOrigin(origin) {
+        if (!origin) return true;
+        if (origins.length) return origins.includes(origin);
+        return origin.startsWith('chrome-extension://');
+    }
+
+    /**
+     * The client a token belongs to, or null. The id (a hash prefix) is what
+     * rate limits and usage are tracked by.
+     */
+    async function findClient(candidate) {
+        if (!candidate) return null;
+        if (token && sameSecret(candidate, token)) return { id: 'auth-token', label: 'AUTH_TOKEN' };
+        const digest = hash(candidate);
+        const record = (await load()).find(entry => sameSecret(entry.hash, digest));
+        return record ? { id: record.hash.slice(0, 12), label: record.label } : null;
+    }
+
+    return {
+        get pairingCode() { return pairingCode; },
+
+        // Options for the cors middleware: only allowed origins get CORS headers
+        corsOptions: {
+            origin: (origin, callback) => callback(null, isAllowedOrigin(origin)),
+            allowedHeaders: ['Content-Type', 'Authorization'],
+        },
+
+        /**
+         * Turn away browser requests from other origins outright. CORS alone
+         * would still let "simple" requests (e.g. text/plain POSTs) through.
+         */
+        checkOrigin(req, res, next) {
+            const origin = req.get('Origin');
+            if (isAllowedOrigin(origin)) return next();
+            logRejected(req, 'origin not allowed');
+            res.status(403).json({ error: 'Origin not allowed' });
+        },
+
+        // Sets `req.client` for the routes behind it
+        async requireToken(req, res, next) {
+            const match = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '');
+            req.client = await findClient(match && match[1].trim());
+            if (req.client) return next();
+            logRejected(req, match ? 'invalid token' : 'missing token');
+            res.status(401).json({ error: 'Unauthorized: pair this client with the backend first' });
+        },
+
+        /**
+         * POST /api/pair {code, label?} -> {token}. The code is single-use and
+         * is replaced after too many wrong guesses.
+         */
+        async pair(req, res) {
+            const { code, label } = req.body || {};
+            const normalized = String(code || '').trim().toUpperCase().replace(/[^A-Z0-9]/g, '');
+            if (!normalized || !sameSecret(normalized, pairingCode.replace('-', ''))) {
+                failedAttempts++;
+                logRejected(req, `wrong pairing code (attempt ${failedAttempts})`);
+                if (failedAttempts >= MAX_PAIRING_ATTEMPTS) rotatePairingCode();
+                return res.status(403).json({ error: 'Wrong pairing code' });
+            }
+
+            const newToken = crypto.randomBytes(32).toString('base64url');
+            (await load()).push({
+                hash: hash(newToken),
+                label: String(label || req.get('Origin') || 'client').slice(0, 200),
+                createdAt: new Date().toISOString()
+            });
+            await persist();
+            rotatePairingCode();
+            res.status(201).json({ token: newToken });
+        },
+    };
+}
+
+module.exports = { createAuth };
@@ -0,0 +1,148 @@
+// Cache of finished page summaries, so summarizing the same page again (the
+// docs page re-opened a few times a day) replays the answer instead of
+// calling the model.
+//
+// An entry is keyed by the page's normalized URL, a hash of its extracted
+// content and of everything else that shapes the answer: the template and
+// instructions, the model and its settings. Entries live in one JSON file,
+// written like the session store; they expire after `ttlHours`, and past
+// `maxEntries` or `maxBytes` the least recently used go first.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+// Query parameters that only say where a visitor came from
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|ref|ref_src)$/i;
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * The URL as the cache sees it: no fragment, no tracking parameters, sorted
+ * query and no trailing slash, so links to the same page share entries.
+ * @param {string} url
+ */
+function normalizeUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (e) {
+        return String(url || '').trim();
+    }
+    parsed.hash = '';
+    for (const name of [...parsed.searchParams.keys()]) {
+        if (TRACKING_PARAM.test(name)) parsed.searchParams.delete(name);
+    }
+    parsed.searchParams.sort();
+    if (parsed.pathname.length > 1) parsed.pathname = parsed.pathname.replace(/\/+$/, '');
+    return parsed.href;
+}
+
+/**
+ * Cache key for one summary request.
+ * @param {{url?: string, content: string, prompt: object, model: object}} request -
+ *   `prompt` is whatever shapes the request (template, instructions, format),
+ *   `model` the model and its generation settings
+ */
+function summaryCacheKey({ url, content, prompt, model }) {
+    return sha256(JSON.stringify([normalizeUrl(url), sha256(content), prompt, model]));
+}
+
+/**
+ * @param {{file: string, ttlHours: number, maxEntries: number, maxBytes: number}} [options] -
+ *   see config.cache; a ttl of 0 turns the cache off
+ */
+function createSummaryCache({ file, ttlHours, maxEntries, maxBytes } = config.cache) {
+    const ttlMs = ttlHours * 60 * 60 * 1000;
+    let entries = null; // key -> entry, least recently used first
+    let loading = null;
+    let writing = Promise.resolve();
+
+    function load() {
+        if (entries) return Promise.resolve(entries);
+        loading = loading || fs.readFile(file, 'utf8')
+            .then(raw => JSON.parse(raw).entries || [])
+            .catch(err => {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            })
+            .then(list => {
+                entries = new Map(list.map(entry => [entry.key, entry]));
+                return entries;
+            })
+            .finally(() => { loading = null; });
+        return loading;
+    }
+
+    function isExpired(entry) {
+        return Date.now() - Date.parse(entry.createdAt) > ttlMs;
+    }
+
+    // Drop expired entries, then the least recently used until within limits
+    function prune() {
+        for (const [key, entry] of entries) {
+            if (isExpired(entry)) entries.delete(key);
+        }
+        let bytes = 0;
+        for (const entry of entries.values()) bytes += Buffer.byteLength(entry.text);
+        for (const [key, entry] of entries) {
+            if (entries.size <= maxEntries && bytes <= maxBytes) break;
+            entries.delete(key);
+            bytes -= Buffer.byteLength(entry.text);
+        }
+    }
+
+    function persist() {
+        const snapshot = JSON.stringify({ entries: [...entries.values()] });
+        const tmp = `${file}.tmp`;
+        writing = writing
+            .catch(() => {})
+            .then(async () => {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(tmp, snapshot);
+                await fs.rename(tmp, file);
+            });
+        return writing;
+    }
+
+    return {
+        get enabled() { return ttlMs > 0; },
+
+        /**
+         * The cached summary for `key`, or null.
+         * @returns {Promise<{key: string, url: string, text: string, finishReason: string|null, createdAt: string}|null>}
+         */
+        async get(key) {
+            if (!this.enabled) return null;
+            await load();
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (isExpired(entry)) {
+                entries.delete(key);
+                await persist();
+                return null;
+            }
+            // Most recently used last; the order is saved with the next write
+            entries.delete(key);
+            entries.set(key, entry);
+            return entry;
+        },
+
+        /**
+         * @param {string} key
+         * @param {{url?: string, text: string, finishReason?: string|null}} summary
+         */
+        async set(key, { url = '', text, finishReason = null }) {
+            if (!this.enabled) return;
+            await load();
+            entries.delete(key);
+            entries.set(key, { key, url: normalizeUrl(url), text, finishReason, createdAt: new Date().toISOString() });
+            prune();
+            await persist();
+        },
+    };
+}
+
+module.exports = { createSummaryCache, summaryCacheKey, normalizeUrl };
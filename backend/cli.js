@@ -0,0 +1,421 @@
+#!/usr/bin/env node
+// scrape-summarize: the extension's Summary button from the command line,
+// for cron jobs and pipelines.
+//
+// Each input is a URL or a local file. The CLI is a client of the running
+// backend, like the extension: it posts the page to /api/document (HTML is
+// read there by the extension's own extractor, PDFs and text files like the
+// popup's), then asks /api/summarize or, with --ask, /api/gemini. So rate
+// limits, quotas and the summary cache apply as they do for the extension.
+// It needs a token: pair once with --pair, or use the backend's AUTH_TOKEN.
+//
+//   scrape-summarize --pair 7KQM-X2PA
+//   scrape-summarize https://example.com/post
+//   scrape-summarize --template bullets --format json page.html
+//   scrape-summarize --ask "What does it cost?" https://example.com/pricing
+//   scrape-summarize --input urls.txt > summaries.md
+const fs = require('fs/promises');
+const path = require('path');
+const { parseArgs } = require('util');
+const { pathToFileURL, fileURLToPath } = require('url');
+const SummaryTemplates = require('../frontend/templates');
+
+const DEFAULT_BACKEND = 'http://127.0.0.1:3000';
+const FETCH_TIMEOUT_MS = 30000;
+const USER_AGENT = 'Mozilla/5.0 (compatible; scrape-summarize)';
+const FILE_TYPES = {
+    '.html': 'text/html',
+    '.htm': 'text/html',
+    '.xhtml': 'application/xhtml+xml',
+    '.pdf': 'application/pdf',
+    '.txt': 'text/plain',
+    '.md': 'text/markdown',
+    '.json': 'application/json',
+    '.xml': 'application/xml',
+};
+
+const USAGE = `Usage: scrape-summarize [options] <url or file>...
+       scrape-summarize --pair <code>
+
+Summarize web pages, local HTML files, PDFs and text files with the running
+backend (${DEFAULT_BACKEND} unless SCRAPE_SUMMARIZE_BACKEND or --backend
+says otherwise). Requests need a token in SCRAPE_SUMMARIZE_TOKEN: pair once
+with the code the backend prints, or use its AUTH_TOKEN.
+
+Options:
+  -t, --template <id|prompt>  kind of summary: ${SummaryTemplates.BUILT_IN.map(template => template.id).join(', ')},
+                              or a prompt of your own ({title}, {url} and {content} are filled in)
+  -a, --ask <question>        answer a question about each page instead of summarizing it
+  -f, --format <md|json>      markdown as it streams (default), or one JSON object per page and line
+  -i, --input <file>          read URLs and files from <file>, one per line ("-" for stdin)
+  -m, --model <model>         model to use instead of the backend's default
+  -l, --language <tag>        answer language as a BCP-47 tag, e.g. de or ja
+  -r, --refresh               summarize again instead of using a cached summary
+  -b, --backend <url>         the backend to use
+      --pair <code>           trade a pairing code for a token and print it
+  -h, --help                  show this help
+
+Exits with 1 if any page failed and 2 on bad arguments.`;
+
+// A bad command line: reported with the usage text and exit code 2
+function usageError(message) {
+    const error = new Error(message);
+    error.usage = true;
+    return error;
+}
+
+/**
+ * Read the command line.
+ * @param {string[]} argv
+ */
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                template: { type: 'string', short: 't' },
+                ask: { type: 'string', short: 'a' },
+                format: { type: 'string', short: 'f', default: 'md' },
+                input: { type: 'string', short: 'i' },
+                model: { type: 'string', short: 'm' },
+                language: { type: 'string', short: 'l' },
+                refresh: { type: 'boolean', short: 'r' },
+                backend: { type: 'string', short: 'b', default: process.env.SCRAPE_SUMMARIZE_BACKEND || DEFAULT_BACKEND },
+                pair: { type: 'string' },
+                help: { type: 'boolean', short: 'h' },
+            },
+        });
+    } catch (err) {
+        throw usageError(err.message);
+    }
+    const { values, positionals } = parsed;
+    if (!['md', 'json'].includes(values.format)) throw usageError('--format must be md or json');
+    if (values.ask !== undefined && values.template !== undefined) throw usageError('Use --ask or --template, not both');
+    if (values.ask !== undefined && !values.ask.trim()) throw usageError('--ask needs a question');
+    if (!URL.canParse(values.backend) || !/^https?:$/.test(new URL(values.backend).protocol)) {
+        throw usageError('--backend must be an http(s) URL');
+    }
+    return { options: values, inputs: positionals };
+}
+
+/**
+ * The summary template for `--template`, as /api/summarize takes it (the
+ * popup's built-in templates, see frontend/templates.js); null for the
+ * standard summary. The backend checks custom prompts.
+ * @returns {{name: string, prompt: string}|null}
+ */
+function resolveTemplate({ template }) {
+    if (template === undefined) return null;
+    const builtIn = SummaryTemplates.BUILT_IN.find(entry => entry.id === template);
+    if (builtIn) return SummaryTemplates.forRequest(builtIn);
+    if (/\s/.test(template.trim())) return { name: 'Custom', prompt: template };
+    throw usageError(`Unknown template "${template}". Use one of ${SummaryTemplates.BUILT_IN.map(entry => entry.id).join(', ')}, or a prompt`);
+}
+
+/**
+ * URLs and files from `--input`: one per line, blank lines and # comments skipped.
+ * @param {string} file - "-" for stdin
+ */
+async function readInputList(file) {
+    let text;
+    if (file === '-') {
+        const chunks = [];
+        for await (const chunk of process.stdin) chunks.push(chunk);
+        text = Buffer.concat(chunks).toString('utf8');
+    } else {
+        text = await fs.readFile(file, 'utf8');
+    }
+    return text.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+}
+
+/**
+ * Calls to the backend's API with the client's token.
+ * @param {string} baseUrl
+ * @param {string} [token]
+ */
+function createBackend(baseUrl, token) {
+    async function request(route, { body, type = 'application/json', signal } = {}) {
+        const headers = { ...(token && { Authorization: `Bearer ${token}` }) };
+        if (body !== undefined) headers['Content-Type'] = type;
+        let resp;
+        try {
+            resp = await fetch(new URL(route, baseUrl), {
+                method: body === undefined ? 'GET' : 'POST',
+                headers,
+                body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+                signal,
+            });
+        } catch (err) {
+            if (err.name === 'AbortError') throw new Error('Cancelled');
+            throw new Error(`Could not reach the backend at ${baseUrl}: ${err.cause?.message || err.message}`);
+        }
+        if (resp.ok) return resp;
+
+        let text = await resp.text().catch(() => '');
+        try { text = JSON.parse(text).error || text; } catch (e) { /* not JSON */ }
+        const error = resp.status === 401
+            ? new Error('The backend did not accept the token. Pair with --pair <code> and set SCRAPE_SUMMARIZE_TOKEN, or use its AUTH_TOKEN.')
+            : new Error(`Server error ${resp.status}: ${text}`);
+        error.status = resp.status;
+        throw error;
+    }
+
+    return {
+        async json(route, options) {
+            return (await request(route, options)).json();
+        },
+
+        /**
+         * POST `body` and hand each NDJSON event of the reply to `onEvent`
+         * (see events.js). An `error` event rejects once the stream ends.
+         */
+        async stream(route, body, onEvent, signal) {
+            const resp = await request(route, { body, signal });
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let failure = null;
+            const emitLine = (line) => {
+                if (!line.trim()) return;
+                const event = JSON.parse(line);
+                if (event.type === 'error') failure = failure || new Error(event.message);
+                else onEvent(event);
+            };
+            try {
+                for await (const chunk of resp.body) {
+                    buffer += decoder.decode(chunk, { stream: true });
+                    const lines = buffer.split('\n');
+                    buffer = lines.pop();
+                    lines.forEach(emitLine);
+                }
+            } catch (err) {
+                if (signal.aborted) throw new Error('Cancelled');
+                throw err;
+            }
+            emitLine(buffer + decoder.decode());
+            if (failure) throw failure;
+        },
+    };
+}
+
+/**
+ * The bytes of a URL or file, with its type and the URL the page is known by.
+ * @param {string} input
+ * @returns {Promise<{bytes: Buffer, type: string, url: string}>}
+ */
+async function load(input) {
+    if (/^https?:\/\//i.test(input)) {
+        let resp;
+        try {
+            resp = await fetch(input, {
+                headers: { 'User-Agent': USER_AGENT, Accept: 'text/html,application/xhtml+xml,application/pdf;q=0.9,text/*;q=0.8,*/*;q=0.5' },
+                signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+            });
+        } catch (err) {
+            // fetch() only says "fetch failed"; the cause names the problem
+            throw new Error(`Could not fetch the page: ${err.cause?.message || err.message}`);
+        }
+        if (!resp.ok) throw new Error(`HTTP ${resp.status} ${resp.statusText}`.trim());
+        return { bytes: Buffer.from(await resp.arrayBuffer()), type: resp.headers.get('content-type') || '', url: resp.url || input };
+    }
+    const file = /^file:/i.test(input) ? fileURLToPath(input) : path.resolve(input);
+    const bytes = await fs.readFile(file);
+    return { bytes, type: FILE_TYPES[path.extname(file).toLowerCase()] || '', url: pathToFileURL(file).href };
+}
+
+/**
+ * A URL or file as the page fields /api/summarize takes, read by the
+ * backend's /api/document.
+ * @param {string} input
+ * @param {ReturnType<typeof createBackend>} backend
+ * @returns {Promise<{content: string, title: string, url: string, byline: string, publishedDate: string, format?: 'pdf'}>}
+ */
+async function readPage(input, backend) {
+    const { bytes, type, url } = await load(input);
+
+    // Untyped files that look like markup are read as HTML
+    const looksLikeHtml = !type && /^\s*</.test(bytes.subarray(0, 512).toString('utf8'));
+    const query = new URLSearchParams({ type: looksLikeHtml ? 'text/html' : type, url });
+    const document = await backend.json(`/api/document?${query}`, { body: bytes, type: 'application/octet-stream' });
+    return {
+        content: document.content,
+        title: document.title || (document.format === 'html' ? url : path.basename(new URL(url).pathname)),
+        url: document.url || url,
+        byline: document.byline || '',
+        publishedDate: document.publishedDate || '',
+        ...(document.format === 'pdf' && { format: 'pdf' }),
+    };
+}
+
+const PROGRESS_LABELS = {
+    map: 'Reading chunk',
+    condense: 'Condensing notes',
+    reduce: 'Writing summary',
+};
+
+/**
+ * The /api/gemini request for a question about `page`. The page goes along as
+ * the conversation's page turn (`meta.kind: 'summary'`, like the popup's
+ * summarized page), so backend/context.js keeps it and fits it to the model's
+ * context budget, and a PDF's answer cites its pages.
+ * @param {{content: string, title: string, url: string, byline: string, publishedDate: string, format?: 'pdf'}} page
+ * @param {string} question
+ */
+function questionRequest(page, question) {
+    const details = [
+        page.title && `Title: ${page.title}`,
+        page.byline && `Author: ${page.byline}`,
+        page.publishedDate && `Published: ${page.publishedDate}`,
+        `URL: ${page.url}`,
+    ].filter(Boolean).join('\n');
+    const pageTurn = {
+        role: 'user',
+        parts: [{ text: `Read this page:\n\n${details}\n\n${page.content}` }],
+        meta: { kind: 'summary', title: page.title, url: page.url, ...(page.format === 'pdf' && { format: 'pdf' }) },
+    };
+    return { prompt: question, conversationHistory: [pageTurn] };
+}
+
+/**
+ * Summarize one input, streaming markdown to stdout or printing a JSON line.
+ * @returns {Promise<boolean>} whether it worked
+ */
+async function run(input, { backend, settings, model, template, options, showHeader, signal }) {
+    const out = process.stdout;
+    const showProgress = process.stderr.isTTY;
+    let started = false;
+    const clearProgress = () => {
+        if (showProgress) process.stderr.write('\r\x1b[K');
+    };
+
+    let page = null;
+    try {
+        page = await readPage(input, backend);
+        if (options.format === 'md' && showHeader) out.write(`# ${page.title}\n\n<${page.url}>\n\n`);
+
+        // Same requests as the popup's Summary button and its questions about a page
+        const [route, body] = options.ask !== undefined
+            ? ['/api/gemini', { ...questionRequest(page, options.ask.trim()), settings }]
+            : ['/api/summarize', { ...page, ...(template && { template }), ...(options.refresh && { refresh: true }), settings }];
+
+        let text = '';
+        let usage = null;
+        let finishReason = null;
+        let cachedAt = null;
+        await backend.stream(route, body, (event) => {
+            if (event.type === 'delta') {
+                if (!started) clearProgress();
+                started = true;
+                text += event.text;
+                if (options.format === 'md') out.write(event.text);
+            } else if (event.type === 'progress') {
+                const { stage, completed, total } = event;
+                if (showProgress && !started) process.stderr.write(`\r\x1b[K${PROGRESS_LABELS[stage] || stage} ${completed}/${total}...`);
+            } else if (event.type === 'usage') {
+                const { type, ...counts } = event;
+                usage = counts;
+            } else if (event.type === 'finish_reason') {
+                finishReason = event.reason;
+            } else if (event.type === 'cache') {
+                cachedAt = event.createdAt;
+            }
+        }, signal);
+        clearProgress();
+
+        if (options.format === 'md') {
+            out.write(text.endsWith('\n') ? '\n' : '\n\n');
+        } else {
+            out.write(`${JSON.stringify({
+                input,
+                url: page.url,
+                title: page.title,
+                byline: page.byline,
+                publishedDate: page.publishedDate,
+                ...(page.format && { format: page.format }),
+                ...(template && { template: template.name }),
+                ...(options.ask !== undefined && { question: options.ask.trim() }),
+                model,
+                answer: text.trim(),
+                finishReason,
+                usage,
+                ...(cachedAt && { cachedAt }),
+            })}\n`);
+        }
+        if (finishReason && !/^stop$/i.test(finishReason)) {
+            console.error(`${input}: the answer stopped early (${finishReason})`);
+        }
+        return true;
+    } catch (err) {
+        clearProgress();
+        console.error(`${input}: ${err.message}`);
+        if (options.format === 'json') {
+            out.write(`${JSON.stringify({ input, ...(page && { url: page.url, title: page.title }), error: err.message })}\n`);
+        } else if (started) {
+            out.write('\n\n');
+        }
+        return false;
+    }
+}
+
+// Trade a pairing code for a token; the token goes to stdout so it can be captured
+async function pair(backend, code) {
+    const { token } = await backend.json('/api/pair', { body: { code, label: 'scrape-summarize' } });
+    console.log(token);
+    console.error('Paired. Set SCRAPE_SUMMARIZE_TOKEN to this token to use it.');
+    return 0;
+}
+
+async function main(argv) {
+    const { options, inputs } = parseCommandLine(argv);
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (options.pair !== undefined) return pair(createBackend(options.backend), options.pair);
+    if (options.input) inputs.push(...await readInputList(options.input));
+    if (!inputs.length) throw usageError('Give at least one URL or file, or --input');
+    const template = resolveTemplate(options);
+
+    const token = process.env.SCRAPE_SUMMARIZE_TOKEN;
+    if (!token) throw usageError('Set SCRAPE_SUMMARIZE_TOKEN to a token from --pair or to the backend\'s AUTH_TOKEN');
+    const backend = createBackend(options.backend, token);
+    // Checks the token before any page is read, and names the model in JSON output
+    const { defaultModel } = await backend.json('/api/settings');
+    const settings = { ...(options.model && { model: options.model }), ...(options.language && { language: options.language }) };
+
+    // Ctrl+C stops the answer being written; a second one exits at once
+    const controller = new AbortController();
+    process.once('SIGINT', () => {
+        controller.abort();
+        process.once('SIGINT', () => process.exit(130));
+    });
+
+    let failed = 0;
+    for (const input of inputs) {
+        if (controller.signal.aborted) break;
+        const ok = await run(input, {
+            backend,
+            settings,
+            model: options.model || defaultModel,
+            template,
+            options,
+            showHeader: inputs.length > 1,
+            signal: controller.signal,
+        });
+        if (!ok) failed++;
+    }
+    return failed || controller.signal.aborted ? 1 : 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(
+        code => { process.exitCode = code; },
+        err => {
+            console.error(err.usage ? `${err.message}\n\n${USAGE}` : err.message);
+            process.exitCode = err.usage ? 2 : 1;
+        }
+    );
+}
+
+module.exports = { readPage, createBackend, main };
@@ -0,0 +1,146 @@
+// Central place for backend settings. Everything can be overridden through
+// environment variables (or the .env file loaded by server.js).
+const path = require('path');
+
+function readNumber(name, fallback) {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') return fallback;
+    const value = Number(raw);
+    return Number.isFinite(value) ? value : fallback;
+}
+
+// Comma-separated list
+function readList(name) {
+    return (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+module.exports = {
+    port: readNumber('PORT', 3000),
+    // Loopback only by default so nothing else on the network can reach the proxy
+    host: process.env.HOST || '127.0.0.1',
+
+    // See auth.js. ALLOWED_ORIGINS pins the extension (chrome-extension://<id>);
+    // left empty, any extension origin is accepted but websites never are.
+    auth: {
+        token: process.env.AUTH_TOKEN || '',
+        origins: readList('ALLOWED_ORIGINS'),
+        file: process.env.AUTH_FILE || path.join(__dirname, 'data', 'auth.json'),
+    },
+
+    // Which model provider answers /api/gemini: 'gemini', 'openai' or 'mock'
+    provider: (process.env.MODEL_PROVIDER || 'gemini').toLowerCase(),
+
+    systemInstruction: "You are a helpful AI assistant. You can summarize web pages and answer questions about them. Be concise but thorough when needed. When asked about a summarized page, use the context from the conversation history.",
+
+    // Long pages are split into chunks, summarized in parallel, then combined
+    summarize: {
+        chunkTokens: readNumber('SUMMARY_CHUNK_TOKENS', 6000),
+        concurrency: readNumber('SUMMARY_CONCURRENCY', 4),
+        // Longest summary template a client may send
+        maxTemplateChars: readNumber('SUMMARY_TEMPLATE_MAX_CHARS', 4000),
+    },
+
+    // Finished summaries kept on disk and replayed when the same page is
+    // summarized the same way again (see cache.js); a TTL of 0 turns it off
+    cache: {
+        file: process.env.SUMMARY_CACHE_FILE || path.join(__dirname, 'data', 'summary-cache.json'),
+        ttlHours: readNumber('SUMMARY_CACHE_TTL_HOURS', 24),
+        maxEntries: readNumber('SUMMARY_CACHE_MAX_ENTRIES', 500),
+        maxBytes: readNumber('SUMMARY_CACHE_MAX_BYTES', 20 * 1024 * 1024),
+    },
+
+    // Structured extraction (see extract.js); pages are chunked like summaries
+    extract: {
+        maxSchemaChars: readNumber('EXTRACT_SCHEMA_MAX_CHARS', 8000),
+    },
+
+    // Research across several pages (see research.js): how many pages one
+    // request may compare and the token budget they share
+    research: {
+        maxSources: readNumber('RESEARCH_MAX_SOURCES', 8),
+        contextTokens: readNumber('RESEARCH_CONTEXT_TOKENS', 24000),
+    },
+
+    // Page translation (see translate.js): parts are smaller than summary
+    // chunks since the answer is as long as the part, and very long pages
+    // are turned away rather than translated at length
+    translate: {
+        chunkTokens: readNumber('TRANSLATE_CHUNK_TOKENS', 2000),
+        maxChars: readNumber('TRANSLATE_MAX_CHARS', 200000),
+    },
+
+    // Page passages sent with follow-up questions so answers can cite them
+    // (see passages.js). At most `maxTokens` of them go with one question,
+    // and never more than half the provider's context.
+    passages: {
+        maxCount: readNumber('PASSAGES_MAX_COUNT', 3000),
+        maxTokens: readNumber('PASSAGES_MAX_TOKENS', 8000),
+    },
+
+    // PDFs and text files the extension posts to /api/document (see documents.js)
+    documents: {
+        maxBytes: readNumber('DOCUMENT_MAX_BYTES', 25 * 1024 * 1024),
+        maxPages: readNumber('DOCUMENT_MAX_PAGES', 500),
+    },
+
+    // Bounds for the per-request settings the extension sends (see settings.js)
+    generation: {
+        maxOutputTokens: readNumber('MAX_OUTPUT_TOKENS_LIMIT', 8192),
+        maxSystemPromptChars: readNumber('MAX_SYSTEM_PROMPT_CHARS', 4000),
+    },
+
+    // Rate limit per client and quotas for the whole backend (see usage.js);
+    // 0 turns a limit off. Days and months are UTC.
+    usage: {
+        file: process.env.USAGE_FILE || path.join(__dirname, 'data', 'usage.json'),
+        requestsPerMinute: readNumber('RATE_LIMIT_PER_MINUTE', 30),
+        daily: {
+            requests: readNumber('QUOTA_DAILY_REQUESTS', 0),
+            tokens: readNumber('QUOTA_DAILY_TOKENS', 0),
+        },
+        monthly: {
+            requests: readNumber('QUOTA_MONTHLY_REQUESTS', 0),
+            tokens: readNumber('QUOTA_MONTHLY_TOKENS', 0),
+        },
+    },
+
+    // Conversations created through /api/sessions
+    sessions: {
+        file: process.env.SESSIONS_FILE || path.join(__dirname, 'data', 'sessions.json'),
+    },
+
+    // Conversation context per question (see context.js). `contextTokens` in
+    // each provider below is how much history its model gets; past that, older
+    // turns are folded into a rolling summary of up to `summaryTokens`.
+    context: {
+        summaryTokens: readNumber('CONTEXT_SUMMARY_TOKENS', 800),
+    },
+
+    gemini: {
+        model: process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+        contextTokens: readNumber('GEMINI_CONTEXT_TOKENS', 32000),
+        // Models the extension's options page may choose from
+        allowedModels: readList('GEMINI_ALLOWED_MODELS').length
+            ? readList('GEMINI_ALLOWED_MODELS')
+            : ['gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'],
+    },
+
+    // Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, LM Studio...)
+    openai: {
+        baseUrl: process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+        apiKey: process.env.OPENAI_API_KEY || '',
+        model: process.env.OPENAI_MODEL || 'llama3.2',
+        // Local models often run with a small context window
+        contextTokens: readNumber('OPENAI_CONTEXT_TOKENS', 6000),
+        allowedModels: readList('OPENAI_ALLOWED_MODELS'),
+    },
+
+    // Deterministic offline provider for development and tests
+    mock: {
+        model: 'mock',
+        contextTokens: readNumber('MOCK_CONTEXT_TOKENS', 4000),
+        allowedModels: ['mock'],
+        delayMs: readNumber('MOCK_DELAY_MS', 20),
+        response: process.env.MOCK_RESPONSE || '',
+    },
+};
@@ -0,0 +1,163 @@
+// Fit a conversation into the model's context budget.
+//
+// Each question goes out with as much history as fits in the provider's
+// `contextTokens`. The page the conversation is about (the latest "Summarize
+// this page" turn and its answer) is always kept. When the rest doesn't fit,
+// the oldest turns are folded into a rolling summary that rides along in the
+// system instruction. Sessions cache that summary, so a new turn only has to
+// summarize what just fell out of the window.
+const config = require('./config');
+const { CHARS_PER_TOKEN, estimateTokens } = require('./tokens');
+const { collectText } = require('./summarize');
+const { sanitizeMessages } = require('./sessions');
+
+// Role markers and separators the estimate doesn't see
+const TURN_OVERHEAD_TOKENS = 4;
+// Cap on any one turn fed to the rolling summary (e.g. a pasted article)
+const SUMMARY_INPUT_TURN_TOKENS = 2000;
+
+const SUMMARY_SYSTEM_INSTRUCTION = 'You keep a running summary of a conversation between a user and an AI assistant. ' +
+    'Keep the questions asked, the answers given, facts, decisions and open threads. Do not add commentary.';
+
+/**
+ * Model-facing turns: only role and text parts. The extension stores extra
+ * UI fields (e.g. `meta` for summary chips) that providers would reject.
+ * @param {{role: string, parts: {text: string}[]}[]} turns - sanitized turns
+ */
+function toContents(turns) {
+    return turns.map(turn => ({ role: turn.role, parts: turn.parts.map(part => ({ text: part.text })) }));
+}
+
+function turnText(turn) {
+    return turn.parts.map(part => part.text).join('');
+}
+
+function turnTokens(turn) {
+    return TURN_OVERHEAD_TOKENS + estimateTokens(turnText(turn));
+}
+
+function truncate(text, maxTokens) {
+    const maxChars = Math.max(0, maxTokens) * CHARS_PER_TOKEN;
+    return text.length <= maxChars ? text : `${text.slice(0, maxChars)}\n\n[... truncated to fit the context window]`;
+}
+
+/**
+ * Indexes of the page turn to keep no matter what: the latest page summary
+ * request and the answer to it.
+ */
+function findPinned(turns) {
+    for (let i = turns.length - 1; i >= 0; i--) {
+        if (turns[i].role === 'user' && turns[i].meta?.kind === 'summary') {
+            return turns[i + 1]?.role === 'model' ? [i, i + 1] : [i];
+        }
+    }
+    return [];
+}
+
+/**
+ * Fold `turns` into the rolling summary `previous` (if any).
+ */
+async function summarizeTurns({ provider, previous, turns, signal }) {
+    const transcript = turns
+        .map(turn => `${turn.role === 'user' ? 'User' : 'Assistant'}: ${truncate(turnText(turn), SUMMARY_INPUT_TURN_TOKENS)}`)
+        .join('\n\n');
+    const words = Math.round(config.context.summaryTokens * 0.75);
+    const request = previous
+        ? `Here is the summary of the conversation so far:\n\n${previous}\n\n` +
+            `Update it to also cover these later turns, in at most ${words} words:\n\n${transcript}`
+        : `Summarize these conversation turns in at most ${words} words:\n\n${transcript}`;
+
+    return collectText(provider.generateContentStream({
+        contents: [{ role: 'user', parts: [{ text: request }] }],
+        systemInstruction: SUMMARY_SYSTEM_INSTRUCTION,
+        signal,
+    }));
+}
+
+/**
+ * Build the contents and system instruction for answering `prompt` after
+ * `messages`, within `provider.contextTokens`.
+ * @param {object} options
+ * @param {object} options.provider - model provider (see providers/index.js)
+ * @param {unknown} options.messages - earlier turns, `meta` included
+ * @param {string} options.prompt - the new question
+ * @param {string} options.systemInstruction
+ * @param {{text: string, turns: number, pinnedAt: number}|null} [options.summary] - cached
+ *   rolling summary of the first `turns` unpinned messages
+ * @param {ReturnType<import('./events').openEventStream>} [options.events] - for progress and cancellation
+ * @returns {Promise<{contents: object[], systemInstruction: string, summary: object|null, usage: object|null,
+ *   report: {usedTokens: number, budgetTokens: number, keptTurns: number, summarizedTurns: number, pinned: boolean}}>}
+ */
+async function buildContext({ provider, messages, prompt, systemInstruction, summary = null, events }) {
+    const budget = provider.contextTokens;
+    const turns = sanitizeMessages(messages);
+    const question = { role: 'user', parts: [{ text: prompt }] };
+    const fixedTokens = estimateTokens(systemInstruction) + turnTokens(question);
+
+    const pinnedIndexes = findPinned(turns);
+    const restIndexes = turns.map((_, i) => i).filter(i => !pinnedIndexes.includes(i));
+    const totalTokens = fixedTokens + turns.reduce((sum, turn) => sum + turnTokens(turn), 0);
+
+    const report = (contents, instruction, summarizedTurns) => ({
+        usedTokens: estimateTokens(instruction) + contents.reduce((sum, turn) => sum + turnTokens(turn), 0),
+        budgetTokens: budget,
+        keptTurns: contents.length - 1,
+        summarizedTurns,
+        pinned: pinnedIndexes.length > 0,
+    });
+
+    if (totalTokens <= budget) {
+        const contents = [...toContents(turns), question];
+        return { contents, systemInstruction, summary, usage: null, report: report(contents, systemInstruction, 0) };
+    }
+
+    // The page may take up to half of what's left; a huge page is cut short
+    // rather than crowding out the conversation about it
+    const available = budget - fixedTokens - config.context.summaryTokens;
+    const pinned = new Map(pinnedIndexes.map(i => [i, turns[i]]));
+    let pinnedTokens = pinnedIndexes.reduce((sum, i) => sum + turnTokens(turns[i]), 0);
+    if (pinnedIndexes.length && pinnedTokens > available / 2) {
+        const [pageIndex, ...answer] = pinnedIndexes;
+        const answerTokens = answer.reduce((sum, i) => sum + turnTokens(turns[i]), 0);
+        const page = turns[pageIndex];
+        pinned.set(pageIndex, { ...page, parts: [{ text: truncate(turnText(page), available / 2 - answerTokens - TURN_OVERHEAD_TOKENS) }] });
+        pinnedTokens = pinnedIndexes.reduce((sum, i) => sum + turnTokens(pinned.get(i)), 0);
+    }
+
+    // Keep the newest turns that fit, starting the window on a user turn
+    let room = available - pinnedTokens;
+    let firstKept = restIndexes.length;
+    while (firstKept > 0 && turnTokens(turns[restIndexes[firstKept - 1]]) <= room) {
+        firstKept--;
+        room -= turnTokens(turns[restIndexes[firstKept]]);
+    }
+    while (firstKept < restIndexes.length && turns[restIndexes[firstKept]].role !== 'user') firstKept++;
+
+    const dropped = restIndexes.slice(0, firstKept).map(i => turns[i]);
+    const pinnedAt = pinnedIndexes.length ? pinnedIndexes[0] : -1;
+    let usage = null;
+
+    if (dropped.length) {
+        // Reuse the cached summary when it covers a prefix of what was dropped
+        const reusable = summary && summary.pinnedAt === pinnedAt && summary.turns <= dropped.length ? summary : null;
+        const fresh = dropped.slice(reusable ? reusable.turns : 0);
+        if (fresh.length) {
+            events?.send('progress', { stage: 'context', completed: 0, total: 1 });
+            const result = await summarizeTurns({ provider, previous: reusable?.text, turns: fresh, signal: events?.signal });
+            usage = result.usage;
+            summary = { text: result.text, turns: dropped.length, pinnedAt };
+        } else {
+            summary = reusable;
+        }
+    }
+
+    const included = [...pinnedIndexes, ...restIndexes.slice(firstKept)].sort((a, b) => a - b);
+    const contents = [...toContents(included.map(i => pinned.get(i) || turns[i])), question];
+    const instruction = dropped.length
+        ? `${systemInstruction}\n\nSummary of the earlier part of this conversation:\n${summary.text}`
+        : systemInstruction;
+
+    return { contents, systemInstruction: instruction, summary, usage, report: report(contents, instruction, dropped.length) };
+}
+
+module.exports = { buildContext, toContents, findPinned };
@@ -0,0 +1,151 @@
+// Text from documents the content script can't read: PDFs (in the browser's
+// viewer, from the web or from file://) and plain text files. The extension
+// fetches the bytes and posts them here (POST /api/document). PDF text is
+// extracted locally with pdf.js and comes back as markdown with a
+// "## Page N" heading per page, so the summary pipeline chunks on page
+// boundaries and answers can cite page numbers. HTML, which the command line
+// client (cli.js) posts, is read by the extension's own extractor in jsdom.
+const config = require('./config');
+
+const HTML_TYPES = /^(text\/html|application\/xhtml\+xml)\b/;
+const TEXT_TYPES = /^text\/|^application\/(json|xml|x-yaml|yaml|javascript)\b/;
+
+const PAGE_CITATION_RULES = 'The document is split into "## Page N" sections. ' +
+    'Cite the page a statement comes from in square brackets, like [page 3] or [page 3][page 7].';
+
+// For the notes on each part of a long PDF, so the final summary can still cite pages
+const PAGE_NOTES_RULES = 'Mark each note with the page it comes from, like [page 3].';
+
+// pdf.js ships as an ES module
+let pdfjs = null;
+async function loadPdfjs() {
+    pdfjs = pdfjs || await import('pdfjs-dist/legacy/build/pdf.mjs');
+    return pdfjs;
+}
+
+// Only the CLI posts HTML, so jsdom and the extractor load on first use
+let htmlReader = null;
+function loadHtmlReader() {
+    htmlReader = htmlReader || { JSDOM: require('jsdom').JSDOM, PageExtractor: require('../frontend/extractor') };
+    return htmlReader;
+}
+
+/**
+ * One page's text: pdf.js gives positioned runs, with `hasEOL` where a line ends.
+ */
+function pageText(items) {
+    let text = '';
+    for (const item of items) {
+        if (typeof item.str !== 'string') continue;
+        text += item.str;
+        if (item.hasEOL) text += '\n';
+        else if (item.str && !/\s$/.test(item.str)) text += ' ';
+    }
+    return text
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+async function extractPdf(bytes) {
+    const { getDocument } = await loadPdfjs();
+    const doc = await getDocument({
+        data: new Uint8Array(bytes),
+        isEvalSupported: false,
+        disableFontFace: true,
+        verbosity: 0,
+    }).promise;
+
+    try {
+        if (doc.numPages > config.documents.maxPages) {
+            return { error: `The PDF has ${doc.numPages} pages; at most ${config.documents.maxPages} can be read` };
+        }
+        const pages = [];
+        for (let number = 1; number <= doc.numPages; number++) {
+            const page = await doc.getPage(number);
+            const { items } = await page.getTextContent();
+            pages.push({ number, text: pageText(items) });
+            page.cleanup();
+        }
+        if (!pages.some(page => page.text)) {
+            return { error: 'The PDF has no text to read; it may be a scan without a text layer' };
+        }
+
+        const { info } = await doc.getMetadata().catch(() => ({}));
+        return {
+            document: {
+                format: 'pdf',
+                title: typeof info?.Title === 'string' ? info.Title.trim() : '',
+                byline: typeof info?.Author === 'string' ? info.Author.trim() : '',
+                pageCount: doc.numPages,
+                content: pages.filter(page => page.text).map(page => `## Page ${page.number}\n\n${page.text}`).join('\n\n'),
+            },
+        };
+    } finally {
+        await doc.destroy();
+    }
+}
+
+// The article in an HTML page, exactly as the content script reads a tab.
+// Scripts never run and nothing is fetched; jsdom only builds the DOM the
+// extractor walks.
+function extractHtml(bytes, type, url) {
+    const { JSDOM, PageExtractor } = loadHtmlReader();
+    let dom;
+    try {
+        dom = new JSDOM(bytes, { url: URL.canParse(url) ? url : undefined, contentType: type.split(';')[0].trim() });
+    } catch (err) {
+        return { error: `Could not read the page: ${err.message}` };
+    }
+    try {
+        const article = PageExtractor.extract(dom.window.document);
+        if (!article.content) return { error: 'No content could be extracted from the page' };
+        return {
+            document: {
+                format: 'html',
+                title: article.title || dom.window.document.title || '',
+                byline: article.byline || '',
+                publishedDate: article.publishedDate || '',
+                // Without a `url`, jsdom's about:blank stands in for the page's
+                url: /^(https?|file):/i.test(article.canonicalUrl) ? article.canonicalUrl : '',
+                lang: article.lang || '',
+                content: article.content,
+            },
+        };
+    } finally {
+        dom.window.close();
+    }
+}
+
+/**
+ * Extract the text of a posted document.
+ * @param {Buffer} bytes
+ * @param {string} [type] - the document's Content-Type
+ * @param {string} [url] - where the document came from; resolves relative links in HTML
+ * @returns {Promise<{error: string} | {document: {format: 'pdf'|'html'|'text', title: string, byline: string,
+ *   pageCount?: number, publishedDate?: string, url?: string, lang?: string, content: string}}>}
+ *   `url` is an HTML page's canonical URL, when it names one
+ */
+async function extractDocument(bytes, type = '', url = '') {
+    if (!bytes || !bytes.length) return { error: 'The document is empty' };
+
+    // Servers often send PDFs as application/octet-stream; trust the magic number
+    if (type.startsWith('application/pdf') || bytes.subarray(0, 5).toString('latin1') === '%PDF-') {
+        try {
+            return await extractPdf(bytes);
+        } catch (err) {
+            return { error: `Could not read the PDF: ${err.message}` };
+        }
+    }
+    if (HTML_TYPES.test(type)) return extractHtml(bytes, type, url);
+    if (TEXT_TYPES.test(type)) {
+        const content = bytes.toString('utf8').replace(/\r\n?/g, '\n').trim();
+        if (!content) return { error: 'The document is empty' };
+        return { document: { format: 'text', title: '', byline: '', content } };
+    }
+    return { error: `Unsupported document type${type ? ` ${type}` : ''}; only PDFs, HTML and text files can be read` };
+}
+
+module.exports = { extractDocument, PAGE_CITATION_RULES, PAGE_NOTES_RULES };
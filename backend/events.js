@@ -0,0 +1,106 @@
+// Typed event stream sent to the extension.
+//
+// Responses are NDJSON (one JSON object per line) so the client never has to
+// guess where a chunk starts or whether some text is an error message:
+//
+//   {"type":"delta","text":"..."}                      a piece of the answer
+//   {"type":"usage","promptTokens":1,"candidatesTokens":2,"totalTokens":3}
+//   {"type":"finish_reason","reason":"STOP"}
+//   {"type":"progress","stage":"map","completed":3,"total":12}   long-running work
+//   {"type":"cache","createdAt":"..."}                  the answer is a cached summary
+//   {"type":"error","message":"..."}
+//   {"type":"done"}                                    always the last event
+
+const { addUsage } = require('./tokens');
+
+/**
+ * Switch an Express response into NDJSON streaming mode.
+ * `signal` aborts when the client disconnects so upstream work can stop.
+ * @param {import('express').Response} res
+ */
+function openEventStream(res) {
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    // For some proxies (nginx) to avoid buffering
+    res.setHeader('X-Accel-Buffering', 'no');
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (res.writableFinished) return;
+        controller.abort();
+        console.log('Client disconnected: aborting stream');
+    });
+
+    function send(type, data = {}) {
+        if (controller.signal.aborted || res.writableEnded) return;
+        res.write(JSON.stringify({ type, ...data }) + '\n');
+    }
+
+    return {
+        signal: controller.signal,
+        get aborted() { return controller.signal.aborted; },
+        send,
+        error(message) { send('error', { message }); },
+        done() {
+            send('done');
+            try { res.end(); } catch (e) { /* ignore */ }
+        },
+    };
+}
+
+/**
+ * Forward a provider stream to the client as delta/usage/finish_reason events.
+ * Resolves with what was streamed so callers can store or account for it.
+ * @param {AsyncIterable<{text?: string, usage?: object, finishReason?: string}>} stream
+ * @param {ReturnType<typeof openEventStream>} events
+ * @param {{ priorUsage?: object }} [options] - usage from earlier calls in the
+ *   same request (e.g. map steps) to include in the reported totals
+ */
+async function pipeModelStream(stream, events, { priorUsage = null } = {}) {
+    let text = '';
+    let usage = null;
+    let finishReason = null;
+
+    for await (const chunk of stream) {
+        if (events.aborted) {
+            // Stop consuming the stream when client disconnects
+            console.log('Stopping stream due to client abort');
+            break;
+        }
+        if (chunk.text) {
+            text += chunk.text;
+            events.send('delta', { text: chunk.text });
+        }
+        // Usage is cumulative on most providers; keep the latest numbers
+        if (chunk.usage) usage = chunk.usage;
+        if (chunk.finishReason) finishReason = chunk.finishReason;
+    }
+
+    usage = addUsage(priorUsage, usage);
+    if (usage) events.send('usage', usage);
+    if (finishReason) events.send('finish_reason', { reason: finishReason });
+
+    return { text, usage, finishReason };
+}
+
+/**
+ * Run `work` with an open event stream. Errors become an `error` event
+ * (unless the client already left) and `done` is always sent last.
+ * @param {import('express').Response} res
+ * @param {(events: ReturnType<typeof openEventStream>) => Promise<void>} work
+ */
+async function streamEvents(res, work) {
+    const events = openEventStream(res);
+    try {
+        await work(events);
+    } catch (error) {
+        if (!events.aborted) {
+            console.error('Error with model provider:', error);
+            events.error(error.message || 'Internal Server Error');
+        }
+    } finally {
+        events.done();
+    }
+}
+
+module.exports = { openEventStream, pipeModelStream, streamEvents };
@@ -0,0 +1,134 @@
+// Structured extraction: pull data matching a JSON schema out of a page.
+//
+// The provider's structured output mode keeps the answer to the schema
+// (`generation.jsonSchema`, see providers/index.js), but the result is still
+// parsed and validated here; an invalid answer gets one repair attempt with
+// the problems spelled out. Long pages are split the same way as for
+// summaries, extracted part by part and merged: arrays are concatenated and
+// other values keep the first one found.
+const config = require('./config');
+const { addUsage } = require('./tokens');
+const { chunkText, collectText, describePage, mapWithConcurrency } = require('./summarize');
+const { validate } = require('./schema');
+
+const MAX_REPAIRS = 1;
+
+const EXTRACT_SYSTEM_INSTRUCTION = 'You extract structured data from web pages. Use only information that is on the page ' +
+    'and use null for values the page does not give; never make data up. Reply with JSON only.';
+
+/**
+ * Parse a model's JSON answer, tolerating a markdown code fence around it.
+ */
+function parseJson(text) {
+    const fenced = /^```(?:json)?\s*\n([\s\S]*?)\n?```$/.exec(text.trim());
+    return JSON.parse(fenced ? fenced[1] : text);
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Combine what two parts of a page yielded.
+ */
+function mergeData(a, b) {
+    if (a === null || a === undefined || a === '') return b;
+    if (b === null || b === undefined) return a;
+    if (Array.isArray(a) && Array.isArray(b)) return [...a, ...b];
+    if (isPlainObject(a) && isPlainObject(b)) {
+        const merged = { ...a };
+        for (const [key, value] of Object.entries(b)) merged[key] = mergeData(a[key], value);
+        return merged;
+    }
+    return a;
+}
+
+/**
+ * Ask for one part's data, retrying with the validation errors if needed.
+ * @returns {Promise<{data: unknown, errors: string[], usage: object|null}>} `data` is
+ *   undefined when no attempt produced JSON
+ */
+async function extractPart({ provider, schema, prompt, signal, generation }) {
+    const contents = [{ role: 'user', parts: [{ text: prompt }] }];
+    let usage = null;
+    let data;
+    let errors = [];
+
+    for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+        const result = await collectText(provider.generateContentStream({
+            contents,
+            systemInstruction: EXTRACT_SYSTEM_INSTRUCTION,
+            signal,
+            generation: { ...generation, jsonSchema: schema },
+        }));
+        usage = addUsage(usage, result.usage);
+
+        try {
+            data = parseJson(result.text);
+            errors = validate(data, schema);
+        } catch (err) {
+            errors = [`the answer is not valid JSON (${err.message})`];
+        }
+        if (!errors.length) break;
+
+        contents.push(
+            { role: 'model', parts: [{ text: result.text }] },
+            { role: 'user', parts: [{ text: `That does not match the schema:\n- ${errors.join('\n- ')}\n\nReply with the corrected JSON only.` }] }
+        );
+    }
+    return { data, errors, usage };
+}
+
+/**
+ * Extract data matching `schema` from a page. Sends `progress` events per
+ * part, the result as one `delta` (a fenced JSON block, so it reads like any
+ * other answer in history) and an `extraction` event with the validation
+ * outcome.
+ * @param {object} options
+ * @param {object} options.provider - model provider (see providers/index.js)
+ * @param {ReturnType<import('./events').openEventStream>} options.events
+ * @param {{content: string, title?: string, url?: string, byline?: string, publishedDate?: string}} options.page
+ * @param {object} options.schema - checked with schema.js `checkSchema`
+ * @param {object} [options.generation] - per-request model overrides (see settings.js)
+ * @returns {Promise<{text: string, data: unknown, errors: string[], usage: object|null}>}
+ */
+async function extractData({ provider, events, page, schema, generation = {} }) {
+    const header = describePage(page);
+    const chunks = chunkText(page.content);
+    const total = chunks.length;
+    const schemaText = JSON.stringify(schema);
+    let completed = 0;
+    events.send('progress', { stage: 'extract', completed, total });
+
+    const parts = await mapWithConcurrency(chunks, config.summarize.concurrency, async (chunk, index) => {
+        if (events.aborted) throw new Error('Client disconnected');
+        const where = total > 1
+            ? `part ${index + 1} of ${total} of the page below. The other parts are handled separately, so only extract what this part contains`
+            : 'the page below';
+        const result = await extractPart({
+            provider,
+            schema,
+            prompt: `Extract the data described by this JSON schema from ${where}.\n\nJSON schema:\n${schemaText}\n\n${header}\n\n---\n${chunk}`,
+            signal: events.signal,
+            generation,
+        });
+        completed++;
+        events.send('progress', { stage: 'extract', completed, total });
+        return result;
+    });
+
+    const usage = parts.reduce((sum, part) => addUsage(sum, part.usage), null);
+    const found = parts.filter(part => part.data !== undefined);
+    if (!found.length) throw new Error(`The model did not return usable JSON: ${parts[0].errors[0]}`);
+
+    const data = found.map(part => part.data).reduce(mergeData);
+    const errors = validate(data, schema);
+    const text = `\`\`\`json\n${JSON.stringify(data, null, 2)}\n\`\`\``;
+
+    events.send('delta', { text });
+    events.send('extraction', { valid: errors.length === 0, errors, parts: total });
+    if (usage) events.send('usage', usage);
+    return { text, data, errors, usage };
+}
+
+module.exports = { extractData, parseJson, mergeData };
@@ -0,0 +1,55 @@
+// The language answers are written in. The extension sends a BCP-47 tag
+// ("de", "ja", "pt-BR"...) with its settings; the model gets the language's
+// English name, which it follows more reliably than a bare tag.
+const MAX_TAG_CHARS = 35;
+
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language' });
+// Same, but undefined for tags that name no known language ("xx", "french")
+const knownNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'none' });
+
+/**
+ * English name of a language tag, e.g. "German" for "de"; the tag itself
+ * when it has none.
+ * @param {string} tag
+ */
+function languageName(tag) {
+    try {
+        return displayNames.of(tag) || tag;
+    } catch (e) {
+        return tag;
+    }
+}
+
+/**
+ * Validate a BCP-47 language tag. Well-formed tags of no known language are
+ * refused too, since the model would be told to write in e.g. "xx".
+ * @param {unknown} raw
+ * @returns {{error: string} | {language: {tag: string, name: string}|null}} null when none was given
+ */
+function parseLanguage(raw) {
+    if (raw === undefined || raw === null || raw === '') return { language: null };
+    if (typeof raw !== 'string' || raw.length > MAX_TAG_CHARS) {
+        return { error: 'Language must be a BCP-47 language tag like "de" or "pt-BR"' };
+    }
+    let tag;
+    try {
+        [tag] = Intl.getCanonicalLocales(raw.replace(/_/g, '-'));
+    } catch (e) {
+        return { error: `Language "${raw}" is not a valid BCP-47 language tag` };
+    }
+    const name = knownNames.of(tag);
+    if (!name) return { error: `Language "${raw}" is not a known language` };
+    return { language: { tag, name } };
+}
+
+/**
+ * The line added to system instructions so answers come back in `language`
+ * whatever language the page or the question is in.
+ * @param {{tag: string, name: string}} language
+ */
+function languageRule({ tag, name }) {
+    return `Always write your answers in ${name} (${tag}), even when the page or the question is in another language. ` +
+        'Quotations may stay in their original language; keep code and URLs unchanged.';
+}
+
+module.exports = { parseLanguage, languageName, languageRule };
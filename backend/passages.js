@@ -0,0 +1,88 @@
+// Page passages for answers with citations.
+//
+// The extension splits the page into short passages with stable IDs
+// (frontend/passages.js) and sends them with a follow-up question. The model
+// is asked to cite the passage behind each statement as [p1a2b3c]; the
+// extension turns those markers into links that scroll the page to the
+// passage. Only the question is stored in history, not the passages.
+const config = require('./config');
+const { estimateTokens } = require('./tokens');
+
+const ID_PATTERN = /^p[0-9a-z]{6}$/;
+const MAX_PASSAGE_CHARS = 1000;
+
+const CITATION_RULES = 'The page is also given as passages, each starting with its ID in square brackets, like [p1a2b3c]. ' +
+    'When a statement comes from the page, cite the passage it comes from right after it, using the ID exactly as given, like [p1a2b3c]. ' +
+    'Cite only IDs from the list, and never cite a passage for something it does not say.';
+
+// Too common to tell passages apart
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'her', 'was', 'one', 'our', 'out', 'has',
+    'his', 'how', 'its', 'may', 'who', 'did', 'does', 'this', 'that', 'with', 'have', 'from', 'they', 'will', 'what',
+    'when', 'where', 'which', 'why', 'about', 'there', 'their', 'would', 'could', 'should', 'page', 'article', 'say', 'says',
+]);
+
+/**
+ * Validate the `passages` of a request body.
+ * @param {unknown} raw
+ * @returns {{error: string} | {passages: {id: string, text: string}[]}}
+ */
+function parsePassages(raw) {
+    if (raw === undefined || raw === null) return { passages: [] };
+    const limit = config.passages.maxCount;
+    if (!Array.isArray(raw) || raw.length > limit) return { error: `Passages must be a list of at most ${limit} items` };
+
+    const passages = [];
+    for (const item of raw) {
+        if (!item || typeof item.id !== 'string' || !ID_PATTERN.test(item.id) || typeof item.text !== 'string') {
+            return { error: 'Each passage needs an id like "p1a2b3c" and its text' };
+        }
+        const text = item.text.trim();
+        if (text) passages.push({ id: item.id, text: text.slice(0, MAX_PASSAGE_CHARS) });
+    }
+    return { passages };
+}
+
+function terms(text) {
+    return new Set((text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).filter(word => !STOP_WORDS.has(word)));
+}
+
+/**
+ * The passages to send with `question` within `maxTokens`: all of them when
+ * they fit, otherwise those sharing the most words with the question, kept
+ * in page order.
+ * @param {{id: string, text: string}[]} passages
+ * @param {string} question
+ * @param {number} maxTokens
+ */
+function selectPassages(passages, question, maxTokens) {
+    const tokens = passages.map(passage => estimateTokens(passage.text) + 4);
+    if (tokens.reduce((sum, count) => sum + count, 0) <= maxTokens) return passages;
+
+    const wanted = terms(question);
+    const ranked = passages
+        .map((passage, index) => {
+            let score = 0;
+            for (const word of terms(passage.text)) if (wanted.has(word)) score++;
+            return { index, score };
+        })
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const kept = [];
+    let room = maxTokens;
+    for (const { index } of ranked) {
+        if (tokens[index] > room) continue;
+        kept.push(index);
+        room -= tokens[index];
+    }
+    return kept.sort((a, b) => a - b).map(index => passages[index]);
+}
+
+/**
+ * The question as the model sees it: followed by the passages to cite.
+ */
+function promptWithPassages(prompt, passages) {
+    return `${prompt}\n\nPage passages:\n${passages.map(passage => `[${passage.id}] ${passage.text}`).join('\n')}`;
+}
+
+module.exports = { parsePassages, selectPassages, promptWithPassages, CITATION_RULES };
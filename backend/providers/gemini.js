@@ -0,0 +1,44 @@
+const { GoogleGenAI } = require('@google/genai');
+
+/**
+ * Provider backed by the Google Gemini API. Reads GEMINI_API_KEY from the
+ * environment like the SDK always has.
+ * @param {{ model: string, contextTokens: number, allowedModels: string[] }} options
+ */
+function createGeminiProvider({ model, contextTokens, allowedModels }) {
+    const ai = new GoogleGenAI({});
+
+    async function* generateContentStream({ contents, systemInstruction, signal, generation = {} }) {
+        const stream = await ai.models.generateContentStream({
+            model: generation.model || model,
+            contents,
+            config: {
+                systemInstruction,
+                abortSignal: signal,
+                temperature: generation.temperature,
+                maxOutputTokens: generation.maxOutputTokens,
+                ...(generation.jsonSchema && {
+                    responseMimeType: 'application/json',
+                    responseJsonSchema: generation.jsonSchema,
+                }),
+            },
+        });
+
+        for await (const chunk of stream) {
+            const usage = chunk.usageMetadata;
+            yield {
+                text: chunk.text ?? '',
+                finishReason: chunk.candidates?.[0]?.finishReason,
+                usage: usage && {
+                    promptTokens: usage.promptTokenCount ?? 0,
+                    candidatesTokens: usage.candidatesTokenCount ?? 0,
+                    totalTokens: usage.totalTokenCount ?? 0,
+                },
+            };
+        }
+    }
+
+    return { name: 'gemini', model, contextTokens, allowedModels, generateContentStream };
+}
+
+module.exports = createGeminiProvider;
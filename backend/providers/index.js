@@ -0,0 +1,46 @@
+// Model provider registry.
+//
+// Every provider exposes the same shape so server.js never has to know which
+// backend is answering:
+//
+//   {
+//     name: string,
+//     model: string,
+//     contextTokens: number,   // conversation budget per request (see context.js)
+//     allowedModels: string[], // models a request may pick (see settings.js)
+//     generateContentStream({ contents, systemInstruction, signal, generation }) -> AsyncIterable<{
+//       text?: string,
+//       usage?: { promptTokens, candidatesTokens, totalTokens },
+//       finishReason?: string,
+//     }>
+//   }
+//
+// `contents` always uses the Gemini conversation format:
+//   [{ role: 'user'|'model', parts: [{ text }] }]
+// `generation` holds optional per-request overrides, already validated:
+//   { model?, temperature?, maxOutputTokens?, jsonSchema? }
+// `jsonSchema` asks for JSON output matching the schema (see schema.js)
+const config = require('../config');
+const createGeminiProvider = require('./gemini');
+const createOpenAIProvider = require('./openai');
+const createMockProvider = require('./mock');
+
+const factories = {
+    gemini: () => createGeminiProvider(config.gemini),
+    openai: () => createOpenAIProvider(config.openai),
+    mock: () => createMockProvider(config.mock),
+};
+
+/**
+ * Build the provider selected by config (or by an explicit name).
+ * @param {string} [name]
+ */
+function createProvider(name = config.provider) {
+    const factory = factories[name];
+    if (!factory) {
+        throw new Error(`Unknown model provider "${name}". Use one of: ${Object.keys(factories).join(', ')}`);
+    }
+    return factory();
+}
+
+module.exports = { createProvider };
@@ -0,0 +1,55 @@
+const { estimateTokens } = require('../tokens');
+const { sampleFor } = require('../schema');
+
+/**
+ * Offline provider that streams canned text. The output only depends on the
+ * last user message, so it is stable enough to assert against in tests.
+ * Structured output requests get a sample value for the schema.
+ * @param {{ model: string, contextTokens: number, allowedModels: string[], delayMs: number, response: string }} options
+ */
+function createMockProvider({ model, contextTokens, allowedModels, delayMs, response }) {
+    function cannedResponse(contents) {
+        if (response) return response;
+        const last = [...contents].reverse().find(turn => turn.role === 'user');
+        const prompt = (last?.parts || []).map(p => p.text || '').join('').trim();
+        const preview = prompt.length > 80 ? `${prompt.slice(0, 80)}...` : prompt;
+        return `This is a mock response. You said: "${preview}". ` +
+            `The conversation has ${contents.length} message(s).`;
+    }
+
+    const sleep = (ms, signal) => new Promise(resolve => {
+        if (!ms || signal?.aborted) return resolve();
+        const onAbort = () => { clearTimeout(timer); resolve(); };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    async function* generateContentStream({ contents, systemInstruction, signal, generation = {} }) {
+        const text = generation.jsonSchema ? JSON.stringify(sampleFor(generation.jsonSchema)) : cannedResponse(contents);
+        // Split into word-sized pieces (keeping the whitespace) to mimic streaming
+        const pieces = text.match(/\S+\s*/g) || [];
+
+        for (const piece of pieces) {
+            if (signal?.aborted) return;
+            await sleep(delayMs, signal);
+            yield { text: piece };
+        }
+
+        const promptText = (systemInstruction || '') +
+            contents.map(turn => (turn.parts || []).map(p => p.text || '').join('')).join('');
+        const promptTokens = estimateTokens(promptText);
+        const candidatesTokens = estimateTokens(text);
+        yield {
+            text: '',
+            finishReason: 'STOP',
+            usage: { promptTokens, candidatesTokens, totalTokens: promptTokens + candidatesTokens },
+        };
+    }
+
+    return { name: 'mock', model, contextTokens, allowedModels, generateContentStream };
+}
+
+module.exports = createMockProvider;
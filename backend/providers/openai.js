@@ -0,0 +1,87 @@
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint, e.g. a local
+ * Ollama (`http://localhost:11434/v1`) or llama.cpp server.
+ * @param {{ baseUrl: string, apiKey: string, model: string, contextTokens: number, allowedModels: string[] }} options
+ */
+function createOpenAIProvider({ baseUrl, apiKey, model, contextTokens, allowedModels }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+    // Gemini-style contents -> OpenAI-style messages
+    function toMessages(contents, systemInstruction) {
+        const messages = [];
+        if (systemInstruction) messages.push({ role: 'system', content: systemInstruction });
+        for (const turn of contents) {
+            messages.push({
+                role: turn.role === 'model' ? 'assistant' : 'user',
+                content: (turn.parts || []).map(p => p.text || '').join(''),
+            });
+        }
+        return messages;
+    }
+
+    async function* generateContentStream({ contents, systemInstruction, signal, generation = {} }) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+        const resp = await fetch(url, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify({
+                model: generation.model || model,
+                messages: toMessages(contents, systemInstruction),
+                temperature: generation.temperature,
+                max_tokens: generation.maxOutputTokens,
+                response_format: generation.jsonSchema
+                    ? { type: 'json_schema', json_schema: { name: 'extraction', schema: generation.jsonSchema } }
+                    : undefined,
+                stream: true,
+                stream_options: { include_usage: true },
+            }),
+            signal,
+        });
+
+        if (!resp.ok) {
+            const text = await resp.text().catch(() => '');
+            throw new Error(`OpenAI-compatible server error ${resp.status}: ${text}`);
+        }
+
+        // The body is Server-Sent Events: "data: {...}\n\n" ... "data: [DONE]"
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of resp.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+
+            for (const line of lines) {
+                const trimmed = line.trim();
+                if (!trimmed.startsWith('data:')) continue;
+                const data = trimmed.slice(5).trim();
+                if (data === '[DONE]') return;
+
+                let parsed;
+                try {
+                    parsed = JSON.parse(data);
+                } catch (e) {
+                    continue; // ignore keep-alives and partial garbage
+                }
+
+                const choice = parsed.choices?.[0];
+                const usage = parsed.usage;
+                yield {
+                    text: choice?.delta?.content ?? '',
+                    finishReason: choice?.finish_reason || undefined,
+                    usage: usage && {
+                        promptTokens: usage.prompt_tokens ?? 0,
+                        candidatesTokens: usage.completion_tokens ?? 0,
+                        totalTokens: usage.total_tokens ?? 0,
+                    },
+                };
+            }
+        }
+    }
+
+    return { name: 'openai', model, contextTokens, allowedModels, generateContentStream };
+}
+
+module.exports = createOpenAIProvider;
@@ -0,0 +1,94 @@
+// Research synthesis: compare several pages in one answer that cites them as
+// [1], [2]... in the order they were sent.
+//
+// The sources share one token budget. A source that fits its share is sent
+// as it is; a longer one is read in chunks first (in parallel, like the map
+// step of a summary) and replaced by notes, focused on the question when
+// there is one. The synthesis then streams like any other answer.
+const config = require('./config');
+const { CHARS_PER_TOKEN, estimateTokens, addUsage } = require('./tokens');
+const { pipeModelStream } = require('./events');
+const { chunkText, collectText, describePage, mapWithConcurrency } = require('./summarize');
+
+const DEFAULT_INSTRUCTION = 'Compare these sources: where they agree, where they differ, and what each one adds that the others lack';
+
+const CITATION_RULES = 'You are comparing several web pages, numbered [1], [2] and so on. ' +
+    'Back every statement with the number of the source it comes from in square brackets, like [1] or [2][3]. ' +
+    'Cite only the numbered sources you were given, and say so when they do not cover something.';
+
+const NOTES_SYSTEM_INSTRUCTION = 'You write dense, factual notes about part of a web page for a comparison with other pages. ' +
+    'Keep names, numbers, features, prices, limits, dates and conclusions. Do not add commentary.';
+
+/**
+ * The numbered block for one source in the synthesis prompt.
+ */
+function sourceBlock(source, index, body) {
+    return `[${index + 1}]\n${describePage(source)}\n\n${body}`;
+}
+
+/**
+ * Write a comparative synthesis of `sources` and stream it to `events`.
+ * @param {object} options
+ * @param {object} options.provider - model provider (see providers/index.js)
+ * @param {ReturnType<import('./events').openEventStream>} options.events
+ * @param {{content: string, title?: string, url?: string, byline?: string, publishedDate?: string}[]} options.sources
+ * @param {string} [options.question] - what to focus the comparison on
+ * @param {string} [options.systemInstruction]
+ * @param {object} [options.generation] - per-request model overrides (see settings.js);
+ *   the notes steps only take the model so their notes aren't cut short
+ */
+async function researchSources({ provider, events, sources, question = '', systemInstruction = config.systemInstruction, generation = {} }) {
+    const shareTokens = Math.floor(config.research.contextTokens / sources.length);
+    const focus = question ? ` Focus on what helps answer: ${question}` : '';
+
+    // Chunks of the sources too long to send whole
+    const pieces = [];
+    sources.forEach((source, index) => {
+        if (estimateTokens(source.content) <= shareTokens) return;
+        const chunks = chunkText(source.content);
+        chunks.forEach((chunk, part) => pieces.push({ index, part, parts: chunks.length, chunk }));
+    });
+
+    let usage = null;
+    const notes = sources.map(() => []);
+    if (pieces.length) {
+        let completed = 0;
+        events.send('progress', { stage: 'sources', completed, total: pieces.length });
+        await mapWithConcurrency(pieces, config.summarize.concurrency, async ({ index, part, parts, chunk }) => {
+            if (events.aborted) throw new Error('Client disconnected');
+            const result = await collectText(provider.generateContentStream({
+                contents: [{
+                    role: 'user',
+                    parts: [{ text: `Write notes on part ${part + 1} of ${parts} of the page below.${focus}\n\n${describePage(sources[index])}\n\n---\n${chunk}` }],
+                }],
+                systemInstruction: NOTES_SYSTEM_INSTRUCTION,
+                signal: events.signal,
+                generation: { model: generation.model },
+            }));
+            usage = addUsage(usage, result.usage);
+            notes[index][part] = result.text;
+            completed++;
+            events.send('progress', { stage: 'sources', completed, total: pieces.length });
+        });
+    }
+
+    const blocks = sources.map((source, index) => {
+        if (!notes[index].length) return sourceBlock(source, index, source.content);
+        // Notes that still overflow the share are cut rather than condensed again
+        let body = notes[index].join('\n\n');
+        if (body.length > shareTokens * CHARS_PER_TOKEN) body = `${body.slice(0, shareTokens * CHARS_PER_TOKEN)}\n[notes cut off]`;
+        return sourceBlock(source, index, `(Notes on a long page)\n${body}`);
+    });
+
+    const request = question ? `${DEFAULT_INSTRUCTION}, to answer this question: ${question}` : DEFAULT_INSTRUCTION;
+    events.send('progress', { stage: 'synthesize', completed: 0, total: 1 });
+    const stream = provider.generateContentStream({
+        contents: [{ role: 'user', parts: [{ text: `${request}.\n\n${blocks.join('\n\n---\n\n')}` }] }],
+        systemInstruction: `${systemInstruction}\n\n${CITATION_RULES}`,
+        signal: events.signal,
+        generation,
+    });
+    return pipeModelStream(stream, events, { priorUsage: usage });
+}
+
+module.exports = { researchSources };
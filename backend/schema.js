@@ -0,0 +1,152 @@
+// The subset of JSON Schema used for structured extraction (extract.js):
+// what Gemini's `responseJsonSchema` and OpenAI-style `json_schema` response
+// formats both understand. Schemas come from the extension, so they are
+// checked before anything is sent to a provider.
+//
+// Models are told to use null for values a page doesn't give, so properties
+// that aren't `required` may always be null.
+
+const TYPES = ['object', 'array', 'string', 'number', 'integer', 'boolean', 'null'];
+const KEYWORDS = new Set([
+    'type', 'title', 'description', 'properties', 'required', 'additionalProperties',
+    'items', 'minItems', 'maxItems', 'enum', 'format', 'minimum', 'maximum',
+]);
+const MAX_DEPTH = 8;
+const MAX_ERRORS = 20;
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function typesOf(schema) {
+    return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Check that `schema` only uses the supported subset.
+ * @param {unknown} schema
+ * @returns {string|null} what is wrong with it, or null
+ */
+function checkSchema(schema, path = 'schema', depth = 0) {
+    if (!isPlainObject(schema)) return `${path} must be an object`;
+    if (depth > MAX_DEPTH) return `${path} is nested more than ${MAX_DEPTH} levels deep`;
+
+    const unknown = Object.keys(schema).find(key => !KEYWORDS.has(key));
+    if (unknown) return `${path} uses "${unknown}", which is not supported`;
+
+    const types = typesOf(schema);
+    if (!types.length || !types.every(type => TYPES.includes(type))) {
+        return `${path}.type must be one of: ${TYPES.join(', ')}`;
+    }
+
+    if (schema.enum !== undefined && (!Array.isArray(schema.enum) || !schema.enum.length ||
+        !schema.enum.every(value => ['string', 'number'].includes(typeof value)))) {
+        return `${path}.enum must be a list of strings or numbers`;
+    }
+
+    if (types.includes('object')) {
+        if (!isPlainObject(schema.properties) || !Object.keys(schema.properties).length) {
+            return `${path}.properties must list at least one property`;
+        }
+        for (const [name, property] of Object.entries(schema.properties)) {
+            const error = checkSchema(property, `${path}.properties.${name}`, depth + 1);
+            if (error) return error;
+        }
+        if (schema.required !== undefined && (!Array.isArray(schema.required) ||
+            !schema.required.every(name => Object.hasOwn(schema.properties, name)))) {
+            return `${path}.required must list names from ${path}.properties`;
+        }
+        if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+            return `${path}.additionalProperties must be true or false`;
+        }
+    }
+
+    if (types.includes('array')) {
+        if (schema.items === undefined) return `${path}.items is required for arrays`;
+        return checkSchema(schema.items, `${path}.items`, depth + 1);
+    }
+    return null;
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return isPlainObject(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'null': return value === null;
+        default: return false;
+    }
+}
+
+/**
+ * Validate `value` against a schema that passed `checkSchema`.
+ * @param {unknown} value
+ * @param {object} schema
+ * @returns {string[]} problems found (at most MAX_ERRORS), empty when valid
+ */
+function validate(value, schema) {
+    const errors = [];
+
+    function visit(current, node, path, optional) {
+        if (errors.length >= MAX_ERRORS) return;
+        if (current === null && optional) return;
+
+        const types = typesOf(node);
+        if (!types.some(type => matchesType(current, type))) {
+            errors.push(`${path} should be ${types.join(' or ')}`);
+            return;
+        }
+        if (node.enum && !node.enum.includes(current)) {
+            errors.push(`${path} should be one of: ${node.enum.join(', ')}`);
+        }
+        if (typeof current === 'number') {
+            if (node.minimum !== undefined && current < node.minimum) errors.push(`${path} should be at least ${node.minimum}`);
+            if (node.maximum !== undefined && current > node.maximum) errors.push(`${path} should be at most ${node.maximum}`);
+        }
+        if (isPlainObject(current) && node.properties) {
+            const required = node.required || [];
+            for (const name of required) {
+                if (!Object.hasOwn(current, name)) errors.push(`${path}.${name} is missing`);
+            }
+            for (const [name, property] of Object.entries(node.properties)) {
+                if (Object.hasOwn(current, name)) visit(current[name], property, `${path}.${name}`, !required.includes(name));
+            }
+            if (node.additionalProperties === false) {
+                const extra = Object.keys(current).find(name => !Object.hasOwn(node.properties, name));
+                if (extra) errors.push(`${path}.${extra} is not in the schema`);
+            }
+        }
+        if (Array.isArray(current)) {
+            if (node.minItems !== undefined && current.length < node.minItems) errors.push(`${path} should have at least ${node.minItems} items`);
+            if (node.maxItems !== undefined && current.length > node.maxItems) errors.push(`${path} should have at most ${node.maxItems} items`);
+            current.forEach((item, index) => visit(item, node.items, `${path}[${index}]`, false));
+        }
+    }
+
+    visit(value, schema, '$', false);
+    return errors;
+}
+
+/**
+ * A value that fits `schema`, for the mock provider.
+ * @param {object} schema
+ */
+function sampleFor(schema) {
+    if (schema.enum) return schema.enum[0];
+    switch (typesOf(schema)[0]) {
+        case 'object':
+            return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, sampleFor(property)]));
+        case 'array':
+            return [sampleFor(schema.items), sampleFor(schema.items)];
+        case 'string': return 'example';
+        case 'number': return schema.minimum ?? 1.5;
+        case 'integer': return schema.minimum ?? 1;
+        case 'boolean': return true;
+        default: return null;
+    }
+}
+
+module.exports = { checkSchema, validate, sampleFor };
@@ -0,0 +1,35 @@
+// Prompts for the "… selection" context menu actions. The extension sends
+// the selected text plus some surrounding page text for context.
+const { describePage } = require('./summarize');
+
+const SELECTION_MODES = {
+    explain: 'Explain the selected passage in plain language. Define any jargon or references it relies on.',
+    summarize: 'Summarize the selected passage in 2-3 sentences.',
+    translate: 'Translate the selected passage into {language}. Reply with the translation only.',
+    ask: 'Answer the question about the selected passage. Use the surrounding text only as background.',
+};
+
+// Keep prompts bounded even if a whole page gets selected
+const MAX_SELECTION_CHARS = 20000;
+const MAX_CONTEXT_CHARS = 4000;
+
+/**
+ * Build the prompt for a selection action.
+ * @param {{mode: string, selection: string, context?: string, question?: string,
+ *   title?: string, url?: string, language?: string}} request
+ * @returns {string}
+ */
+function buildSelectionPrompt({ mode, selection, context, question, title, url, language }) {
+    const instruction = SELECTION_MODES[mode].replace('{language}', language || 'English');
+    const parts = [instruction];
+
+    const header = describePage({ title, url });
+    if (header) parts.push(header);
+    if (typeof context === 'string' && context) parts.push(`Surrounding text:\n"""\n${context.slice(0, MAX_CONTEXT_CHARS)}\n"""`);
+    parts.push(`Selected passage:\n"""\n${selection.slice(0, MAX_SELECTION_CHARS)}\n"""`);
+    if (mode === 'ask') parts.push(`Question: ${question}`);
+
+    return parts.join('\n\n');
+}
+
+module.exports = { SELECTION_MODES, buildSelectionPrompt };
@@ -1,137 +1,457 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { GoogleGenAI } = require('@google/genai');
+const config = require('./config');
+const { createProvider } = require('./providers');
+const { pipeModelStream, streamEvents } = require('./events');
+const { summarizePage, describePage } = require('./summarize');
+const { extractData } = require('./extract');
+const { researchSources } = require('./research');
+const { translatePage } = require('./translate');
+const { parseLanguage } = require('./language');
+const { extractDocument, PAGE_CITATION_RULES, PAGE_NOTES_RULES } = require('./documents');
+const { parsePassages, selectPassages, promptWithPassages, CITATION_RULES } = require('./passages');
+const { checkSchema } = require('./schema');
+const { SELECTION_MODES, buildSelectionPrompt } = require('./selection');
+const { createSessionStore, sanitizeMessages } = require('./sessions');
+const { createSummaryCache, summaryCacheKey } = require('./cache');
+const { buildContext } = require('./context');
+const { createAuth } = require('./auth');
+const { createUsageTracker } = require('./usage');
+const { parseSettings, parseSummaryTemplate, describeSettings } = require('./settings');
 
 const app = express();
-const port = 3000;
+const port = config.port;
 
-// Initialize Gemini API client
-const ai = new GoogleGenAI({});
+// Initialize the configured model provider (gemini, openai or mock)
+const provider = createProvider();
+const sessions = createSessionStore();
+const summaryCache = createSummaryCache();
+const auth = createAuth();
+const usage = createUsageTracker();
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+// Only the extension may call the proxy: foreign origins are turned away and
+// every /api route except pairing needs a token (see auth.js)
+app.use(auth.checkOrigin);
+app.use(cors(auth.corsOptions));
+// Whole pages are posted for summarization, so allow bodies well past the 100kb default
+app.use(express.json({ limit: '10mb' }));
+
+// Trade the pairing code printed at startup for a token
+app.post('/api/pair', auth.pair);
+app.use('/api', auth.requireToken);
+
+// Lets the extension check that its token is still accepted
+app.get('/api/auth', (req, res) => {
+    res.json({ ok: true });
+});
+
+// Models and limits the options page can offer
+app.get('/api/settings', (req, res) => {
+    res.json(describeSettings(provider));
+});
+
+/**
+ * Look up the session named in a request body. Sends a 404 and resolves with
+ * null when it doesn't exist; resolves with undefined when none was given.
+ */
+async function findSession(sessionId, res) {
+    if (sessionId === undefined || sessionId === null || sessionId === '') return undefined;
+    const session = await sessions.get(String(sessionId));
+    if (!session) res.status(404).json({ error: 'Session not found' });
+    return session;
+}
+
+// Store a finished exchange in its session. Cancelled and empty answers are
+// dropped, the same as the extension does with its local copy. The reply
+// notes the model that wrote it, like that copy does, so exports keep it.
+async function saveExchange(session, userMessage, result, events, settings) {
+    if (!session || events.aborted || !result.text.trim()) return;
+    const reply = {
+        role: 'model',
+        parts: [{ text: result.text.trim() }],
+        meta: { model: settings.generation.model || provider.model, ...result.meta }
+    };
+    await sessions.append(session.id, [userMessage, reply]);
+}
+
+// Validate the optional `settings` of a request (model, temperature, prompts;
+// see settings.js). Sends a 400 and resolves with null when they're invalid.
+function requestSettings(req, res) {
+    const { settings, error } = parseSettings(req.body.settings, provider);
+    if (error) {
+        res.status(400).json({ error });
+        return null;
+    }
+    return settings;
+}
 
 // Define the API endpoint for the Extension
-app.post('/api/gemini', async (req, res) => {
-    try {
-        const { prompt, conversationHistory } = req.body;
+// With a `sessionId` the context comes from the stored session and the
+// exchange is saved to it; otherwise the client sends `conversationHistory`.
+// Either way the history is fitted to the model's token budget (context.js)
+// and a `context` event reports how much of it is used. Optional page
+// `passages` go along with the question for the answer to cite; in a PDF
+// conversation answers cite its pages instead.
+app.post('/api/gemini', usage.guard('gemini'), async (req, res) => {
+    const { prompt, conversationHistory, sessionId, meta } = req.body;
 
-        if (!prompt) {
-            return res.status(400).json({ error: 'Prompt is required' });
-        }
+    if (!prompt) {
+        return res.status(400).json({ error: 'Prompt is required' });
+    }
+    const settings = requestSettings(req, res);
+    if (!settings) return;
+    const { passages, error } = parsePassages(req.body.passages);
+    if (error) return res.status(400).json({ error });
+    const cited = selectPassages(passages, prompt, Math.min(config.passages.maxTokens, Math.floor(provider.contextTokens / 2)));
 
+    const session = await findSession(sessionId, res);
+    if (session === null) return;
+
+    // The current user message, as it will be stored in the session
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: prompt }]
+    };
+    if (meta) userMessage.meta = meta;
+
+    const messages = session ? session.messages : sanitizeMessages(conversationHistory);
+    let systemInstruction = settings.systemInstruction;
+    if (cited.length) systemInstruction += `\n\n${CITATION_RULES}`;
+    else if (isPdfConversation(messages)) systemInstruction += `\n\n${PAGE_CITATION_RULES}`;
+
+    // From here on everything, including failures, goes out as stream events.
+    // The request counts towards usage now that it's valid, and the model
+    // calls go through a provider that meters them (see usage.js).
+    await streamEvents(res, events => usage.track(res, provider, async (provider) => {
         // Build conversation history for context
-        let history = [];
-        if (Array.isArray(conversationHistory) && conversationHistory.length > 0) {
-            history = [...conversationHistory];
+        const context = await buildContext({
+            provider,
+            messages,
+            prompt: cited.length ? promptWithPassages(prompt, cited) : prompt,
+            systemInstruction,
+            summary: session?.contextSummary,
+            events
+        });
+        events.send('context', context.report);
+        if (session && context.summary !== session.contextSummary) {
+            await sessions.setContextSummary(session.id, context.summary);
         }
-        
-        // Add the current user message
-        history.push({
-            role: 'user',
-            parts: [{ text: prompt }]
+
+        // Generate content stream for realtime output
+        const stream = provider.generateContentStream({
+            contents: context.contents,
+            systemInstruction: context.systemInstruction,
+            signal: events.signal,
+            generation: settings.generation
         });
+        const result = await pipeModelStream(stream, events, { priorUsage: context.usage });
+        await saveExchange(session, userMessage, result, events, settings);
+    }));
+});
+// Whether a conversation is about a PDF, so answers should cite its pages
+function isPdfConversation(messages) {
+    return messages.some(message => message.meta?.kind === 'summary' && message.meta.format === 'pdf');
+}
 
-        // Set the response header for streaming
-        // Use no-cache and disable buffering to improve realtime delivery
-        res.setHeader('Content-Type', 'text/plain; charset=utf-8');
-        res.setHeader('Transfer-Encoding', 'chunked');
-        res.setHeader('Cache-Control', 'no-cache, no-transform');
-        // For some proxies (nginx) to avoid buffering
-        res.setHeader('X-Accel-Buffering', 'no');
+// Read a document the content script can't: the raw bytes of a PDF or text
+// file, posted as application/octet-stream with the document's own type in
+// `?type=` (a JSON file must not reach the JSON body parser). HTML pages from
+// the command line client come the same way, with the address they were read
+// from in `?url=`. Answers with the text as a page for /api/summarize (see
+// documents.js); nothing is stored or sent to a model.
+app.post('/api/document', express.raw({ limit: config.documents.maxBytes }), async (req, res) => {
+    if (!Buffer.isBuffer(req.body)) {
+        return res.status(400).json({ error: 'Document bytes are required' });
+    }
+    const type = typeof req.query.type === 'string' ? req.query.type : '';
+    const url = typeof req.query.url === 'string' ? req.query.url : '';
+    const { document, error } = await extractDocument(req.body, type, url);
+    if (error) return res.status(422).json({ error });
+    res.json(document);
+});
 
+// Summarize a whole page. Long pages are chunked, summarized in parallel and
+// combined (see summarize.js); progress events report each finished chunk.
+// An optional `template` {name, prompt} picks the kind of summary. A PDF from
+// /api/document (`format: 'pdf'`) is summarized with page citations.
+// Finished summaries are cached (see cache.js): the same page summarized the
+// same way again gets a `cache` event and the stored answer, unless the
+// request says `refresh: true`.
+app.post('/api/summarize', usage.guard('summarize'), async (req, res) => {
+    const { content, title, url, byline, publishedDate, format, refresh, sessionId, meta } = req.body;
 
-        // Track if client disconnected to stop streaming work
-        let clientAborted = false;
-        res.on('close', () => {
-            clientAborted = true;
-            console.log('Client disconnected: aborting stream');
-        });
+    if (!content || typeof content !== 'string') {
+        return res.status(400).json({ error: 'Content is required' });
+    }
+    const settings = requestSettings(req, res);
+    if (!settings) return;
+    const { template, error } = parseSummaryTemplate(req.body.template);
+    if (error) return res.status(400).json({ error });
+
+    const session = await findSession(sessionId, res);
+    if (session === null) return;
 
-        // Helper to clean/unwrap text that may be returned wrapped as JSON string
-        function cleanText(raw) {
-            if (!raw) return '';
-            let text = raw;
-
-            // If the SDK returned a JSON string like '{"text":"..."}', try to parse
-            const looksLikeJson = /^\s*\{\s*"text"\s*:\s*"/;
-            if (looksLikeJson.test(text)) {
-                try {
-                    const parsed = JSON.parse(text);
-                    if (parsed && typeof parsed.text === 'string') {
-                        text = parsed.text;
-                    }
-                } catch (e) {
-                    // If parsing fails, keep original
-                }
-            }
-
-            // Unescape common escaped sequences that sometimes appear in JSON-encoded text
-            // e.g. "\n" -> newline
-            text = text.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
-
-            // Remove simple markdown bold markers for a clean UI ("**bold**" -> "bold")
-            text = text.replace(/\*\*(.*?)\*\*/g, '$1');
-
-            return text;
+    const page = { content, title, url, byline, publishedDate };
+    const pdf = format === 'pdf';
+    // The whole page is stored so follow-up questions in the session can use it
+    const request = template?.name ? `Summarize this page (${template.name})` : 'Summarize this page';
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `${request}:\n\n${describePage(page)}\n\n${content}` }],
+        meta: meta || {
+            kind: 'summary',
+            title: title || '',
+            url: url || '',
+            ...(pdf && { format: 'pdf' }),
+            ...(template && { template: { name: template.name } })
         }
+    };
 
-        // Generate content stream for realtime output
-        // Pass full conversation history for context
-        const stream = await ai.models.generateContentStream({
-            model: 'gemini-2.5-flash',
-            contents: history, // Pass full conversation history
-            config: {
-                systemInstruction: "You are a helpful AI assistant. You can summarize web pages and answer questions about them. Be concise but thorough when needed. When asked about a summarized page, use the context from the conversation history.",
-            }
-        });
+    const cacheKey = summaryCacheKey({
+        url,
+        content,
+        prompt: [settings.summaryInstruction, template?.prompt || null, settings.systemInstruction, pdf],
+        model: { ...settings.generation, model: settings.generation.model || provider.model, provider: provider.name }
+    });
 
-        // Pipe the stream directly to the response object; honor client disconnects
-        try {
-            for await (const chunk of stream) {
-                if (clientAborted) {
-                    // Stop consuming the stream when client disconnects
-                    console.log('Stopping stream due to client abort');
-                    break;
-                }
-
-                // Some SDK chunks may be objects with .text; be defensive
-                let text = typeof chunk === 'string' ? chunk : (chunk?.text ?? '');
-                if (text) {
-                    const cleaned = cleanText(text);
-                    // Only write if there's something meaningful
-                    if (cleaned) res.write(cleaned);
-                }
-            }
-        } catch (streamErr) {
-            console.error('Stream iteration error:', streamErr);
-            if (!res.headersSent) {
-                res.status(500).json({ error: 'Error during streaming' });
-                return;
-            }
-            // If headers already sent, try to write a short message then end
-            try { res.write('\n[Stream ended with an error]\n'); } catch (e) {}
-        } finally {
-            // End the response stream if still writable
-            try { res.end(); } catch (e) { /* ignore */ }
+    await streamEvents(res, events => usage.track(res, provider, async (provider) => {
+        const cached = refresh ? null : await summaryCache.get(cacheKey);
+        if (cached) {
+            events.send('cache', { createdAt: cached.createdAt });
+            events.send('delta', { text: cached.text });
+            if (cached.finishReason) events.send('finish_reason', { reason: cached.finishReason });
+            await saveExchange(session, userMessage, { text: cached.text, meta: { cachedAt: cached.createdAt } }, events, settings);
+            return;
         }
 
-    } catch (error) {
-        console.error('Error with Gemini API:', error);
-        // If we haven't started a stream yet, return JSON error
-        if (!res.headersSent) {
-            res.status(500).json({ error: 'Internal Server Error' });
-        } else {
-            try { res.write('\n[Internal Server Error]\n'); } catch (e) {}
-            try { res.end(); } catch (e) {}
+        const result = await summarizePage({
+            provider,
+            events,
+            page,
+            instruction: settings.summaryInstruction,
+            template: template && template.prompt,
+            systemInstruction: pdf ? `${settings.systemInstruction}\n\n${PAGE_CITATION_RULES}` : settings.systemInstruction,
+            notesRules: pdf ? PAGE_NOTES_RULES : '',
+            generation: settings.generation
+        });
+        await saveExchange(session, userMessage, result, events, settings);
+        // Only answers that ended normally are worth replaying
+        if (!events.aborted && result.text.trim() && (!result.finishReason || /^stop$/i.test(result.finishReason))) {
+            await summaryCache.set(cacheKey, { url, text: result.text, finishReason: result.finishReason });
         }
-    
+    }));
+});
+
+// Extract data matching a JSON schema from a page (see extract.js). The
+// result streams as a fenced JSON answer followed by an `extraction` event
+// saying whether it matches the schema.
+app.post('/api/extract', usage.guard('extract'), async (req, res) => {
+    const { content, title, url, byline, publishedDate, schema, schemaName, sessionId, meta } = req.body;
+
+    if (!content || typeof content !== 'string') {
+        return res.status(400).json({ error: 'Content is required' });
     }
+    const schemaError = JSON.stringify(schema ?? null).length > config.extract.maxSchemaChars
+        ? `Schema must be at most ${config.extract.maxSchemaChars} characters of JSON`
+        : checkSchema(schema);
+    if (schemaError) return res.status(400).json({ error: `Invalid schema: ${schemaError}` });
+    const settings = requestSettings(req, res);
+    if (!settings) return;
+
+    const session = await findSession(sessionId, res);
+    if (session === null) return;
+
+    const page = { content, title, url, byline, publishedDate };
+    const name = typeof schemaName === 'string' && schemaName ? schemaName.slice(0, 100) : 'data';
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `Extract ${name} from this page:\n\n${describePage(page)}\n\n${content}` }],
+        meta: meta || { kind: 'extract', title: title || '', url: url || '', schema: { name } }
+    };
+
+    await streamEvents(res, events => usage.track(res, provider, async (provider) => {
+        const result = await extractData({ provider, events, page, schema, generation: settings.generation });
+        await saveExchange(session, userMessage, result, events, settings);
+    }));
+});
+
+// Translate a whole page (see translate.js). The target is the request's
+// `language` tag, else the one in the settings, else English. Long pages are
+// translated in parts that stream back in order.
+app.post('/api/translate', usage.guard('translate'), async (req, res) => {
+    const { content, title, url, byline, publishedDate, lang, sessionId, meta } = req.body;
+
+    if (!content || typeof content !== 'string') {
+        return res.status(400).json({ error: 'Content is required' });
+    }
+    if (content.length > config.translate.maxChars) {
+        return res.status(400).json({ error: `Pages of at most ${config.translate.maxChars} characters can be translated` });
+    }
+    const settings = requestSettings(req, res);
+    if (!settings) return;
+    const parsed = parseLanguage(req.body.language);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    const language = parsed.language || settings.language || { tag: 'en', name: 'English' };
+
+    const session = await findSession(sessionId, res);
+    if (session === null) return;
+
+    const page = { content, title, url, byline, publishedDate, lang };
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `Translate this page into ${language.name}:\n\n${describePage(page)}\n\n${content}` }],
+        meta: meta || { kind: 'translate', title: title || '', url: url || '', language }
+    };
+
+    await streamEvents(res, events => usage.track(res, provider, async (provider) => {
+        const result = await translatePage({ provider, events, page, language, generation: settings.generation });
+        await saveExchange(session, userMessage, result, events, settings);
+    }));
+});
+
+// Compare several pages in one answer that cites them as [1], [2]... (see
+// research.js). Each source is a page as sent to /api/summarize; an optional
+// `question` focuses the comparison. The session keeps the question and the
+// numbered source list, not the pages themselves.
+app.post('/api/research', usage.guard('research'), async (req, res) => {
+    const { sources, question = '', sessionId, meta } = req.body;
+
+    const { maxSources } = config.research;
+    if (!Array.isArray(sources) || sources.length < 2 || sources.length > maxSources) {
+        return res.status(400).json({ error: `Sources must be a list of 2 to ${maxSources} pages` });
+    }
+    const invalid = sources.findIndex(source => !source || typeof source.content !== 'string' || !source.content.trim());
+    if (invalid !== -1) {
+        return res.status(400).json({ error: `Source ${invalid + 1} has no content` });
+    }
+    if (typeof question !== 'string') {
+        return res.status(400).json({ error: 'Question must be text' });
+    }
+    const settings = requestSettings(req, res);
+    if (!settings) return;
+
+    const session = await findSession(sessionId, res);
+    if (session === null) return;
+
+    const pages = sources.map(({ content, title, url, byline, publishedDate }) => ({ content, title, url, byline, publishedDate }));
+    const list = pages.map((page, index) => `[${index + 1}] ${page.title || page.url || 'Untitled'}${page.url ? ` (${page.url})` : ''}`).join('\n');
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `${question ? `Research question: ${question}` : 'Compare these pages'}\n\nSources:\n${list}` }],
+        meta: meta || { kind: 'research', question, sources: pages.map(({ title, url }) => ({ title: title || '', url: url || '' })) }
+    };
+
+    await streamEvents(res, events => usage.track(res, provider, async (provider) => {
+        const result = await researchSources({
+            provider,
+            events,
+            sources: pages,
+            question: question.trim(),
+            systemInstruction: settings.systemInstruction,
+            generation: settings.generation
+        });
+        await saveExchange(session, userMessage, result, events, settings);
+    }));
+});
+
+// Explain / summarize / translate / ask about a selected passage. An optional
+// `language` tag picks what translations are written in.
+app.post('/api/selection', usage.guard('selection'), async (req, res) => {
+    const { mode, selection, context, question, title, url, language } = req.body;
+
+    if (!Object.hasOwn(SELECTION_MODES, mode)) {
+        return res.status(400).json({ error: `Mode must be one of: ${Object.keys(SELECTION_MODES).join(', ')}` });
+    }
+    if (!selection || typeof selection !== 'string') {
+        return res.status(400).json({ error: 'Selection is required' });
+    }
+    if (mode === 'ask' && (!question || typeof question !== 'string')) {
+        return res.status(400).json({ error: 'Question is required' });
+    }
+    const settings = requestSettings(req, res);
+    if (!settings) return;
+    const parsed = parseLanguage(language);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+    // Selections are translated into the answer language unless the request names another
+    const prompt = buildSelectionPrompt({
+        mode, selection, context, question, title, url,
+        language: (parsed.language || settings.language)?.name
+    });
+
+    await streamEvents(res, events => usage.track(res, provider, async (provider) => {
+        const stream = provider.generateContentStream({
+            contents: [{ role: 'user', parts: [{ text: prompt }] }],
+            systemInstruction: settings.systemInstruction,
+            signal: events.signal,
+            generation: settings.generation
+        });
+        await pipeModelStream(stream, events);
+    }));
+});
+
+// Token and request totals for today and this month, for the whole backend
+// and for the calling client, plus the configured limits
+app.get('/api/usage', async (req, res) => {
+    res.json(await usage.summary(req.client.id));
+});
+
+// --- Sessions ----------------------------------------------------------------
+
+app.post('/api/sessions', async (req, res) => {
+    const { title, url, messages } = req.body || {};
+    const session = await sessions.create({ title, url, messages });
+    res.status(201).json(session);
+});
+
+// `?url=` narrows the list to one page's conversations
+app.get('/api/sessions', async (req, res) => {
+    const url = typeof req.query.url === 'string' ? req.query.url : undefined;
+    res.json({ sessions: await sessions.list({ url }) });
+});
+
+app.get('/api/sessions/:id', async (req, res) => {
+    const session = await sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json(session);
+});
+
+app.post('/api/sessions/:id/messages', async (req, res) => {
+    const { messages } = req.body || {};
+    if (!Array.isArray(messages)) {
+        return res.status(400).json({ error: 'Messages must be an array' });
+    }
+    const session = await sessions.append(req.params.id, messages);
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json(session);
+});
+
+// Replace the title and/or messages, e.g. after turns are deleted or regenerated
+app.put('/api/sessions/:id', async (req, res) => {
+    const { title, messages } = req.body || {};
+    if (messages !== undefined && !Array.isArray(messages)) {
+        return res.status(400).json({ error: 'Messages must be an array' });
+    }
+    const session = await sessions.update(req.params.id, { title, messages });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    res.json(session);
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    if (!await sessions.remove(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.status(204).end();
+});
+
+//Start the server (unless required from a test or script)
+if (require.main === module) {
+    app.listen(port, config.host, () => {
+        console.log(`Server is running on http://${config.host}:${port} (provider: ${provider.name}, model: ${provider.model})`);
+        console.log(`Pairing code: ${auth.pairingCode} (enter it in the extension options to connect)`);
     });
+}
 
-//Start the server
-app.listen(port, () => {
-    console.log(`Server is running on http://localhost:${port}`);
-});
\ No newline at end of file
+module.exports = app;
\ No newline at end of file
@@ -0,0 +1,212 @@
+// Conversation sessions stored on the backend, so history outlives the popup
+// and the tab and can be shared by every browser that uses this server.
+// Everything lives in one JSON file; writes go through a temp file and a
+// rename so a crash never leaves it half written.
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('./config');
+
+// `meta` cleaners: each returns the cleaned value, or undefined to drop it
+const text = max => value => (typeof value === 'string' ? value.slice(0, max) : undefined);
+const integer = value => (Number.isSafeInteger(value) ? value : undefined);
+const oneOf = (...allowed) => value => (allowed.includes(value) ? value : undefined);
+const listOf = (clean, max) => value => (Array.isArray(value)
+    ? value.slice(0, max).map(clean).filter(item => item !== undefined)
+    : undefined);
+function fields(spec) {
+    return value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return undefined;
+        const cleaned = {};
+        for (const [key, clean] of Object.entries(spec)) {
+            const item = Object.hasOwn(value, key) ? clean(value[key]) : undefined;
+            if (item !== undefined) cleaned[key] = item;
+        }
+        return Object.keys(cleaned).length ? cleaned : undefined;
+    };
+}
+
+// What the extension records about a turn to render its chip and to redo it:
+// the kind of request and its page, template, schema, language, table,
+// sources or selection; on replies, the model and when a cached summary was
+// made. Anything else a client sends is dropped.
+const cleanMeta = fields({
+    kind: oneOf('summary', 'extract', 'translate', 'table', 'research', 'selection'),
+    title: text(1000),
+    url: text(4000),
+    format: oneOf('pdf'),
+    template: fields({ id: text(100), name: text(200) }),
+    schema: fields({ id: text(100), name: text(200) }),
+    language: fields({ tag: text(35), name: text(100) }),
+    caption: text(1000),
+    question: text(4000),
+    sources: listOf(fields({ title: text(1000), url: text(4000), tabId: integer }), 20),
+    mode: text(50),
+    label: text(200),
+    preview: text(1000),
+    model: text(200),
+    cachedAt: text(50),
+});
+
+/**
+ * Keep well-formed turns only. Unlike the model-facing contents (context.js)
+ * this keeps `meta`, cut down to the fields the extension uses to render
+ * summary and selection chips.
+ * @param {unknown} messages
+ * @returns {{role: 'user'|'model', parts: {text: string}[], meta?: object}[]}
+ */
+function sanitizeMessages(messages) {
+    if (!Array.isArray(messages)) return [];
+    return messages
+        .filter(turn => turn && (turn.role === 'user' || turn.role === 'model') && Array.isArray(turn.parts))
+        .map(turn => {
+            const message = {
+                role: turn.role,
+                parts: turn.parts
+                    .filter(part => part && typeof part.text === 'string')
+                    .map(part => ({ text: part.text }))
+            };
+            const meta = cleanMeta(turn.meta);
+            if (meta) message.meta = meta;
+            return message;
+        });
+}
+
+// List entries leave out the (potentially huge) messages
+function describeSession({ messages, contextSummary, ...session }) {
+    return { ...session, messageCount: messages.length };
+}
+
+/**
+ * Create a session store backed by `file`.
+ * @param {string} [file]
+ */
+function createSessionStore(file = config.sessions.file) {
+    let sessions = null; // id -> session, loaded on first use
+    let loading = null;
+    let writing = Promise.resolve();
+
+    function load() {
+        if (sessions) return Promise.resolve(sessions);
+        loading = loading || fs.readFile(file, 'utf8')
+            .then(raw => JSON.parse(raw).sessions || [])
+            .catch(err => {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            })
+            .then(list => {
+                sessions = new Map(list.map(session => [session.id, session]));
+                return sessions;
+            })
+            .finally(() => { loading = null; });
+        return loading;
+    }
+
+    // Writes are queued so an older snapshot never lands after a newer one
+    function persist() {
+        const snapshot = JSON.stringify({ sessions: [...sessions.values()] });
+        const tmp = `${file}.tmp`;
+        writing = writing
+            .catch(() => {})
+            .then(async () => {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(tmp, snapshot);
+                await fs.rename(tmp, file);
+            });
+        return writing;
+    }
+
+    return {
+        /**
+         * @param {{title?: string, url?: string, messages?: unknown}} [fields] -
+         *   a title or URL that isn't text is left empty, as `update` ignores it
+         */
+        async create({ title, url, messages = [] } = {}) {
+            await load();
+            const now = new Date().toISOString();
+            const session = {
+                id: crypto.randomUUID(),
+                title: typeof title === 'string' ? title : '',
+                url: typeof url === 'string' ? url : '',
+                createdAt: now,
+                updatedAt: now,
+                messages: sanitizeMessages(messages),
+                contextSummary: null
+            };
+            sessions.set(session.id, session);
+            await persist();
+            return session;
+        },
+
+        /**
+         * Sessions without their messages, most recently updated first.
+         * @param {{url?: string}} [filter]
+         */
+        async list({ url } = {}) {
+            await load();
+            return [...sessions.values()]
+                .filter(session => !url || session.url === url)
+                .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+                .map(describeSession);
+        },
+
+        async get(id) {
+            await load();
+            return sessions.get(id) || null;
+        },
+
+        /**
+         * Add turns to the end of a session. Resolves with the session, or
+         * null if there is no such session.
+         */
+        async append(id, messages) {
+            await load();
+            const session = sessions.get(id);
+            if (!session) return null;
+            session.messages.push(...sanitizeMessages(messages));
+            session.updatedAt = new Date().toISOString();
+            await persist();
+            return session;
+        },
+
+        /**
+         * Replace a session's title and/or messages (after the user deletes or
+         * regenerates turns).
+         */
+        async update(id, { title, messages } = {}) {
+            await load();
+            const session = sessions.get(id);
+            if (!session) return null;
+            if (typeof title === 'string') session.title = title;
+            if (messages !== undefined) {
+                session.messages = sanitizeMessages(messages);
+                // Summarized turns may be gone or different now
+                session.contextSummary = null;
+            }
+            session.updatedAt = new Date().toISOString();
+            await persist();
+            return session;
+        },
+
+        /**
+         * Cache the rolling summary of older turns (see context.js).
+         */
+        async setContextSummary(id, contextSummary) {
+            await load();
+            const session = sessions.get(id);
+            if (!session) return null;
+            session.contextSummary = contextSummary;
+            await persist();
+            return session;
+        },
+
+        async remove(id) {
+            await load();
+            if (!sessions.delete(id)) return false;
+            await persist();
+            return true;
+        },
+    };
+}
+
+module.exports = { createSessionStore, sanitizeMessages };
@@ -0,0 +1,134 @@
+// Per-request settings chosen on the extension's options page. Everything is
+// optional; what's left out falls back to the server defaults, and what's
+// sent is checked against the allow-lists and limits in config.
+const config = require('./config');
+const { DEFAULT_INSTRUCTION } = require('./summarize');
+const { parseLanguage, languageRule } = require('./language');
+
+const SUMMARY_INSTRUCTIONS = {
+    paragraph: {
+        short: 'Summarize this article in 1-2 sentences',
+        medium: DEFAULT_INSTRUCTION,
+        long: 'Summarize this article in 2-3 short paragraphs',
+    },
+    bullets: {
+        short: 'Summarize this article as 3 bullet points',
+        medium: 'Summarize this article as 5-7 bullet points',
+        long: 'Summarize this article as 8-12 bullet points',
+    },
+};
+
+/**
+ * Models a request may pick for `provider`: its allow-list plus its default.
+ * @param {{model: string, allowedModels?: string[]}} provider
+ */
+function allowedModels(provider) {
+    return [...new Set([provider.model, ...(provider.allowedModels || [])])];
+}
+
+/**
+ * Validate the `settings` object of a request body.
+ * @param {unknown} raw
+ * @param {{model: string, allowedModels?: string[]}} provider
+ * @returns {{error: string} | {settings: {generation: {model?: string, temperature?: number, maxOutputTokens?: number},
+ *   systemInstruction: string, summaryInstruction: string, language: {tag: string, name: string}|null}}}
+ */
+function parseSettings(raw, provider) {
+    const settings = {
+        generation: {},
+        systemInstruction: config.systemInstruction,
+        summaryInstruction: DEFAULT_INSTRUCTION,
+        language: null,
+    };
+    if (raw === undefined || raw === null) return { settings };
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Settings must be an object' };
+
+    const { model, temperature, maxOutputTokens, systemPrompt, summaryLength, summaryStyle, language } = raw;
+
+    if (model !== undefined && model !== '') {
+        const models = allowedModels(provider);
+        if (!models.includes(model)) return { error: `Model must be one of: ${models.join(', ')}` };
+        settings.generation.model = model;
+    }
+    if (temperature !== undefined && temperature !== null) {
+        if (typeof temperature !== 'number' || !(temperature >= 0 && temperature <= 2)) {
+            return { error: 'Temperature must be a number from 0 to 2' };
+        }
+        settings.generation.temperature = temperature;
+    }
+    if (maxOutputTokens !== undefined && maxOutputTokens !== null) {
+        const limit = config.generation.maxOutputTokens;
+        if (!Number.isInteger(maxOutputTokens) || maxOutputTokens < 1 || maxOutputTokens > limit) {
+            return { error: `Max output tokens must be a whole number from 1 to ${limit}` };
+        }
+        settings.generation.maxOutputTokens = maxOutputTokens;
+    }
+    if (systemPrompt !== undefined && systemPrompt !== '') {
+        const limit = config.generation.maxSystemPromptChars;
+        if (typeof systemPrompt !== 'string' || systemPrompt.length > limit) {
+            return { error: `System prompt must be text of at most ${limit} characters` };
+        }
+        settings.systemInstruction = systemPrompt;
+    }
+
+    const style = summaryStyle || 'paragraph';
+    const length = summaryLength || 'medium';
+    if (!Object.hasOwn(SUMMARY_INSTRUCTIONS, style)) {
+        return { error: `Summary style must be one of: ${Object.keys(SUMMARY_INSTRUCTIONS).join(', ')}` };
+    }
+    if (!Object.hasOwn(SUMMARY_INSTRUCTIONS[style], length)) {
+        return { error: `Summary length must be one of: ${Object.keys(SUMMARY_INSTRUCTIONS[style]).join(', ')}` };
+    }
+    settings.summaryInstruction = SUMMARY_INSTRUCTIONS[style][length];
+
+    // The answer language applies to custom system prompts too
+    const parsed = parseLanguage(language);
+    if (parsed.error) return { error: parsed.error };
+    if (parsed.language) {
+        settings.language = parsed.language;
+        settings.systemInstruction += `\n\n${languageRule(parsed.language)}`;
+        settings.summaryInstruction += ` in ${parsed.language.name}`;
+    }
+
+    return { settings };
+}
+
+/**
+ * Validate the `template` of a summarize request: the prompt of the summary
+ * mode the user picked, with optional {title}, {url} and {content}
+ * placeholders (see summarize.js).
+ * @param {unknown} raw
+ * @returns {{error: string} | {template: {name: string, prompt: string}|null}}
+ */
+function parseSummaryTemplate(raw) {
+    if (raw === undefined || raw === null) return { template: null };
+    if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Template must be an object' };
+
+    const { name = '', prompt } = raw;
+    const limit = config.summarize.maxTemplateChars;
+    if (typeof prompt !== 'string' || !prompt.trim() || prompt.length > limit) {
+        return { error: `Template prompt must be text of at most ${limit} characters` };
+    }
+    if (typeof name !== 'string') return { error: 'Template name must be text' };
+    return { template: { name: name.slice(0, 100), prompt } };
+}
+
+/**
+ * What the options page may choose from (GET /api/settings).
+ * @param {{name: string, model: string, allowedModels?: string[]}} provider
+ */
+function describeSettings(provider) {
+    return {
+        provider: provider.name,
+        defaultModel: provider.model,
+        models: allowedModels(provider),
+        temperature: { min: 0, max: 2 },
+        maxOutputTokens: { max: config.generation.maxOutputTokens },
+        systemPrompt: { default: config.systemInstruction, maxChars: config.generation.maxSystemPromptChars },
+        summaryStyles: Object.keys(SUMMARY_INSTRUCTIONS),
+        summaryLengths: Object.keys(SUMMARY_INSTRUCTIONS.paragraph),
+        summaryTemplate: { maxChars: config.summarize.maxTemplateChars },
+    };
+}
+
+module.exports = { parseSettings, parseSummaryTemplate, describeSettings, SUMMARY_INSTRUCTIONS };
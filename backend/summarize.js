@@ -0,0 +1,205 @@
+// Map-reduce summarization for pages of any length.
+//
+// Short pages are summarized in a single streamed call. Longer ones are split
+// into token-sized chunks on paragraph/heading boundaries, each chunk is
+// summarized in parallel ("map"), and the partial notes are combined into the
+// final streamed summary ("reduce"). If the notes themselves are still too
+// long they are condensed again before the reduce step.
+const config = require('./config');
+const { CHARS_PER_TOKEN, estimateTokens, addUsage } = require('./tokens');
+const { pipeModelStream } = require('./events');
+
+const DEFAULT_INSTRUCTION = 'Summarize this article in 3-4 sentences';
+const MAX_CONDENSE_ROUNDS = 3;
+
+const NOTES_SYSTEM_INSTRUCTION = 'You write dense, factual notes about part of a longer document. ' +
+    'Keep names, numbers, definitions, decisions and conclusions. Do not add commentary.';
+
+/**
+ * Split an over-long paragraph on sentence boundaries, hard-cutting anything
+ * that still doesn't fit (e.g. minified code).
+ */
+function splitParagraph(paragraph, maxChars) {
+    if (paragraph.length <= maxChars) return [paragraph];
+    const pieces = [];
+    let current = '';
+    for (const sentence of paragraph.match(/[^.!?\n]+[.!?]*\s*|\n/g) || [paragraph]) {
+        if (current && current.length + sentence.length > maxChars) {
+            pieces.push(current.trim());
+            current = '';
+        }
+        current += sentence;
+        while (current.length > maxChars) {
+            pieces.push(current.slice(0, maxChars));
+            current = current.slice(maxChars);
+        }
+    }
+    if (current.trim()) pieces.push(current.trim());
+    return pieces;
+}
+
+/**
+ * Split text into chunks of at most `maxTokens` (estimated), preferring to
+ * break before headings and never inside a paragraph unless it is too big.
+ * @param {string} text
+ * @param {number} [maxTokens]
+ * @returns {string[]}
+ */
+function chunkText(text, maxTokens = config.summarize.chunkTokens) {
+    const maxChars = maxTokens * CHARS_PER_TOKEN;
+    const paragraphs = text.split(/\n{2,}/).filter(p => p.trim()).flatMap(p => splitParagraph(p, maxChars));
+
+    const chunks = [];
+    let current = '';
+    for (const paragraph of paragraphs) {
+        const startsSection = /^#{1,6}\s/.test(paragraph);
+        const wouldOverflow = current.length + paragraph.length + 2 > maxChars;
+        // Start a new chunk at a heading once the current one is reasonably full
+        if (current && (wouldOverflow || (startsSection && current.length > maxChars / 2))) {
+            chunks.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight, keeping order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+    await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+    return results;
+}
+
+/**
+ * Consume a provider stream into a single string.
+ */
+async function collectText(stream) {
+    let text = '';
+    let usage = null;
+    for await (const chunk of stream) {
+        if (chunk.text) text += chunk.text;
+        if (chunk.usage) usage = chunk.usage;
+    }
+    return { text: text.trim(), usage };
+}
+
+function userTurn(text) {
+    return [{ role: 'user', parts: [{ text }] }];
+}
+
+/**
+ * Title/author/date/URL lines that give the model context the body lacks.
+ */
+function describePage({ title, byline, publishedDate, url }) {
+    return [
+        title && `Title: ${title}`,
+        byline && `Author: ${byline}`,
+        publishedDate && `Published: ${publishedDate}`,
+        url && `URL: ${url}`,
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * The request for one summary: `instruction` followed by the page, or a
+ * template with its {title}, {url} and {content} placeholders filled in.
+ * Templates without {content} get the page appended, like an instruction.
+ * @param {{instruction: string, template?: string|null}} mode
+ * @param {{title?: string, url?: string}} page
+ * @param {string} content - the page text, or notes on it
+ */
+function summaryPrompt({ instruction, template }, page, content) {
+    const header = describePage(page);
+    if (!template) return `${instruction}:\n\n${header}\n\n${content}`;
+    const values = { title: page.title || '', url: page.url || '', content };
+    const filled = template.replace(/\{(title|url|content)\}/g, (_, name) => values[name]);
+    return template.includes('{content}') ? filled : `${filled}\n\n${header}\n\n${content}`;
+}
+
+/**
+ * Summarize a page and stream the result to `events`.
+ * @param {object} options
+ * @param {object} options.provider - model provider (see providers/index.js)
+ * @param {ReturnType<import('./events').openEventStream>} options.events
+ * @param {{content: string, title?: string, url?: string, byline?: string, publishedDate?: string}} options.page
+ * @param {string} [options.instruction] - what kind of summary to write
+ * @param {string|null} [options.template] - summary template; replaces `instruction`
+ * @param {string} [options.systemInstruction]
+ * @param {string} [options.notesRules] - added to the map steps' instructions, e.g. to keep page numbers
+ * @param {object} [options.generation] - per-request model overrides (see settings.js);
+ *   the map steps only take the model so their notes aren't cut short
+ */
+async function summarizePage({ provider, events, page, instruction = DEFAULT_INSTRUCTION, template = null, systemInstruction = config.systemInstruction, notesRules = '', generation = {} }) {
+    const header = describePage(page);
+    const chunks = chunkText(page.content);
+    const mode = { instruction, template };
+
+    if (chunks.length <= 1) {
+        const stream = provider.generateContentStream({
+            contents: userTurn(summaryPrompt(mode, page, page.content)),
+            systemInstruction,
+            signal: events.signal,
+            generation,
+        });
+        return pipeModelStream(stream, events);
+    }
+
+    let usage = null;
+
+    // Summarize each piece into notes, reporting progress as they finish
+    async function condense(pieces, stage) {
+        let completed = 0;
+        const total = pieces.length;
+        events.send('progress', { stage, completed, total });
+
+        return mapWithConcurrency(pieces, config.summarize.concurrency, async (piece, index) => {
+            if (events.aborted) throw new Error('Client disconnected');
+            const result = await collectText(provider.generateContentStream({
+                contents: userTurn(
+                    `Write notes on part ${index + 1} of ${total} of the page below.\n\n${header}\n\n---\n${piece}`
+                ),
+                systemInstruction: notesRules ? `${NOTES_SYSTEM_INSTRUCTION} ${notesRules}` : NOTES_SYSTEM_INSTRUCTION,
+                signal: events.signal,
+                generation: { model: generation.model },
+            }));
+            usage = addUsage(usage, result.usage);
+            completed++;
+            events.send('progress', { stage, completed, total });
+            return `Part ${index + 1}:\n${result.text}`;
+        });
+    }
+
+    let notes = await condense(chunks, 'map');
+    // Notes for very long documents may still not fit in one reduce call.
+    // A few rounds is plenty; the cap guards against notes that never shrink.
+    for (let round = 0; round < MAX_CONDENSE_ROUNDS; round++) {
+        if (notes.length <= 1 || estimateTokens(notes.join('\n\n')) <= config.summarize.chunkTokens) break;
+        notes = await condense(chunkText(notes.join('\n\n')), 'condense');
+    }
+
+    events.send('progress', { stage: 'reduce', completed: 0, total: 1 });
+    const stream = provider.generateContentStream({
+        contents: userTurn(summaryPrompt(
+            mode,
+            page,
+            'The page was too long to read at once, so these are notes on each part in order. ' +
+                `Answer for the whole page.\n\n${notes.join('\n\n')}`
+        )),
+        systemInstruction,
+        signal: events.signal,
+        generation,
+    });
+    return pipeModelStream(stream, events, { priorUsage: usage });
+}
+
+module.exports = { summarizePage, chunkText, describePage, collectText, mapWithConcurrency, DEFAULT_INSTRUCTION };
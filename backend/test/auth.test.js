@@ -0,0 +1,56 @@
+// Origin locking and tokens for the proxy (auth.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api } = require('./helpers');
+
+const EXTENSION = 'chrome-extension://abcdefghijklmnopabcdefghijklmnop';
+
+let server;
+before(async () => { server = await startServer({ ALLOWED_ORIGINS: EXTENSION }); });
+after(() => server.close());
+
+describe('auth', () => {
+    it('needs a token for /api routes', async () => {
+        const missing = await api(server, '/api/auth', { token: null });
+        assert.equal(missing.status, 401);
+        const wrong = await api(server, '/api/auth', { token: 'not-the-token' });
+        assert.equal(wrong.status, 401);
+        const right = await api(server, '/api/auth');
+        assert.deepEqual([right.status, right.body], [200, { ok: true }]);
+    });
+
+    it('turns away other origins, even with a token', async () => {
+        const site = await api(server, '/api/auth', { headers: { Origin: 'https://evil.example' } });
+        assert.equal(site.status, 403);
+        const otherExtension = await api(server, '/api/auth', { headers: { Origin: 'chrome-extension://someotherextensionid' } });
+        assert.equal(otherExtension.status, 403);
+    });
+
+    it('gives the allowed extension CORS headers', async () => {
+        const { status, headers } = await api(server, '/api/auth', { headers: { Origin: EXTENSION } });
+        assert.equal(status, 200);
+        assert.equal(headers.get('access-control-allow-origin'), EXTENSION);
+    });
+
+    it('trades the pairing code for a token, once', async () => {
+        const wrong = await api(server, '/api/pair', { body: { code: 'AAAA-AAAA' }, token: null });
+        assert.equal(wrong.status, 403);
+
+        // The server only prints its code, so read it the way an operator would
+        const { createAuth } = require('../auth');
+        const auth = createAuth({ file: `${server.dir}/paired.json`, token: '', origins: [] });
+        const pairApp = require('express')().use(require('express').json()).post('/api/pair', auth.pair);
+        const pairServer = await new Promise(resolve => { const s = pairApp.listen(0, '127.0.0.1', () => resolve(s)); });
+        try {
+            const local = { url: `http://127.0.0.1:${pairServer.address().port}` };
+            const code = auth.pairingCode.toLowerCase();
+            const paired = await api(local, '/api/pair', { body: { code, label: 'test' }, token: null });
+            assert.equal(paired.status, 201);
+            assert.ok(paired.body.token.length > 20);
+            const reused = await api(local, '/api/pair', { body: { code }, token: null });
+            assert.equal(reused.status, 403, 'a code works once');
+        } finally {
+            pairServer.close();
+        }
+    });
+});
@@ -0,0 +1,80 @@
+// The summary cache (cache.js) behind /api/summarize.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf, eventOf } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+describe('normalizeUrl and summaryCacheKey', () => {
+    let normalizeUrl, summaryCacheKey;
+    before(() => { ({ normalizeUrl, summaryCacheKey } = require('../cache')); });
+
+    it('drops fragments, tracking parameters and trailing slashes', () => {
+        assert.equal(normalizeUrl('https://example.com/docs/?b=2&utm_source=x&a=1#intro'), 'https://example.com/docs?a=1&b=2');
+        assert.equal(normalizeUrl('https://example.com/?fbclid=123'), 'https://example.com/');
+        assert.equal(normalizeUrl('not a url'), 'not a url');
+    });
+
+    it('changes with the content, prompt and model', () => {
+        const request = { url: 'https://example.com/a', content: 'Text', prompt: ['Summarize'], model: { model: 'm' } };
+        const key = summaryCacheKey(request);
+        assert.equal(summaryCacheKey({ ...request, url: 'https://example.com/a#top' }), key);
+        assert.notEqual(summaryCacheKey({ ...request, content: 'Other text' }), key);
+        assert.notEqual(summaryCacheKey({ ...request, prompt: ['Bullets'] }), key);
+        assert.notEqual(summaryCacheKey({ ...request, model: { model: 'm', temperature: 1 } }), key);
+    });
+});
+
+describe('createSummaryCache', () => {
+    let createSummaryCache;
+    before(() => { ({ createSummaryCache } = require('../cache')); });
+
+    it('drops the least recently used entries past the limit', async () => {
+        const cache = createSummaryCache({ file: `${server.dir}/lru.json`, ttlHours: 1, maxEntries: 2, maxBytes: 1e6 });
+        await cache.set('a', { text: 'A' });
+        await cache.set('b', { text: 'B' });
+        await cache.get('a');
+        await cache.set('c', { text: 'C' });
+        assert.equal(await cache.get('b'), null);
+        assert.equal((await cache.get('a')).text, 'A');
+        assert.equal((await cache.get('c')).text, 'C');
+    });
+
+    it('is off with a TTL of 0', async () => {
+        const cache = createSummaryCache({ file: `${server.dir}/off.json`, ttlHours: 0, maxEntries: 2, maxBytes: 1e6 });
+        await cache.set('a', { text: 'A' });
+        assert.equal(await cache.get('a'), null);
+    });
+});
+
+describe('POST /api/summarize caching', () => {
+    const page = { content: 'A page worth caching.', title: 'Cached', url: 'https://example.com/cached?utm_medium=mail' };
+
+    it('replays a summary of the same page without calling the model', async () => {
+        const first = await api(server, '/api/summarize', { body: page });
+        assert.equal(eventOf(first.events, 'cache'), undefined);
+
+        const again = await api(server, '/api/summarize', { body: { ...page, url: 'https://example.com/cached#part' } });
+        const cached = eventOf(again.events, 'cache');
+        assert.ok(Date.parse(cached.createdAt));
+        assert.equal(answerOf(again.events), answerOf(first.events));
+        assert.equal(eventOf(again.events, 'usage'), undefined);
+        assert.deepEqual(eventOf(again.events, 'finish_reason'), { type: 'finish_reason', reason: 'STOP' });
+    });
+
+    it('summarizes again when asked to refresh, or when anything that shapes the answer changes', async () => {
+        const refreshed = await api(server, '/api/summarize', { body: { ...page, refresh: true } });
+        assert.equal(eventOf(refreshed.events, 'cache'), undefined);
+        const bullets = await api(server, '/api/summarize', { body: { ...page, settings: { summaryStyle: 'bullets' } } });
+        assert.equal(eventOf(bullets.events, 'cache'), undefined);
+    });
+
+    it('stores the replayed answer in the session with when it was made', async () => {
+        const { body: session } = await api(server, '/api/sessions', { body: {} });
+        const { events } = await api(server, '/api/summarize', { body: { ...page, sessionId: session.id } });
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.deepEqual(stored.messages[1].meta, { model: 'mock', cachedAt: eventOf(events, 'cache').createdAt });
+    });
+});
@@ -0,0 +1,107 @@
+// scrape-summarize (cli.js), run as a client of a test server.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { startServer, api, TOKEN } = require('./helpers');
+
+let server;
+let page;
+before(async () => {
+    server = await startServer({ SUMMARY_CACHE_TTL_HOURS: '24', RATE_LIMIT_PER_MINUTE: '100', MOCK_CONTEXT_TOKENS: '100000' });
+    page = path.join(server.dir, 'post.html');
+    fs.writeFileSync(page, `<html><head><title>Post</title></head><body><article><h1>Post</h1>
+        <p>${'Words worth summarizing appear in this paragraph. '.repeat(6)}</p></article></body></html>`);
+});
+after(() => server.close());
+
+/**
+ * Run the CLI against the test server.
+ * @param {string[]} args
+ * @param {Record<string, string>} [env]
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function cli(args, env = {}) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(__dirname, '..', 'cli.js'), ...args], {
+            env: { PATH: process.env.PATH, SCRAPE_SUMMARIZE_BACKEND: server.url, SCRAPE_SUMMARIZE_TOKEN: TOKEN, ...env },
+            timeout: 30000,
+        }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+}
+
+const jsonLines = stdout => stdout.trim().split('\n').map(line => JSON.parse(line));
+
+describe('scrape-summarize', () => {
+    it('summarizes a local HTML file through the backend', async () => {
+        const { code, stdout } = await cli(['--format', 'json', '--template', 'tldr', page]);
+        assert.equal(code, 0);
+        const [result] = jsonLines(stdout);
+        assert.equal(result.title, 'Post');
+        assert.equal(result.url, `file://${page}`);
+        assert.equal(result.template, 'TL;DR');
+        assert.equal(result.model, 'mock');
+        assert.match(result.answer, /^This is a mock response/);
+        assert.equal(result.finishReason, 'STOP');
+        assert.ok(result.usage.totalTokens > 0);
+    });
+
+    it('gets a repeated summary from the cache unless told to refresh', async () => {
+        const [cached] = jsonLines((await cli(['--format', 'json', '--template', 'tldr', page])).stdout);
+        assert.ok(Date.parse(cached.cachedAt));
+        const [fresh] = jsonLines((await cli(['--format', 'json', '--template', 'tldr', '--refresh', page])).stdout);
+        assert.equal(fresh.cachedAt, undefined);
+    });
+
+    it('asks questions with the page as the conversation\'s page turn', async () => {
+        const { code, stdout } = await cli(['--format', 'json', '--ask', 'What is it about?', page]);
+        assert.equal(code, 0);
+        const [result] = jsonLines(stdout);
+        assert.equal(result.question, 'What is it about?');
+        assert.match(result.answer, /You said: "What is it about\?"\. The conversation has 2 message\(s\)/);
+    });
+
+    it('fits a long page to the context budget instead of cutting it at a fixed length', async () => {
+        const long = path.join(server.dir, 'long.txt');
+        fs.writeFileSync(long, `${'Early text. '.repeat(4000)}\n\nThe answer is at the very end.`);
+        const { code, stdout } = await cli(['--format', 'json', '--ask', 'Where is the answer?', long]);
+        assert.equal(code, 0);
+        // All ~48000 characters reach the model (4 characters a token)
+        assert.ok(jsonLines(stdout)[0].usage.promptTokens > 12000);
+    });
+
+    it('counts its requests in the backend\'s usage', async () => {
+        const { body } = await api(server, '/api/usage');
+        assert.ok(body.client.today.requests >= 3);
+    });
+
+    it('streams markdown and reports pages that fail', async () => {
+        const { code, stdout, stderr } = await cli([page, path.join(server.dir, 'missing.html')]);
+        assert.equal(code, 1);
+        assert.match(stdout, /^# Post\n\n<file:\/\/.*post\.html>\n\nThis is a mock response/);
+        assert.match(stderr, /missing\.html: ENOENT/);
+    });
+
+    it('passes backend errors on', async () => {
+        const { code, stdout } = await cli(['--format', 'json', '--language', 'xx', page]);
+        assert.equal(code, 1);
+        assert.match(jsonLines(stdout)[0].error, /^Server error 400: Language "xx" is not a known language/);
+    });
+
+    it('needs a token the backend accepts', async () => {
+        assert.equal((await cli([page], { SCRAPE_SUMMARIZE_TOKEN: '' })).code, 2);
+        const rejected = await cli([page], { SCRAPE_SUMMARIZE_TOKEN: 'wrong' });
+        assert.equal(rejected.code, 1);
+        assert.match(rejected.stderr, /did not accept the token/);
+        const pairing = await cli(['--pair', 'WRONG-CODE'], { SCRAPE_SUMMARIZE_TOKEN: '' });
+        assert.equal(pairing.code, 1);
+        assert.match(pairing.stderr, /Server error 403: Wrong pairing code/);
+    });
+
+    it('rejects bad arguments with the usage text', async () => {
+        const { code, stderr } = await cli(['--template', 'nope', page]);
+        assert.equal(code, 2);
+        assert.match(stderr, /Unknown template "nope"[\s\S]*Usage: scrape-summarize/);
+    });
+});
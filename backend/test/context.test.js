@@ -0,0 +1,87 @@
+// Token-budgeted context (context.js): history that doesn't fit is folded
+// into a rolling summary, and the page being discussed is always kept.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf, eventOf } = require('./helpers');
+
+// A 1000-token window, so a few long turns overflow it
+const env = { MOCK_CONTEXT_TOKENS: '1000', CONTEXT_SUMMARY_TOKENS: '100' };
+
+let server;
+before(async () => { server = await startServer(env); });
+after(() => server.close());
+
+const turn = (role, text, meta) => ({ role, parts: [{ text }], ...(meta && { meta }) });
+const filler = label => `${label} ${'words to fill the window '.repeat(40)}`;
+
+function longHistory(pairs) {
+    return Array.from({ length: pairs }, (_, i) => [turn('user', filler(`Question ${i + 1}`)), turn('model', filler(`Answer ${i + 1}`))]).flat();
+}
+
+describe('buildContext', () => {
+    let buildContext, provider;
+    before(() => {
+        ({ buildContext } = require('../context'));
+        provider = require('../providers').createProvider();
+    });
+
+    it('sends the whole history when it fits', async () => {
+        const messages = [turn('user', 'Hi'), turn('model', 'Hello')];
+        const context = await buildContext({ provider, messages, prompt: 'Next', systemInstruction: 'Be brief' });
+        assert.deepEqual(context.contents.map(content => content.parts[0].text), ['Hi', 'Hello', 'Next']);
+        assert.equal(context.systemInstruction, 'Be brief');
+        assert.equal(context.report.summarizedTurns, 0);
+        assert.equal(context.usage, null);
+    });
+
+    it('folds the oldest turns into a summary and keeps the newest', async () => {
+        const messages = longHistory(6);
+        const context = await buildContext({ provider, messages, prompt: 'Next', systemInstruction: 'Be brief' });
+        assert.ok(context.report.summarizedTurns > 0);
+        assert.ok(context.report.usedTokens <= context.report.budgetTokens);
+        assert.equal(context.contents[0].role, 'user', 'the window starts on a user turn');
+        assert.match(context.contents.at(-2).parts[0].text, /^Answer 6/);
+        assert.match(context.systemInstruction, /^Be brief\n\nSummary of the earlier part of this conversation:\n/);
+        assert.equal(context.summary.turns, context.report.summarizedTurns);
+        assert.ok(context.usage.totalTokens > 0);
+    });
+
+    it('always keeps the summarized page, cut short if need be', async () => {
+        const page = turn('user', `Summarize this page:\n\n${'Page text. '.repeat(800)}`, { kind: 'summary', title: 'Page' });
+        const messages = [page, turn('model', 'The summary'), ...longHistory(4)];
+        const context = await buildContext({ provider, messages, prompt: 'Next', systemInstruction: 'Be brief' });
+        assert.ok(context.report.pinned);
+        assert.match(context.contents[0].parts[0].text, /^Summarize this page:[\s\S]*\[\.\.\. truncated to fit the context window\]$/);
+        assert.equal(context.contents[1].parts[0].text, 'The summary');
+        assert.ok(!('meta' in context.contents[0]), 'meta never reaches the model');
+    });
+
+    it('reuses a cached summary that still covers the dropped turns', async () => {
+        const messages = longHistory(6);
+        const first = await buildContext({ provider, messages, prompt: 'Next', systemInstruction: '' });
+        const again = await buildContext({ provider, messages, prompt: 'Next', systemInstruction: '', summary: first.summary });
+        assert.equal(again.usage, null);
+        assert.deepEqual(again.summary, first.summary);
+    });
+});
+
+describe('POST /api/gemini context', () => {
+    it('reports the context it used', async () => {
+        const { events } = await api(server, '/api/gemini', { body: { prompt: 'Short', conversationHistory: longHistory(6) } });
+        const context = eventOf(events, 'context');
+        assert.equal(context.budgetTokens, 1000);
+        assert.ok(context.summarizedTurns > 0);
+        assert.deepEqual(eventOf(events, 'progress'), { type: 'progress', stage: 'context', completed: 0, total: 1 });
+        assert.ok(answerOf(events).length > 0);
+    });
+
+    it('caches the rolling summary in the session', async () => {
+        const { body: session } = await api(server, '/api/sessions', { body: { messages: longHistory(6) } });
+        await api(server, '/api/gemini', { body: { prompt: 'First', sessionId: session.id } });
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.ok(stored.contextSummary.turns > 0);
+
+        const { events } = await api(server, '/api/gemini', { body: { prompt: 'Second', sessionId: session.id } });
+        assert.ok(!events.some(event => event.type === 'progress'), 'nothing new to summarize');
+    });
+});
@@ -0,0 +1,113 @@
+// PDFs, HTML pages and text files read by the backend (documents.js,
+// POST /api/document).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer({ DOCUMENT_MAX_PAGES: '3', SUMMARY_CACHE_TTL_HOURS: '0' }); });
+after(() => server.close());
+
+/**
+ * A minimal PDF with one line of text per page.
+ * @param {string[]} pages
+ * @param {string} [title]
+ */
+function makePdf(pages, title = '') {
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pages.map((_, i) => `${4 + i * 2} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    ];
+    for (const [i, text] of pages.entries()) {
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 300] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+        const stream = `BT /F1 12 Tf 20 250 Td (${text}) Tj ET`;
+        objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    }
+    if (title) objects.push(`<< /Title (${title}) >>`);
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((body, i) => {
+        const offset = pdf.length;
+        pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R${title ? ` /Info ${objects.length} 0 R` : ''} >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+const post = (type, bytes, url) => api(server, `/api/document?${new URLSearchParams({ type, ...(url && { url }) })}`, {
+    body: bytes,
+    headers: { 'Content-Type': 'application/octet-stream' },
+});
+
+describe('POST /api/document', () => {
+    it('reads a PDF into a "## Page N" section per page', async () => {
+        const { status, body } = await post('application/pdf', makePdf(['Hello from page one', 'And page two'], 'Report'));
+        assert.equal(status, 200);
+        assert.deepEqual(body, {
+            format: 'pdf',
+            title: 'Report',
+            byline: '',
+            pageCount: 2,
+            content: '## Page 1\n\nHello from page one\n\n## Page 2\n\nAnd page two',
+        });
+    });
+
+    it('trusts the magic number over the type', async () => {
+        const { body } = await post('application/octet-stream', makePdf(['Untyped']));
+        assert.equal(body.format, 'pdf');
+    });
+
+    it('reads text files', async () => {
+        const { body } = await post('text/plain; charset=utf-8', Buffer.from('Line one\r\nLine two\n'));
+        assert.deepEqual(body, { format: 'text', title: '', byline: '', content: 'Line one\nLine two' });
+    });
+
+    it('reads the article of an HTML page with the extension\'s extractor', async () => {
+        const html = `<!doctype html><html lang="de"><head><title>Site | Post</title>
+            <meta property="og:title" content="The Post"><meta name="author" content="Ada">
+            <link rel="canonical" href="/posts/1"></head>
+            <body><nav><a href="/">Home</a> <a href="/about">About</a></nav>
+            <article><h1>The Post</h1><p>${'The first paragraph has plenty of words in it. '.repeat(5)}</p>
+            <h2>More</h2><p>${'A second paragraph follows the heading. '.repeat(5)}</p></article>
+            <script>document.body.textContent = 'ran'</script></body></html>`;
+        const { status, body } = await post('text/html; charset=utf-8', Buffer.from(html), 'https://example.com/posts/1?utm_source=x');
+        assert.equal(status, 200);
+        assert.equal(body.format, 'html');
+        assert.deepEqual([body.title, body.byline, body.url, body.lang], ['The Post', 'Ada', 'https://example.com/posts/1', 'de']);
+        assert.match(body.content, /The first paragraph[\s\S]*## More\n\nA second paragraph/);
+        assert.doesNotMatch(body.content, /About|ran/);
+    });
+
+    it('leaves the URL out of HTML read without one', async () => {
+        const { body } = await post('application/xhtml+xml', Buffer.from(
+            '<html xmlns="http://www.w3.org/1999/xhtml"><head><title>T</title></head><body><p>Just a line of text.</p></body></html>'
+        ));
+        assert.deepEqual([body.format, body.url, body.content], ['html', '', 'Just a line of text.']);
+    });
+
+    it('turns away what it cannot read', async () => {
+        const tooLong = await post('application/pdf', makePdf(['1', '2', '3', '4']));
+        assert.deepEqual([tooLong.status, tooLong.body.error], [422, 'The PDF has 4 pages; at most 3 can be read']);
+        const image = await post('image/png', Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+        assert.equal(image.status, 422);
+        assert.match(image.body.error, /^Unsupported document type image\/png/);
+        const empty = await post('text/plain', Buffer.alloc(0));
+        assert.deepEqual([empty.status, empty.body.error], [422, 'The document is empty']);
+    });
+});
+
+describe('PDF summaries', () => {
+    it('are marked as PDFs in the session so follow-ups cite pages', async () => {
+        const { body: session } = await api(server, '/api/sessions', { body: {} });
+        const { events } = await api(server, '/api/summarize', {
+            body: { content: '## Page 1\n\nText', title: 'Report', format: 'pdf', sessionId: session.id },
+        });
+        assert.ok(answerOf(events));
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.deepEqual(stored.messages[0].meta, { kind: 'summary', title: 'Report', url: '', format: 'pdf' });
+    });
+});
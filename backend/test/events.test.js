@@ -0,0 +1,79 @@
+// The NDJSON event protocol (events.js): one JSON event per line, errors as
+// `error` events, and `done` always last.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { streamEvents, pipeModelStream } = require('../events');
+const { startServer, api } = require('./helpers');
+
+// Serve `work` through streamEvents on a throwaway server and read the lines
+async function streamed(work) {
+    const server = http.createServer((req, res) => streamEvents(res, work));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const resp = await fetch(`http://127.0.0.1:${server.address().port}/`);
+        return { resp, lines: (await resp.text()).split('\n').filter(Boolean) };
+    } finally {
+        server.close();
+    }
+}
+
+async function* modelStream(chunks) {
+    yield* chunks;
+}
+
+describe('event stream', () => {
+    it('turns a failure into an error event before done', async () => {
+        const { resp, lines } = await streamed(async (events) => {
+            events.send('delta', { text: 'Partial' });
+            throw new Error('Provider unavailable');
+        });
+        assert.match(resp.headers.get('content-type'), /^application\/x-ndjson/);
+        assert.equal(resp.headers.get('cache-control'), 'no-cache, no-transform');
+        assert.deepEqual(lines.map(line => JSON.parse(line)), [
+            { type: 'delta', text: 'Partial' },
+            { type: 'error', message: 'Provider unavailable' },
+            { type: 'done' },
+        ]);
+    });
+
+    it('forwards a model stream as delta, usage and finish_reason events', async () => {
+        let result;
+        const { lines } = await streamed(async (events) => {
+            result = await pipeModelStream(modelStream([
+                { text: 'Hello ' },
+                { text: 'world', usage: { promptTokens: 1, candidatesTokens: 1, totalTokens: 2 } },
+                { text: '', usage: { promptTokens: 3, candidatesTokens: 2, totalTokens: 5 }, finishReason: 'STOP' },
+            ]), events, { priorUsage: { promptTokens: 10, candidatesTokens: 5, totalTokens: 15 } });
+        });
+        assert.deepEqual(lines.map(line => JSON.parse(line)), [
+            { type: 'delta', text: 'Hello ' },
+            { type: 'delta', text: 'world' },
+            { type: 'usage', promptTokens: 13, candidatesTokens: 7, totalTokens: 20 },
+            { type: 'finish_reason', reason: 'STOP' },
+            { type: 'done' },
+        ]);
+        assert.equal(result.text, 'Hello world');
+    });
+});
+
+describe('model endpoints', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    it('write one JSON event per line and end with a single done', async () => {
+        const { body, events } = await api(server, '/api/gemini', { body: { prompt: 'Line by line' } });
+        assert.ok(body.endsWith('\n'));
+        assert.equal(events.filter(event => event.type === 'done').length, 1);
+        assert.deepEqual(events.at(-1), { type: 'done' });
+        assert.ok(events.every(event => typeof event.type === 'string'));
+    });
+
+    it('answer invalid requests with a JSON error instead of a stream', async () => {
+        const { status, headers, body } = await api(server, '/api/gemini', { body: { prompt: '' } });
+        assert.equal(status, 400);
+        assert.match(headers.get('content-type'), /^application\/json/);
+        assert.equal(body.error, 'Prompt is required');
+    });
+});
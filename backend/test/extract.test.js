@@ -0,0 +1,120 @@
+// Structured extraction (extract.js, schema.js) and /api/extract.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, eventOf } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer({ SUMMARY_CHUNK_TOKENS: '100' }); });
+after(() => server.close());
+
+const PRODUCT = {
+    type: 'object',
+    properties: {
+        name: { type: 'string' },
+        price: { type: 'number', minimum: 0 },
+        tags: { type: 'array', items: { type: 'string' } },
+    },
+    required: ['name'],
+    additionalProperties: false,
+};
+
+// Collects what extractData sends
+function recorder() {
+    const sent = [];
+    return { sent, signal: new AbortController().signal, aborted: false, send(type, data) { sent.push({ type, ...data }); } };
+}
+
+// A provider that answers with `replies` in turn
+function scripted(replies) {
+    const prompts = [];
+    return {
+        prompts,
+        async *generateContentStream({ contents }) {
+            prompts.push(contents);
+            yield { text: replies[Math.min(prompts.length - 1, replies.length - 1)] };
+        },
+    };
+}
+
+describe('schema', () => {
+    let checkSchema, validate;
+    before(() => { ({ checkSchema, validate } = require('../schema')); });
+
+    it('accepts the supported subset and names what is not', () => {
+        assert.equal(checkSchema(PRODUCT), null);
+        assert.match(checkSchema({ type: 'object', patternProperties: {} }), /patternProperties/);
+        assert.match(checkSchema({ type: 'date' }), /type/);
+    });
+
+    it('validates values', () => {
+        assert.deepEqual(validate({ name: 'Lamp', price: null }, PRODUCT), []);
+        assert.deepEqual(validate({ price: -1, color: 'red' }, PRODUCT), [
+            '$.name is missing',
+            '$.price should be at least 0',
+            '$.color is not in the schema',
+        ]);
+    });
+});
+
+describe('extractData', () => {
+    let extractData, mergeData;
+    before(() => { ({ extractData, mergeData } = require('../extract')); });
+
+    it('merges parts: lists are joined, the first value wins', () => {
+        assert.deepEqual(
+            mergeData({ name: 'A', tags: ['x'], price: null }, { name: 'B', tags: ['y'], price: 3 }),
+            { name: 'A', tags: ['x', 'y'], price: 3 }
+        );
+    });
+
+    it('gives an invalid answer one repair attempt with the problems', async () => {
+        const provider = scripted(['```json\n{"price": "cheap"}\n```', '{"name": "Lamp", "price": 12}']);
+        const events = recorder();
+        const result = await extractData({ provider, events, page: { content: 'A lamp for 12 euros.' }, schema: PRODUCT });
+        assert.deepEqual(result.data, { name: 'Lamp', price: 12 });
+        assert.equal(provider.prompts.length, 2);
+        assert.match(provider.prompts[1].at(-1).parts[0].text, /^That does not match the schema:\n- \$\.name is missing\n- \$\.price should be number/);
+        assert.deepEqual(eventOf(events.sent, 'extraction'), { type: 'extraction', valid: true, errors: [], parts: 1 });
+    });
+
+    it('reports what is still wrong after the repair', async () => {
+        const events = recorder();
+        const result = await extractData({ provider: scripted(['{"price": 1}']), events, page: { content: 'Text' }, schema: PRODUCT });
+        assert.deepEqual(result.errors, ['$.name is missing']);
+        assert.equal(eventOf(events.sent, 'extraction').valid, false);
+    });
+
+    it('fails when no answer is JSON', async () => {
+        await assert.rejects(
+            extractData({ provider: scripted(['Sorry, no.']), events: recorder(), page: { content: 'Text' }, schema: PRODUCT }),
+            /The model did not return usable JSON: the answer is not valid JSON/
+        );
+    });
+});
+
+describe('POST /api/extract', () => {
+    it('streams the data as fenced JSON and an extraction event', async () => {
+        const { events } = await api(server, '/api/extract', {
+            body: { content: 'A lamp for 12 euros.', title: 'Lamp', schema: PRODUCT, schemaName: 'Product' },
+        });
+        const delta = eventOf(events, 'delta');
+        assert.deepEqual(JSON.parse(delta.text.replace(/^```json\n|\n```$/g, '')), { name: 'example', price: 0, tags: ['example', 'example'] });
+        assert.deepEqual(eventOf(events, 'extraction'), { type: 'extraction', valid: true, errors: [], parts: 1 });
+        assert.deepEqual(events.at(-1), { type: 'done' });
+    });
+
+    it('extracts long pages part by part and joins the lists', async () => {
+        const content = Array.from({ length: 10 }, (_, i) => `Item ${i + 1} is described in this paragraph with a few more words.`).join('\n\n');
+        const { events } = await api(server, '/api/extract', { body: { content, schema: PRODUCT } });
+        const { parts } = eventOf(events, 'extraction');
+        assert.ok(parts > 1);
+        const data = JSON.parse(eventOf(events, 'delta').text.replace(/^```json\n|\n```$/g, ''));
+        assert.equal(data.tags.length, 2 * parts);
+    });
+
+    it('rejects unsupported schemas', async () => {
+        const { status, body } = await api(server, '/api/extract', { body: { content: 'Text', schema: { type: 'object', $ref: '#' } } });
+        assert.equal(status, 400);
+        assert.match(body.error, /^Invalid schema: /);
+    });
+});
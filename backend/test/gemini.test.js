@@ -0,0 +1,36 @@
+// /api/gemini with the mock provider: the answer streams as typed events.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf, eventOf } = require('./helpers');
+
+describe('POST /api/gemini', () => {
+    let server;
+    before(async () => { server = await startServer(); });
+    after(() => server.close());
+
+    it('streams the mock answer followed by usage, finish reason and done', async () => {
+        const { status, headers, events } = await api(server, '/api/gemini', { body: { prompt: 'Hello there' } });
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^application\/x-ndjson/);
+        assert.ok(events.filter(event => event.type === 'delta').length > 1, 'the answer comes in several pieces');
+        assert.equal(answerOf(events), 'This is a mock response. You said: "Hello there". The conversation has 1 message(s).');
+        assert.ok(eventOf(events, 'usage').totalTokens > 0);
+        assert.deepEqual(eventOf(events, 'finish_reason'), { type: 'finish_reason', reason: 'STOP' });
+        assert.deepEqual(events.at(-1), { type: 'done' });
+    });
+
+    it('sends the conversation history along', async () => {
+        const conversationHistory = [
+            { role: 'user', parts: [{ text: 'First question' }] },
+            { role: 'model', parts: [{ text: 'First answer' }] },
+        ];
+        const { events } = await api(server, '/api/gemini', { body: { prompt: 'Second question', conversationHistory } });
+        assert.match(answerOf(events), /You said: "Second question"\. The conversation has 3 message\(s\)\.$/);
+    });
+
+    it('needs a prompt', async () => {
+        const { status, body } = await api(server, '/api/gemini', { body: {} });
+        assert.equal(status, 400);
+        assert.deepEqual(body, { error: 'Prompt is required' });
+    });
+});
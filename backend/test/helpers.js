@@ -0,0 +1,85 @@
+// Shared setup for the backend tests. Every test file runs in its own
+// process (node --test), so it configures the server through environment
+// variables before starting it: the mock provider without delays, a fixed
+// token, and data files in a temporary directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const TOKEN = 'test-token';
+
+/**
+ * Start the server on a free port. config.js is read once per process, so
+ * call this before requiring other backend modules.
+ * @param {Record<string, string>} [env] - overrides for config.js
+ * @returns {Promise<{url: string, dir: string, close: () => Promise<void>}>}
+ */
+async function startServer(env = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backend-test-'));
+    Object.assign(process.env, {
+        MODEL_PROVIDER: 'mock',
+        MOCK_DELAY_MS: '0',
+        AUTH_TOKEN: TOKEN,
+        AUTH_FILE: path.join(dir, 'auth.json'),
+        USAGE_FILE: path.join(dir, 'usage.json'),
+        SESSIONS_FILE: path.join(dir, 'sessions.json'),
+        SUMMARY_CACHE_FILE: path.join(dir, 'summary-cache.json'),
+        ...env,
+    });
+    const app = require('../server');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        dir,
+        async close() {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+}
+
+/**
+ * Call the API. NDJSON replies come back as their list of events, JSON ones
+ * parsed.
+ * @param {{url: string}} server
+ * @param {string} route - e.g. '/api/gemini'
+ * @param {{method?: string, body?: unknown, token?: string|null, headers?: object}} [options] -
+ *   a null token sends no Authorization header
+ * @returns {Promise<{status: number, headers: Headers, body: any, events?: object[]}>}
+ */
+async function api(server, route, { method, body, token = TOKEN, headers = {} } = {}) {
+    const resp = await fetch(server.url + route, {
+        method: method || (body === undefined ? 'GET' : 'POST'),
+        headers: {
+            ...(body !== undefined && !Buffer.isBuffer(body) && { 'Content-Type': 'application/json' }),
+            ...(token && { Authorization: `Bearer ${token}` }),
+            ...headers,
+        },
+        body: body === undefined || Buffer.isBuffer(body) ? body : JSON.stringify(body),
+    });
+    const type = resp.headers.get('content-type') || '';
+    const text = await resp.text();
+    const reply = { status: resp.status, headers: resp.headers, body: text };
+    if (type.startsWith('application/x-ndjson')) {
+        reply.events = text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } else if (type.startsWith('application/json')) {
+        reply.body = JSON.parse(text);
+    }
+    return reply;
+}
+
+// The answer an event stream spells out
+function answerOf(events) {
+    return events.filter(event => event.type === 'delta').map(event => event.text).join('');
+}
+
+// The first event of a type, e.g. 'usage'
+function eventOf(events, type) {
+    return events.find(event => event.type === type);
+}
+
+module.exports = { TOKEN, startServer, api, answerOf, eventOf };
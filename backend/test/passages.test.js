@@ -0,0 +1,54 @@
+// Page passages sent with questions so answers can cite them (passages.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf, eventOf } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer({ PASSAGES_MAX_COUNT: '5' }); });
+after(() => server.close());
+
+const passage = (id, text) => ({ id, text });
+
+describe('passages', () => {
+    let parsePassages, selectPassages, promptWithPassages;
+    before(() => { ({ parsePassages, selectPassages, promptWithPassages } = require('../passages')); });
+
+    it('accepts ids like p1a2b3c and drops empty passages', () => {
+        assert.deepEqual(parsePassages(undefined), { passages: [] });
+        assert.deepEqual(parsePassages([passage('p1a2b3c', ' Text '), passage('p000000', '  ')]), { passages: [passage('p1a2b3c', 'Text')] });
+        assert.deepEqual(parsePassages([passage('P1A2B3C', 'Text')]), { error: 'Each passage needs an id like "p1a2b3c" and its text' });
+        assert.deepEqual(parsePassages(Array(6).fill(passage('p1a2b3c', 'x'))), { error: 'Passages must be a list of at most 5 items' });
+    });
+
+    it('keeps all passages that fit, else those that share words with the question', () => {
+        const passages = [
+            passage('p000001', 'Cats sleep most of the day.'),
+            passage('p000002', 'Dogs like long walks in the park.'),
+            passage('p000003', 'Cats purr when they are content.'),
+        ];
+        assert.equal(selectPassages(passages, 'Why do cats purr?', 1000), passages);
+        assert.deepEqual(selectPassages(passages, 'Why do cats purr?', 23).map(item => item.id), ['p000001', 'p000003']);
+    });
+
+    it('puts the passages after the question', () => {
+        assert.equal(promptWithPassages('Why?', [passage('p000001', 'Because.')]), 'Why?\n\nPage passages:\n[p000001] Because.');
+    });
+});
+
+describe('POST /api/gemini with passages', () => {
+    it('answers and stores only the question', async () => {
+        const { body: session } = await api(server, '/api/sessions', { body: {} });
+        const passages = [passage('p000001', 'Cats purr when they are content.')];
+        const { events } = await api(server, '/api/gemini', { body: { prompt: 'Why do cats purr?', passages, sessionId: session.id } });
+        assert.match(answerOf(events), /You said: "Why do cats purr\?\n\nPage passages:\n\[p000001\] Cats purr/);
+        assert.ok(eventOf(events, 'context').usedTokens > 0);
+
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.equal(stored.messages[0].parts[0].text, 'Why do cats purr?');
+    });
+
+    it('rejects malformed passages', async () => {
+        const { status } = await api(server, '/api/gemini', { body: { prompt: 'Hi', passages: [{ id: 'x', text: 'y' }] } });
+        assert.equal(status, 400);
+    });
+});
@@ -0,0 +1,55 @@
+// Research across several pages (research.js) and /api/research.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf } = require('./helpers');
+
+// The sources share 600 tokens, so a long one has to be read as notes
+let server;
+before(async () => { server = await startServer({ RESEARCH_CONTEXT_TOKENS: '600', RESEARCH_MAX_SOURCES: '3', SUMMARY_CHUNK_TOKENS: '100' }); });
+after(() => server.close());
+
+const page = (title, content) => ({ title, url: `https://example.com/${title.toLowerCase()}`, content });
+
+describe('POST /api/research', () => {
+    it('compares short sources in one call', async () => {
+        const { status, events } = await api(server, '/api/research', {
+            body: { sources: [page('Alpha', 'Alpha costs 5 euros.'), page('Beta', 'Beta costs 7 euros.')], question: 'Which is cheaper?' },
+        });
+        assert.equal(status, 200);
+        assert.deepEqual(events.filter(event => event.type === 'progress'), [{ type: 'progress', stage: 'synthesize', completed: 0, total: 1 }]);
+        assert.match(answerOf(events), /You said: "Compare these sources: where they agree/);
+    });
+
+    it('reads long sources as notes first', async () => {
+        const long = Array.from({ length: 40 }, (_, i) => `Gamma fact ${i + 1} takes up a sentence of room in the source text.`).join('\n\n');
+        const { events } = await api(server, '/api/research', { body: { sources: [page('Alpha', 'Short.'), page('Gamma', long)] } });
+        const sources = events.filter(event => event.stage === 'sources');
+        assert.ok(sources[0].total > 1);
+        assert.equal(sources.at(-1).completed, sources[0].total);
+        assert.deepEqual(events.at(-1), { type: 'done' });
+    });
+
+    it('stores the question and the numbered sources, not the pages', async () => {
+        const { body: session } = await api(server, '/api/sessions', { body: {} });
+        await api(server, '/api/research', {
+            body: { sources: [page('Alpha', 'A body'), page('Beta', 'B body')], question: 'Why?', sessionId: session.id },
+        });
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.equal(stored.messages[0].parts[0].text,
+            'Research question: Why?\n\nSources:\n[1] Alpha (https://example.com/alpha)\n[2] Beta (https://example.com/beta)');
+        assert.deepEqual(stored.messages[0].meta, {
+            kind: 'research',
+            question: 'Why?',
+            sources: [{ title: 'Alpha', url: 'https://example.com/alpha' }, { title: 'Beta', url: 'https://example.com/beta' }],
+        });
+    });
+
+    it('needs 2 to RESEARCH_MAX_SOURCES sources with content', async () => {
+        const one = await api(server, '/api/research', { body: { sources: [page('Alpha', 'A')] } });
+        assert.deepEqual([one.status, one.body.error], [400, 'Sources must be a list of 2 to 3 pages']);
+        const four = await api(server, '/api/research', { body: { sources: ['A', 'B', 'C', 'D'].map(title => page(title, 'x')) } });
+        assert.equal(four.status, 400);
+        const empty = await api(server, '/api/research', { body: { sources: [page('Alpha', 'A'), page('Beta', ' ')] } });
+        assert.deepEqual([empty.status, empty.body.error], [400, 'Source 2 has no content']);
+    });
+});
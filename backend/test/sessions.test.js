@@ -0,0 +1,105 @@
+// Conversations stored on the backend (/api/sessions) and model requests
+// that read and extend them.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => server.close());
+
+const turn = (role, text, meta) => ({ role, parts: [{ text }], ...(meta && { meta }) });
+
+describe('/api/sessions', () => {
+    it('creates, lists, reads, updates and deletes a session', async () => {
+        const created = await api(server, '/api/sessions', {
+            body: { title: 'Example', url: 'https://example.com/a', messages: [turn('user', 'Hi'), turn('model', 'Hello')] },
+        });
+        assert.equal(created.status, 201);
+        const { id } = created.body;
+        assert.equal(created.body.messages.length, 2);
+
+        const listed = await api(server, '/api/sessions?url=https%3A%2F%2Fexample.com%2Fa');
+        assert.deepEqual(listed.body.sessions.map(session => [session.id, session.messageCount]), [[id, 2]]);
+        assert.equal(listed.body.sessions[0].messages, undefined);
+
+        const appended = await api(server, `/api/sessions/${id}/messages`, { body: { messages: [turn('user', 'More')] } });
+        assert.equal(appended.body.messages.length, 3);
+
+        const updated = await api(server, `/api/sessions/${id}`, { method: 'PUT', body: { title: 'Renamed', messages: [turn('user', 'Only')] } });
+        assert.equal(updated.body.title, 'Renamed');
+        assert.deepEqual(updated.body.messages, [turn('user', 'Only')]);
+
+        assert.equal((await api(server, `/api/sessions/${id}`, { method: 'DELETE' })).status, 204);
+        assert.equal((await api(server, `/api/sessions/${id}`)).status, 404);
+    });
+
+    it('drops malformed turns', async () => {
+        const { body } = await api(server, '/api/sessions', {
+            body: { messages: [turn('system', 'No'), { role: 'user' }, { role: 'user', parts: [{ text: 'Yes' }, { image: 'x' }] }] },
+        });
+        assert.deepEqual(body.messages, [turn('user', 'Yes')]);
+    });
+
+    it('keeps only the meta fields the extension uses', async () => {
+        const { body } = await api(server, '/api/sessions', {
+            body: {
+                messages: [
+                    turn('user', 'Summarize', {
+                        kind: 'summary',
+                        title: 'Page',
+                        url: 'https://example.com/',
+                        template: { id: 'tldr', name: 'TL;DR', prompt: 'dropped' },
+                        format: 'docx',
+                        script: '<img onerror=alert(1)>',
+                    }),
+                    turn('model', 'Summary', { model: 'mock', cachedAt: 42, admin: true }),
+                    turn('user', 'Research', { kind: 'research', sources: [{ title: 'A', url: 'https://a.example/', tabId: 3, extra: 1 }, 'junk'] }),
+                    turn('user', 'Junk meta', ['not', 'an', 'object']),
+                ],
+            },
+        });
+        assert.deepEqual(body.messages.map(message => message.meta), [
+            { kind: 'summary', title: 'Page', url: 'https://example.com/', template: { id: 'tldr', name: 'TL;DR' } },
+            { model: 'mock' },
+            { kind: 'research', sources: [{ title: 'A', url: 'https://a.example/', tabId: 3 }] },
+            undefined,
+        ]);
+    });
+
+    it('leaves titles and URLs that are not text empty', async () => {
+        const { body } = await api(server, '/api/sessions', { body: { title: { name: 'x' }, url: 123 } });
+        assert.deepEqual([body.title, body.url], ['', '']);
+    });
+
+    it('checks the messages of appends and updates', async () => {
+        const { body: { id } } = await api(server, '/api/sessions', { body: {} });
+        assert.equal((await api(server, `/api/sessions/${id}/messages`, { body: { messages: 'Hi' } })).status, 400);
+        assert.equal((await api(server, `/api/sessions/${id}`, { method: 'PUT', body: { messages: {} } })).status, 400);
+        assert.equal((await api(server, '/api/sessions/missing/messages', { body: { messages: [] } })).status, 404);
+    });
+});
+
+describe('model requests with a sessionId', () => {
+    it('answer from the stored history and save the exchange', async () => {
+        const { body: session } = await api(server, '/api/sessions', {
+            body: { messages: [turn('user', 'Earlier question'), turn('model', 'Earlier answer')] },
+        });
+        const { events } = await api(server, '/api/gemini', {
+            body: { prompt: 'Next question', sessionId: session.id, meta: { kind: 'table', caption: 'Prices', question: 'Next question', rows: [] } },
+        });
+        assert.match(answerOf(events), /The conversation has 3 message\(s\)/);
+
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.equal(stored.messages.length, 4);
+        assert.deepEqual(stored.messages[2], turn('user', 'Next question', { kind: 'table', caption: 'Prices', question: 'Next question' }));
+        assert.equal(stored.messages[3].parts[0].text, answerOf(events).trim());
+        assert.deepEqual(stored.messages[3].meta, { model: 'mock' });
+    });
+
+    it('get a 404 for an unknown session', async () => {
+        const { status, body } = await api(server, '/api/gemini', { body: { prompt: 'Hi', sessionId: 'nope' } });
+        assert.equal(status, 404);
+        assert.deepEqual(body, { error: 'Session not found' });
+    });
+});
@@ -0,0 +1,69 @@
+// Per-request settings from the options page (settings.js) and
+// GET /api/settings.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer({ MAX_OUTPUT_TOKENS_LIMIT: '1000', MAX_SYSTEM_PROMPT_CHARS: '50' }); });
+after(() => server.close());
+
+describe('parseSettings', () => {
+    let parseSettings, config;
+    const provider = { model: 'base', allowedModels: ['big'] };
+    before(() => {
+        ({ parseSettings } = require('../settings'));
+        config = require('../config');
+    });
+
+    it('falls back to the server defaults', () => {
+        const { settings } = parseSettings(undefined, provider);
+        assert.deepEqual(settings.generation, {});
+        assert.equal(settings.systemInstruction, config.systemInstruction);
+        assert.equal(settings.summaryInstruction, 'Summarize this article in 3-4 sentences');
+        assert.equal(settings.language, null);
+    });
+
+    it('takes the model, temperature, output limit, prompt and summary kind', () => {
+        const { settings } = parseSettings({
+            model: 'big', temperature: 0.5, maxOutputTokens: 800, systemPrompt: 'Be terse', summaryStyle: 'bullets', summaryLength: 'short',
+        }, provider);
+        assert.deepEqual(settings.generation, { model: 'big', temperature: 0.5, maxOutputTokens: 800 });
+        assert.equal(settings.systemInstruction, 'Be terse');
+        assert.equal(settings.summaryInstruction, 'Summarize this article as 3 bullet points');
+    });
+
+    it('rejects values outside the allow-lists and limits', () => {
+        const errors = [
+            [{ model: 'other' }, 'Model must be one of: base, big'],
+            [{ temperature: 3 }, 'Temperature must be a number from 0 to 2'],
+            [{ temperature: '1' }, 'Temperature must be a number from 0 to 2'],
+            [{ maxOutputTokens: 1001 }, 'Max output tokens must be a whole number from 1 to 1000'],
+            [{ maxOutputTokens: 1.5 }, 'Max output tokens must be a whole number from 1 to 1000'],
+            [{ systemPrompt: 'x'.repeat(51) }, 'System prompt must be text of at most 50 characters'],
+            [{ summaryStyle: 'haiku' }, 'Summary style must be one of: paragraph, bullets'],
+            [{ summaryLength: 'epic' }, 'Summary length must be one of: short, medium, long'],
+            [[], 'Settings must be an object'],
+        ];
+        for (const [raw, error] of errors) assert.deepEqual(parseSettings(raw, provider), { error }, JSON.stringify(raw));
+    });
+});
+
+describe('GET /api/settings', () => {
+    it('describes what the options page may choose', async () => {
+        const { status, body } = await api(server, '/api/settings');
+        assert.equal(status, 200);
+        assert.equal(body.provider, 'mock');
+        assert.equal(body.defaultModel, 'mock');
+        assert.deepEqual(body.models, ['mock']);
+        assert.deepEqual(body.maxOutputTokens, { max: 1000 });
+        assert.equal(body.systemPrompt.maxChars, 50);
+        assert.deepEqual(body.summaryStyles, ['paragraph', 'bullets']);
+    });
+
+    it('backs the 400 model requests get for bad settings', async () => {
+        const { status, body } = await api(server, '/api/summarize', { body: { content: 'Page', settings: { model: 'gpt-9' } } });
+        assert.equal(status, 400);
+        assert.deepEqual(body, { error: 'Model must be one of: mock' });
+    });
+});
@@ -0,0 +1,83 @@
+// /api/summarize: short pages in one call, long ones map-reduced with
+// progress events (summarize.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf } = require('./helpers');
+
+// Chunks of 100 tokens (about 400 characters) make long pages cheap to build
+const env = { SUMMARY_CHUNK_TOKENS: '100', SUMMARY_CACHE_TTL_HOURS: '0' };
+
+function longPage(paragraphs) {
+    return Array.from({ length: paragraphs }, (_, i) =>
+        `Paragraph ${i + 1} explains one more detail of the topic at hand, with enough words to take up some room in a chunk.`
+    ).join('\n\n');
+}
+
+// config.js is read once, so the server (and its settings) comes first
+let server;
+before(async () => { server = await startServer(env); });
+after(() => server.close());
+
+describe('chunkText', () => {
+    let chunkText;
+    before(() => { ({ chunkText } = require('../summarize')); });
+
+    it('keeps short text in one chunk', () => {
+        assert.deepEqual(chunkText('One paragraph.\n\nAnother one.', 100), ['One paragraph.\n\nAnother one.']);
+    });
+
+    it('splits on paragraph boundaries within the token budget', () => {
+        const chunks = chunkText(longPage(12), 100);
+        assert.ok(chunks.length > 1);
+        for (const chunk of chunks) {
+            assert.ok(chunk.length <= 400, `chunk of ${chunk.length} characters`);
+            assert.match(chunk, /^Paragraph \d+/);
+        }
+    });
+
+    it('starts a new chunk at a heading once the current one is half full', () => {
+        const text = `${'Intro sentence here. '.repeat(12).trim()}\n\n## Section two\n\nBody.`;
+        const chunks = chunkText(text, 100);
+        assert.equal(chunks.length, 2);
+        assert.match(chunks[1], /^## Section two/);
+    });
+
+    it('cuts a paragraph that is too long on its own', () => {
+        const chunks = chunkText('x'.repeat(1000), 100);
+        assert.deepEqual(chunks.map(chunk => chunk.length), [400, 400, 200]);
+    });
+});
+
+describe('POST /api/summarize', () => {
+    it('summarizes a short page in one call', async () => {
+        const { status, events } = await api(server, '/api/summarize', {
+            body: { content: 'A short page.', title: 'Short', url: 'https://example.com/short' },
+        });
+        assert.equal(status, 200);
+        assert.ok(!events.some(event => event.type === 'progress'));
+        assert.match(answerOf(events), /^This is a mock response\. You said: "Summarize/);
+        assert.deepEqual(events.at(-1), { type: 'done' });
+    });
+
+    it('maps the chunks of a long page and reduces the notes', async () => {
+        const { events } = await api(server, '/api/summarize', {
+            body: { content: longPage(12), title: 'Long', url: 'https://example.com/long' },
+        });
+        const progress = events.filter(event => event.type === 'progress');
+        const map = progress.filter(event => event.stage === 'map');
+        const total = map[0].total;
+        assert.ok(total > 1);
+        assert.deepEqual(map.map(event => event.completed), Array.from({ length: total + 1 }, (_, i) => i));
+        assert.deepEqual(progress.at(-1), { type: 'progress', stage: 'reduce', completed: 0, total: 1 });
+        assert.ok(answerOf(events).startsWith('This is a mock response.'));
+        // The reported usage covers the map steps too
+        const usage = events.find(event => event.type === 'usage');
+        assert.ok(usage.promptTokens > longPage(12).length / 4);
+    });
+
+    it('needs the page content', async () => {
+        const { status, body } = await api(server, '/api/summarize', { body: { title: 'Empty' } });
+        assert.equal(status, 400);
+        assert.deepEqual(body, { error: 'Content is required' });
+    });
+});
@@ -0,0 +1,57 @@
+// Summary templates: {name, prompt} with {title}, {url} and {content}
+// placeholders (settings.js, summarize.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer({ SUMMARY_TEMPLATE_MAX_CHARS: '200', SUMMARY_CACHE_TTL_HOURS: '0' }); });
+after(() => server.close());
+
+describe('parseSummaryTemplate', () => {
+    let parseSummaryTemplate;
+    before(() => { ({ parseSummaryTemplate } = require('../settings')); });
+
+    it('accepts a prompt with an optional name', () => {
+        assert.deepEqual(parseSummaryTemplate(undefined), { template: null });
+        assert.deepEqual(parseSummaryTemplate({ name: 'TL;DR', prompt: 'One line' }), { template: { name: 'TL;DR', prompt: 'One line' } });
+        assert.deepEqual(parseSummaryTemplate({ prompt: 'One line' }), { template: { name: '', prompt: 'One line' } });
+    });
+
+    it('rejects empty, long and malformed templates', () => {
+        const error = 'Template prompt must be text of at most 200 characters';
+        assert.deepEqual(parseSummaryTemplate({ prompt: '  ' }), { error });
+        assert.deepEqual(parseSummaryTemplate({ prompt: 'x'.repeat(201) }), { error });
+        assert.deepEqual(parseSummaryTemplate('bullets'), { error: 'Template must be an object' });
+        assert.deepEqual(parseSummaryTemplate({ name: 3, prompt: 'Hi' }), { error: 'Template name must be text' });
+    });
+});
+
+describe('POST /api/summarize with a template', () => {
+    const page = { content: 'Body of the page.', title: 'Cats', url: 'https://example.com/cats' };
+
+    it('fills in the placeholders', async () => {
+        const { events } = await api(server, '/api/summarize', {
+            body: { ...page, template: { name: 'Custom', prompt: 'One line about {title} ({url}): {content}' } },
+        });
+        assert.match(answerOf(events), /You said: "One line about Cats \(https:\/\/example\.com\/cats\): Body of the page\."/);
+    });
+
+    it('appends the page to a prompt without {content}', async () => {
+        const { events } = await api(server, '/api/summarize', { body: { ...page, template: { name: 'Short', prompt: 'Be short' } } });
+        assert.match(answerOf(events), /You said: "Be short\n\nTitle: Cats\nURL: https:\/\/example\.com\/cats\n\nBody of the page\."/);
+    });
+
+    it('names the template in the stored turn', async () => {
+        const { body: session } = await api(server, '/api/sessions', { body: { url: page.url } });
+        await api(server, '/api/summarize', { body: { ...page, sessionId: session.id, template: { name: 'Short', prompt: 'Be short' } } });
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.deepEqual(stored.messages[0].meta, { kind: 'summary', title: 'Cats', url: page.url, template: { name: 'Short' } });
+        assert.match(stored.messages[0].parts[0].text, /^Summarize this page \(Short\):/);
+    });
+
+    it('rejects an invalid template', async () => {
+        const { status } = await api(server, '/api/summarize', { body: { ...page, template: { prompt: '' } } });
+        assert.equal(status, 400);
+    });
+});
@@ -0,0 +1,73 @@
+// /api/translate: whole pages translated in parts that stream in order, and
+// the language tags every request may carry.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api, answerOf, eventOf } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer({ TRANSLATE_CHUNK_TOKENS: '100', TRANSLATE_MAX_CHARS: '5000' }); });
+after(() => server.close());
+
+describe('parseLanguage', () => {
+    let parseLanguage;
+    before(() => { ({ parseLanguage } = require('../language')); });
+
+    it('canonicalizes tags and names their language', () => {
+        assert.deepEqual(parseLanguage('pt_br'), { language: { tag: 'pt-BR', name: 'Brazilian Portuguese' } });
+        assert.deepEqual(parseLanguage(''), { language: null });
+    });
+
+    it('refuses malformed tags and tags of no known language', () => {
+        assert.match(parseLanguage('not a language').error, /not a valid BCP-47 language tag/);
+        assert.match(parseLanguage('french').error, /not a known language/);
+        assert.ok(parseLanguage(42).error);
+    });
+});
+
+describe('POST /api/translate', () => {
+    it('translates a short page in one part', async () => {
+        const { status, events } = await api(server, '/api/translate', { body: { content: 'Hallo Welt', language: 'en' } });
+        assert.equal(status, 200);
+        assert.match(answerOf(events), /You said: "Translate the page below into English \(en\)\./);
+        assert.equal(eventOf(events, 'progress'), undefined);
+    });
+
+    it('streams the parts of a long page in page order', async () => {
+        const paragraph = index => `Absatz ${index}. ${'Ein paar Worte mehr. '.repeat(15)}`;
+        const content = Array.from({ length: 6 }, (_, index) => paragraph(index)).join('\n\n');
+        const { events } = await api(server, '/api/translate', { body: { content, language: 'fr' } });
+
+        const progress = events.filter(event => event.type === 'progress');
+        const total = progress[0].total;
+        assert.ok(total > 1);
+        assert.deepEqual(progress.map(event => event.completed), Array.from({ length: total + 1 }, (_, index) => index));
+
+        const parts = [...answerOf(events).matchAll(/Translate part (\d+) of \d+ of the page below into French/g)];
+        assert.deepEqual(parts.map(match => Number(match[1])), Array.from({ length: total }, (_, index) => index + 1));
+    });
+
+    it('uses the answer language, or English, when the request names none', async () => {
+        const fromSettings = await api(server, '/api/translate', { body: { content: 'Hello', settings: { language: 'es' } } });
+        assert.match(answerOf(fromSettings.events), /into Spanish \(es\)/);
+        const fallback = await api(server, '/api/translate', { body: { content: 'Hallo' } });
+        assert.match(answerOf(fallback.events), /into English \(en\)/);
+    });
+
+    it('rejects missing and overlong content and unknown languages', async () => {
+        assert.equal((await api(server, '/api/translate', { body: {} })).status, 400);
+        assert.equal((await api(server, '/api/translate', { body: { content: 'x'.repeat(5001) } })).status, 400);
+        const unknown = await api(server, '/api/translate', { body: { content: 'Hallo', language: 'xx' } });
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.error, 'Language "xx" is not a known language');
+    });
+
+    it('stores the translation in the session with its language', async () => {
+        const { body: session } = await api(server, '/api/sessions', { body: {} });
+        await api(server, '/api/translate', { body: { content: 'Hallo', title: 'Gruß', language: 'en', sessionId: session.id } });
+        const { body: stored } = await api(server, `/api/sessions/${session.id}`);
+        assert.deepEqual(stored.messages.map(message => message.meta), [
+            { kind: 'translate', title: 'Gruß', url: '', language: { tag: 'en', name: 'English' } },
+            { model: 'mock' },
+        ]);
+    });
+});
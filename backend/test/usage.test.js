@@ -0,0 +1,100 @@
+// Usage accounting, rate limits and quotas (usage.js).
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, api } = require('./helpers');
+
+let server;
+before(async () => { server = await startServer({ RATE_LIMIT_PER_MINUTE: '0', QUOTA_DAILY_REQUESTS: '5' }); });
+after(() => server.close());
+
+const usageNow = async () => (await api(server, '/api/usage')).body;
+
+describe('usage', () => {
+    it('records requests and tokens for the backend and the client', async () => {
+        const { events } = await api(server, '/api/gemini', { body: { prompt: 'Count me' } });
+        const reported = events.find(event => event.type === 'usage');
+        const usage = await usageNow();
+        assert.equal(usage.today.requests, 1);
+        assert.equal(usage.today.totalTokens, reported.totalTokens);
+        assert.deepEqual(usage.client.today, usage.today);
+        assert.deepEqual(usage.limits.daily, { requests: 5, tokens: 0 });
+    });
+
+    it('does not count requests that fail validation', async () => {
+        const before = await usageNow();
+        const rejected = [
+            await api(server, '/api/gemini', { body: {} }),
+            await api(server, '/api/selection', { body: { mode: 'shout', selection: 'x' } }),
+            await api(server, '/api/gemini', { body: { prompt: 'Hi', settings: { temperature: 9 } } }),
+            await api(server, '/api/translate', { body: { content: 'Hallo', language: 'not a language' } }),
+            await api(server, '/api/gemini', { body: { prompt: 'Hi', sessionId: 'missing' } }),
+        ];
+        assert.deepEqual(rejected.map(reply => reply.status), [400, 400, 400, 400, 404]);
+        assert.deepEqual(await usageNow(), before);
+    });
+
+    it('records the tokens of model calls made before a failure', async () => {
+        const { createUsageTracker } = require('../usage');
+        const tracker = createUsageTracker({
+            file: `${server.dir}/partial-usage.json`,
+            requestsPerMinute: 0,
+            daily: { requests: 0, tokens: 0 },
+            monthly: { requests: 0, tokens: 0 },
+        });
+        const provider = {
+            async *generateContentStream() {
+                yield { text: 'notes', usage: { promptTokens: 10, candidatesTokens: 5, totalTokens: 15 } };
+            },
+        };
+        const res = { locals: {}, status() { return this; }, json() { return this; }, set() {} };
+        await new Promise(resolve => tracker.guard('summarize')({ client: { id: 'c1' }, method: 'POST', originalUrl: '/' }, res, resolve));
+
+        await assert.rejects(tracker.track(res, provider, async (metered) => {
+            for await (const chunk of metered.generateContentStream({})) assert.equal(chunk.text, 'notes');
+            throw new Error('The reduce step failed');
+        }), /reduce step failed/);
+
+        const { today } = await tracker.summary('c1');
+        assert.deepEqual(today, { requests: 1, promptTokens: 10, candidatesTokens: 5, totalTokens: 15 });
+    });
+
+    it('refuses requests once a quota is used up', async () => {
+        let status;
+        for (let i = 0; i < 6 && status !== 429; i++) {
+            ({ status } = await api(server, '/api/gemini', { body: { prompt: `Request ${i}` } }));
+        }
+        const refused = await api(server, '/api/gemini', { body: { prompt: 'One more' } });
+        assert.equal(refused.status, 429);
+        assert.deepEqual(refused.body, { error: 'Daily request quota reached' });
+        assert.equal((await usageNow()).today.requests, 5);
+    });
+});
+
+describe('rate limit', () => {
+    it('is enforced per client with Retry-After', async () => {
+        const { createUsageTracker } = require('../usage');
+        const tracker = createUsageTracker({
+            file: `${server.dir}/rate-usage.json`,
+            requestsPerMinute: 2,
+            daily: { requests: 0, tokens: 0 },
+            monthly: { requests: 0, tokens: 0 },
+        });
+        const guard = tracker.guard('gemini');
+        const call = clientId => new Promise(resolve => {
+            const res = {
+                locals: {},
+                headers: {},
+                set(name, value) { this.headers[name] = value; },
+                status(code) { this.code = code; return this; },
+                json(body) { resolve({ code: this.code, body, retryAfter: this.headers['Retry-After'] }); },
+            };
+            guard({ client: { id: clientId }, method: 'POST', originalUrl: '/api/gemini' }, res, () => resolve({ code: 200 }));
+        });
+        assert.equal((await call('a')).code, 200);
+        assert.equal((await call('a')).code, 200);
+        const limited = await call('a');
+        assert.equal(limited.code, 429);
+        assert.ok(Number(limited.retryAfter) > 0);
+        assert.equal((await call('b')).code, 200, 'other clients have their own limit');
+    });
+});
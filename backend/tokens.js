@@ -0,0 +1,27 @@
+// Token estimates shared by the providers and the summarization pipeline.
+// Roughly 4 characters per token holds well enough for English prose and
+// errs on the safe side for code; exact counts come back in usage events.
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Add two usage records together (either may be null).
+ */
+function addUsage(a, b) {
+    if (!a) return b || null;
+    if (!b) return a;
+    return {
+        promptTokens: a.promptTokens + b.promptTokens,
+        candidatesTokens: a.candidatesTokens + b.candidatesTokens,
+        totalTokens: a.totalTokens + b.totalTokens,
+    };
+}
+
+module.exports = { CHARS_PER_TOKEN, estimateTokens, addUsage };
@@ -0,0 +1,93 @@
+// Page translation. The page's markdown is split into parts like a long page
+// for a summary, the parts are translated in parallel, and the translation
+// streams back in page order: the first part as the model writes it, each
+// later part as soon as everything before it has been sent.
+const config = require('./config');
+const { addUsage } = require('./tokens');
+const { chunkText, describePage, mapWithConcurrency } = require('./summarize');
+const { languageName } = require('./language');
+
+const TRANSLATE_SYSTEM_INSTRUCTION = 'You translate web pages written in markdown. Translate everything after the "---" line ' +
+    'faithfully and completely, keeping the markdown structure: headings, lists, tables, links and emphasis. ' +
+    'Leave code, URLs and product names as they are. Reply with the translation only, without notes or comments.';
+
+/**
+ * Translate a page into `language` and stream it to `events`. Sends a
+ * `progress` event per finished part when there are several.
+ * @param {object} options
+ * @param {object} options.provider - model provider (see providers/index.js)
+ * @param {ReturnType<import('./events').openEventStream>} options.events
+ * @param {{content: string, title?: string, url?: string, byline?: string, publishedDate?: string, lang?: string}} options.page -
+ *   `lang` is the page's own language tag, when it declares one
+ * @param {{tag: string, name: string}} options.language - see language.js
+ * @param {object} [options.generation] - per-request model overrides (see settings.js);
+ *   only the model is used so a small max output tokens can't cut parts short
+ * @returns {Promise<{text: string, usage: object|null, finishReason: string|null}>}
+ */
+async function translatePage({ provider, events, page, language, generation = {} }) {
+    const header = describePage(page);
+    const chunks = chunkText(page.content, config.translate.chunkTokens);
+    const total = chunks.length;
+    const source = typeof page.lang === 'string' && page.lang ? ` The page says it is written in ${languageName(page.lang)}.` : '';
+
+    // Parts are sent in order; `pending` holds what a part has that can't be sent yet
+    const parts = chunks.map((chunk, index) => ({ pending: index ? '\n\n' : '', done: false, finishReason: null }));
+    let next = 0;
+    let text = '';
+    function flush() {
+        while (next < total) {
+            const part = parts[next];
+            if (part.pending) {
+                events.send('delta', { text: part.pending });
+                text += part.pending;
+                part.pending = '';
+            }
+            if (!part.done) return;
+            next++;
+        }
+    }
+
+    let usage = null;
+    let completed = 0;
+    if (total > 1) events.send('progress', { stage: 'translate', completed, total });
+
+    await mapWithConcurrency(chunks, config.summarize.concurrency, async (chunk, index) => {
+        if (events.aborted) throw new Error('Client disconnected');
+        const where = total > 1 ? `part ${index + 1} of ${total} of the page below` : 'the page below';
+        const prompt = [`Translate ${where} into ${language.name} (${language.tag}).${source}`, header, `---\n${chunk}`];
+        const stream = provider.generateContentStream({
+            contents: [{ role: 'user', parts: [{ text: prompt.filter(Boolean).join('\n\n') }] }],
+            systemInstruction: TRANSLATE_SYSTEM_INSTRUCTION,
+            signal: events.signal,
+            generation: { model: generation.model },
+        });
+
+        const part = parts[index];
+        let partUsage = null;
+        for await (const piece of stream) {
+            if (events.aborted) break;
+            if (piece.text) {
+                part.pending += piece.text;
+                flush();
+            }
+            if (piece.usage) partUsage = piece.usage;
+            if (piece.finishReason) part.finishReason = piece.finishReason;
+        }
+        usage = addUsage(usage, partUsage);
+        part.done = true;
+        flush();
+        if (total > 1) {
+            completed++;
+            events.send('progress', { stage: 'translate', completed, total });
+        }
+    });
+
+    // A part that stopped early (e.g. MAX_TOKENS) speaks for the whole translation
+    const reasons = parts.map(part => part.finishReason).filter(Boolean);
+    const finishReason = reasons.find(reason => !/^stop$/i.test(reason)) || reasons[0] || null;
+    if (usage) events.send('usage', usage);
+    if (finishReason) events.send('finish_reason', { reason: finishReason });
+    return { text, usage, finishReason };
+}
+
+module.exports = { translatePage };
@@ -0,0 +1,209 @@
+// Usage accounting, rate limits and quotas for the model endpoints.
+//
+// Token counts come from the provider's usage events and are kept per UTC
+// day, per client (see auth.js) and per endpoint in a JSON file. Quotas apply
+// to the backend as a whole, since they protect the one API key behind it;
+// the requests-per-minute limit applies to each client.
+const fs = require('fs/promises');
+const path = require('path');
+const config = require('./config');
+const { addUsage } = require('./tokens');
+
+const WINDOW_MS = 60 * 1000;
+// Daily buckets older than this are dropped
+const KEEP_DAYS = 400;
+
+function emptyTotals() {
+    return { requests: 0, promptTokens: 0, candidatesTokens: 0, totalTokens: 0 };
+}
+
+function addTotals(totals, requests, usage) {
+    totals.requests += requests;
+    if (usage) {
+        totals.promptTokens += usage.promptTokens || 0;
+        totals.candidatesTokens += usage.candidatesTokens || 0;
+        totals.totalTokens += usage.totalTokens || 0;
+    }
+    return totals;
+}
+
+function sumTotals(list) {
+    return list.reduce((sum, totals) => addTotals(sum, totals.requests, totals), emptyTotals());
+}
+
+function dayOf(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {{file: string, requestsPerMinute: number, daily: {tokens: number, requests: number},
+ *   monthly: {tokens: number, requests: number}}} [options] - see config.usage; 0 means no limit
+ */
+function createUsageTracker({ file, requestsPerMinute, daily, monthly } = config.usage) {
+    let days = null; // 'YYYY-MM-DD' -> {totals, clients: {id: totals}, endpoints: {name: totals}}
+    let writing = Promise.resolve();
+    const recent = new Map(); // client id -> request timestamps within the window
+
+    async function load() {
+        if (days) return days;
+        try {
+            days = JSON.parse(await fs.readFile(file, 'utf8')).days || {};
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+            days = {};
+        }
+        return days;
+    }
+
+    function persist() {
+        const cutoff = dayOf(new Date(Date.now() - KEEP_DAYS * 24 * 60 * 60 * 1000));
+        for (const day of Object.keys(days)) {
+            if (day < cutoff) delete days[day];
+        }
+        const snapshot = JSON.stringify({ days });
+        const tmp = `${file}.tmp`;
+        writing = writing
+            .catch(() => {})
+            .then(async () => {
+                await fs.mkdir(path.dirname(file), { recursive: true });
+                await fs.writeFile(tmp, snapshot);
+                await fs.rename(tmp, file);
+            });
+        return writing;
+    }
+
+    function bucket(day) {
+        days[day] = days[day] || { totals: emptyTotals(), clients: {}, endpoints: {} };
+        return days[day];
+    }
+
+    async function totalsFor(clientId) {
+        await load();
+        const today = dayOf();
+        const month = today.slice(0, 7);
+        const monthDays = Object.keys(days).filter(day => day.startsWith(month)).map(day => days[day]);
+        const summary = {
+            today: days[today] ? { ...days[today].totals } : emptyTotals(),
+            month: sumTotals(monthDays.map(entry => entry.totals)),
+        };
+        if (clientId) {
+            summary.client = {
+                today: { ...(days[today]?.clients[clientId] || emptyTotals()) },
+                month: sumTotals(monthDays.map(entry => entry.clients[clientId]).filter(Boolean)),
+            };
+        }
+        return summary;
+    }
+
+    // First quota the backend has used up, if any
+    function exceededQuota({ today, month }) {
+        const checks = [
+            [daily.requests, today.requests, 'Daily request quota reached'],
+            [daily.tokens, today.totalTokens, 'Daily token quota reached'],
+            [monthly.requests, month.requests, 'Monthly request quota reached'],
+            [monthly.tokens, month.totalTokens, 'Monthly token quota reached'],
+        ];
+        const hit = checks.find(([limit, used]) => limit > 0 && used >= limit);
+        return hit ? hit[2] : null;
+    }
+
+    // Add `requests` and `usage` to today's totals for the request's client and endpoint
+    async function add(res, requests, usage) {
+        await load();
+        const { clientId, endpoint } = res.locals.usage;
+        const entry = bucket(dayOf());
+        addTotals(entry.totals, requests, usage);
+        addTotals(entry.clients[clientId] = entry.clients[clientId] || emptyTotals(), requests, usage);
+        addTotals(entry.endpoints[endpoint] = entry.endpoints[endpoint] || emptyTotals(), requests, usage);
+        await persist();
+    }
+
+    // `provider` with the usage of every call it streams added to `spent`
+    function meter(provider, spent) {
+        async function* metered(stream) {
+            let usage = null;
+            try {
+                for await (const chunk of stream) {
+                    // Usage is cumulative within a stream; the last numbers count
+                    if (chunk.usage) usage = chunk.usage;
+                    yield chunk;
+                }
+            } finally {
+                spent.usage = addUsage(spent.usage, usage);
+            }
+        }
+        return { ...provider, generateContentStream: request => metered(provider.generateContentStream(request)) };
+    }
+
+    return {
+        /**
+         * Middleware for model endpoints: enforce the per-client rate limit
+         * and the quotas. The request is only counted once the route has
+         * validated it (see `track`).
+         * @param {string} endpoint - name the request is recorded under
+         */
+        guard(endpoint) {
+            return async (req, res, next) => {
+                const clientId = req.client?.id || 'anonymous';
+
+                if (requestsPerMinute > 0) {
+                    const now = Date.now();
+                    const stamps = (recent.get(clientId) || []).filter(stamp => now - stamp < WINDOW_MS);
+                    if (stamps.length >= requestsPerMinute) {
+                        const retryAfter = Math.ceil((stamps[0] + WINDOW_MS - now) / 1000);
+                        console.warn(`Rate limited ${req.method} ${req.originalUrl} for client ${clientId}`);
+                        res.set('Retry-After', String(retryAfter));
+                        return res.status(429).json({ error: `Too many requests, try again in ${retryAfter}s` });
+                    }
+                    stamps.push(now);
+                    recent.set(clientId, stamps);
+                }
+
+                const exceeded = exceededQuota(await totalsFor());
+                if (exceeded) {
+                    console.warn(`Refused ${req.method} ${req.originalUrl} for client ${clientId}: ${exceeded}`);
+                    return res.status(429).json({ error: exceeded });
+                }
+
+                res.locals.usage = { clientId, endpoint };
+                next();
+            };
+        },
+
+        /**
+         * Count a request let through by `guard` that passed validation, and
+         * run its model calls through `work` with a provider that meters
+         * them. The tokens are recorded when `work` ends, including those
+         * spent before a failure (e.g. by the map steps of a summary).
+         * @template T
+         * @param {import('express').Response} res
+         * @param {object} provider - see providers/index.js
+         * @param {(provider: object) => Promise<T>} work
+         * @returns {Promise<T>}
+         */
+        async track(res, provider, work) {
+            if (!res.locals.usage) return work(provider);
+            await add(res, 1, null);
+            const spent = { usage: null };
+            try {
+                return await work(meter(provider, spent));
+            } finally {
+                if (spent.usage) await add(res, 0, spent.usage);
+            }
+        },
+
+        /**
+         * Totals for today and this month (for the backend and for
+         * `clientId`) alongside the configured limits.
+         * @param {string} [clientId]
+         */
+        async summary(clientId) {
+            return {
+                ...await totalsFor(clientId),
+                limits: { requestsPerMinute, daily, monthly },
+            };
+        },
+    };
+}
+
+module.exports = { createUsageTracker };
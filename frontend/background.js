@@ -0,0 +1,509 @@
+// Background service worker: owns every request to the backend.
+// - Popup / side panel chats and page summaries run here as jobs keyed by the
+//   page's history key, so a reply keeps streaming (and gets saved) after the
+//   popup closes. The popup follows a job over a `chat` runtime port.
+// - Context menu entries for selected text; the page's content script shows
+//   the result in an overlay fed by a `selection` port.
+// - PDFs and text files the popup downloads are read by the backend
+//   (`readDocument` runtime message).
+importScripts('stream.js', 'settings.js', 'history.js', 'tabs.js');
+
+// Token from pairing on the options page (see backend/auth.js)
+async function backendHeaders(headers = {}) {
+    const { backendToken } = await chrome.storage.local.get(['backendToken']);
+    return backendToken ? { ...headers, Authorization: `Bearer ${backendToken}` } : headers;
+}
+
+// Error for a failed backend response, pointing at pairing when that's the cause
+async function responseError(resp) {
+    let text = await resp.text().catch(() => '');
+    try { text = JSON.parse(text).error || text; } catch (e) { /* not JSON */ }
+    const error = resp.status === 401
+        ? new Error('The backend did not accept this extension. Pair it on the options page (Settings button).')
+        : new Error(`Server error ${resp.status}: ${text}`);
+    error.status = resp.status;
+    return error;
+}
+
+const SELECTION_MENU = {
+    explain: 'Explain selection',
+    summarize: 'Summarize selection',
+    translate: 'Translate selection',
+    ask: 'Ask about selection',
+};
+
+chrome.runtime.onInstalled.addListener(() => {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({ id: 'selection', title: 'TRON Web Scraper', contexts: ['selection'] });
+        for (const [mode, title] of Object.entries(SELECTION_MENU)) {
+            chrome.contextMenus.create({ id: `selection-${mode}`, parentId: 'selection', title, contexts: ['selection'] });
+        }
+    });
+});
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+    const mode = String(info.menuItemId).replace(/^selection-/, '');
+    if (!SELECTION_MENU[mode] || !tab || tab.id === undefined) return;
+    try {
+        await TabMessages.send(tab.id, { action: 'openSelectionOverlay', mode, selectionText: info.selectionText || '' });
+    } catch (err) {
+        console.error('Could not open the selection overlay:', err);
+    }
+});
+
+// --- History ---------------------------------------------------------------
+// Same storage layout as popup.js (see history.js) so selection answers show
+// up in the page's conversation when the popup is opened.
+
+async function readHistory(key) {
+    const data = await chrome.storage.local.get([key]);
+    return Array.isArray(data[key]) ? data[key] : [];
+}
+
+async function appendToHistory(url, messages) {
+    const key = HistoryKeys.forUrl(url);
+    const history = await readHistory(key);
+    history.push(...messages);
+    await chrome.storage.local.set({ [key]: history });
+    queueSessionWork(key, () => appendToSession(key, messages)).catch(err => {
+        console.warn('Could not save to the backend session:', err);
+    });
+}
+
+// --- Sessions ----------------------------------------------------------------
+// chrome.storage.local holds the copy the popup renders; the backend keeps
+// the same conversation as a session (see backend/sessions.js) so it
+// survives tab unloads and can be picked up by other browsers. The session
+// id of each page is stored next to its history. Backend failures only cost
+// the server-side copy: chats fall back to sending the local history.
+
+function sessionKeyFor(key) {
+    return `geminiSession_${key.slice(HistoryKeys.PREFIX.length)}`;
+}
+
+// Session calls for one page run one at a time, so an edit is on the server
+// before the next question is asked
+const sessionWork = new Map(); // history key -> promise of the last call
+function queueSessionWork(key, work) {
+    const next = (sessionWork.get(key) || Promise.resolve()).catch(() => {}).then(work);
+    sessionWork.set(key, next);
+    next.finally(() => {
+        if (sessionWork.get(key) === next) sessionWork.delete(key);
+    }).catch(() => {});
+    return next;
+}
+
+async function backendJson(path, { method = 'GET', body } = {}) {
+    const resp = await fetch(Settings.backendUrl(await Settings.load(), path), {
+        method,
+        headers: await backendHeaders(body ? { 'Content-Type': 'application/json' } : {}),
+        body: body ? JSON.stringify(body) : undefined
+    });
+    if (!resp.ok) throw await responseError(resp);
+    return resp.status === 204 ? null : resp.json();
+}
+
+/**
+ * Session id for a page, creating the session (seeded with the local
+ * history) the first time the page is chatted about.
+ * @param {string} key - history storage key
+ * @param {object[]} history - local history before the new turn
+ * @param {string} [title]
+ */
+async function ensureSession(key, history, title = '') {
+    const sessionKey = sessionKeyFor(key);
+    const data = await chrome.storage.local.get([sessionKey]);
+    if (data[sessionKey]) return data[sessionKey];
+
+    const session = await backendJson('/api/sessions', {
+        method: 'POST',
+        body: { title, url: HistoryKeys.urlOf(key), messages: history }
+    });
+    await chrome.storage.local.set({ [sessionKey]: session.id });
+    return session.id;
+}
+
+async function appendToSession(key, messages) {
+    const sessionKey = sessionKeyFor(key);
+    const data = await chrome.storage.local.get([sessionKey]);
+    if (!data[sessionKey]) return;
+    await backendJson(`/api/sessions/${data[sessionKey]}/messages`, { method: 'POST', body: { messages } });
+}
+
+/**
+ * Push the local history to the page's session after the popup edited it.
+ * A cleared history deletes the session.
+ */
+async function pushSession(key) {
+    const sessionKey = sessionKeyFor(key);
+    const data = await chrome.storage.local.get([key, sessionKey]);
+    const sessionId = data[sessionKey];
+    if (!sessionId) return;
+
+    const history = Array.isArray(data[key]) ? data[key] : [];
+    try {
+        if (history.length) {
+            await backendJson(`/api/sessions/${sessionId}`, { method: 'PUT', body: { messages: history } });
+            return;
+        }
+        await backendJson(`/api/sessions/${sessionId}`, { method: 'DELETE' });
+    } catch (err) {
+        if (err.status !== 404) throw err;
+    }
+    if (!history.length) await chrome.storage.local.remove([sessionKey]);
+}
+
+/**
+ * Refresh the local history from the backend session: restores it after
+ * the tab was closed (content.js drops the local copy on unload) and picks up
+ * turns added from another browser. Without a known session, the latest one
+ * for the page's URL is adopted if there is no local history yet.
+ */
+async function pullSession(key) {
+    const sessionKey = sessionKeyFor(key);
+    const data = await chrome.storage.local.get([key, sessionKey]);
+    const local = Array.isArray(data[key]) ? data[key] : [];
+    let sessionId = data[sessionKey];
+
+    if (!sessionId) {
+        if (local.length) return; // a session is created with the next turn
+        const { sessions } = await backendJson(`/api/sessions?url=${encodeURIComponent(HistoryKeys.urlOf(key))}`);
+        if (!sessions.length) return;
+        sessionId = sessions[0].id;
+        await chrome.storage.local.set({ [sessionKey]: sessionId });
+    }
+
+    let session;
+    try {
+        session = await backendJson(`/api/sessions/${sessionId}`);
+    } catch (err) {
+        if (err.status !== 404) throw err;
+        // Deleted on the server; start a new one with the next turn
+        await chrome.storage.local.remove([sessionKey]);
+        return;
+    }
+    // A reply may have started while we were waiting
+    if (chatJobs.has(key)) return;
+    if (JSON.stringify(session.messages) !== JSON.stringify(local)) {
+        await chrome.storage.local.set({ [key]: session.messages });
+    }
+}
+
+// --- Selection requests ----------------------------------------------------
+
+/**
+ * Run one selection action against the backend and forward every stream
+ * event to the overlay's port.
+ * @param {chrome.runtime.Port} port
+ * @param {{mode: string, selection: string, context: string, question?: string, title: string, url: string}} request
+ * @param {AbortSignal} signal
+ */
+async function runSelectionRequest(port, request, signal) {
+    let answer = '';
+    let failed = false;
+    const send = (event) => {
+        try { port.postMessage(event); } catch (e) { /* overlay already closed */ }
+    };
+    try {
+        const settings = await Settings.load();
+        const resp = await fetch(Settings.backendUrl(settings, '/api/selection'), {
+            method: 'POST',
+            headers: await backendHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ ...request, settings: Settings.forRequest(settings) }),
+            signal
+        });
+
+        if (!resp.ok) throw await responseError(resp);
+
+        await readEventStream(resp, (event) => {
+            if (event.type === 'delta') answer += event.text;
+            if (event.type === 'error') failed = true;
+            send(event);
+        });
+    } catch (err) {
+        if (err.name === 'AbortError') return;
+        failed = true;
+        send({ type: 'error', message: err.message });
+        send({ type: 'done' });
+    }
+
+    if (!failed && answer.trim() && request.url) {
+        const preview = request.selection.length > 80 ? `${request.selection.slice(0, 80)}...` : request.selection;
+        await appendToHistory(request.url, [
+            {
+                role: 'user',
+                parts: [{ text: request.mode === 'ask' ? `${request.question}\n\n"${request.selection}"` : `${SELECTION_MENU[request.mode]}:\n\n"${request.selection}"` }],
+                meta: { kind: 'selection', mode: request.mode, label: SELECTION_MENU[request.mode], preview, question: request.question || '' }
+            },
+            { role: 'model', parts: [{ text: answer.trim() }] }
+        ]);
+    }
+}
+
+function handleSelectionPort(port) {
+    let controller = null;
+
+    port.onMessage.addListener((message) => {
+        if (message.type === 'run') {
+            if (controller) controller.abort();
+            controller = new AbortController();
+            runSelectionRequest(port, message.request, controller.signal);
+        } else if (message.type === 'abort' && controller) {
+            controller.abort();
+        }
+    });
+
+    // Overlay closed or page navigated away
+    port.onDisconnect.addListener(() => {
+        if (controller) controller.abort();
+    });
+}
+
+// --- Chat jobs -------------------------------------------------------------
+// One in-flight reply per history key. Ports subscribe to a key and get a
+// `started` snapshot, the stream's `event`s and a final `finished` message
+// carrying the saved history. Closing a port never cancels its job.
+
+const chatJobs = new Map(); // history key -> job
+const chatPorts = new Map(); // port -> subscribed history key
+
+// Backend request for each kind of turn, given the history before it. With
+// a session the backend assembles the context and stores the exchange itself.
+const CHAT_REQUESTS = {
+    prompt: (history, message, sessionId) => ({
+        path: '/api/gemini',
+        body: {
+            prompt: message.userMessage.parts[0].text,
+            passages: message.passages,
+            ...(sessionId ? { sessionId, meta: message.userMessage.meta } : { conversationHistory: history })
+        }
+    }),
+    summarize: (history, message, sessionId) => ({
+        path: '/api/summarize',
+        body: sessionId ? { ...message.page, sessionId, meta: message.userMessage.meta } : message.page
+    }),
+    extract: (history, message, sessionId) => ({
+        path: '/api/extract',
+        body: sessionId ? { ...message.page, sessionId, meta: message.userMessage.meta } : message.page
+    }),
+    translate: (history, message, sessionId) => ({
+        path: '/api/translate',
+        body: sessionId ? { ...message.page, sessionId, meta: message.userMessage.meta } : message.page
+    }),
+    research: (history, message, sessionId) => ({
+        path: '/api/research',
+        body: sessionId ? { ...message.research, sessionId, meta: message.userMessage.meta } : message.research
+    }),
+};
+
+function broadcast(key, message) {
+    for (const [port, subscribed] of chatPorts) {
+        if (subscribed !== key) continue;
+        try { port.postMessage({ ...message, key }); } catch (e) { /* popup closed */ }
+    }
+}
+
+// What a popup needs to pick up a reply midway
+function jobSnapshot(job) {
+    return { kind: job.kind, history: job.history, text: job.text, usage: job.usage, context: job.context, progress: job.progress, cached: job.cached };
+}
+
+// Chrome stops an idle service worker after ~30s even while a fetch is
+// streaming; any extension API call resets that timer
+let keepAliveTimer = null;
+function updateKeepAlive() {
+    if (chatJobs.size && !keepAliveTimer) {
+        keepAliveTimer = setInterval(() => chrome.runtime.getPlatformInfo(), 20000);
+    } else if (!chatJobs.size && keepAliveTimer) {
+        clearInterval(keepAliveTimer);
+        keepAliveTimer = null;
+    }
+}
+
+// The backend's default model, asked for once, for when the options page leaves it unset
+let defaultModel = null;
+
+// The model answering with the current settings; '' when the backend can't say
+async function replyModel() {
+    const { model } = await Settings.load();
+    if (model) return model;
+    defaultModel = defaultModel || backendJson('/api/settings')
+        .then(info => info.defaultModel || '')
+        .catch(() => {
+            defaultModel = null;
+            return '';
+        });
+    return defaultModel;
+}
+
+/**
+ * Add the user's turn to the stored history, stream the backend's reply to
+ * subscribers and save it once the stream finishes cleanly.
+ * @param {string} key - history storage key of the page
+ * @param {{kind: 'prompt'|'summarize'|'extract'|'translate'|'research', userMessage: object, page?: object}} message
+ */
+async function runChatJob(key, message) {
+    const job = { kind: message.kind, controller: new AbortController(), history: [], text: '', usage: null, context: null, progress: null, cached: null, finishReason: null, error: null };
+    chatJobs.set(key, job);
+    updateKeepAlive();
+
+    let status = 'done';
+    try {
+        const history = await readHistory(key);
+        const sessionId = await queueSessionWork(key, () => ensureSession(key, history, message.userMessage.meta?.title))
+            .catch(err => {
+                console.warn('Backend session unavailable, sending local history:', err);
+                return null;
+            });
+        const { path, body } = CHAT_REQUESTS[message.kind](history, message, sessionId);
+        job.history = [...history, message.userMessage];
+        await chrome.storage.local.set({ [key]: job.history });
+        broadcast(key, { type: 'started', job: jobSnapshot(job) });
+
+        const settings = await Settings.load();
+        const resp = await fetch(Settings.backendUrl(settings, path), {
+            method: 'POST',
+            headers: await backendHeaders({ 'Content-Type': 'application/json' }),
+            body: JSON.stringify({ ...body, settings: Settings.forRequest(settings) }),
+            signal: job.controller.signal
+        });
+
+        if (!resp.ok) throw await responseError(resp);
+
+        let sawDone = false;
+        await readEventStream(resp, (event) => {
+            switch (event.type) {
+                case 'delta':
+                    job.text += event.text;
+                    break;
+                case 'usage':
+                    job.usage = event;
+                    break;
+                case 'context':
+                    job.context = event;
+                    break;
+                case 'progress':
+                    job.progress = event;
+                    break;
+                case 'cache':
+                    job.cached = event;
+                    break;
+                case 'finish_reason':
+                    job.finishReason = event.reason;
+                    break;
+                case 'error':
+                    job.error = event.message;
+                    break;
+                case 'done':
+                    sawDone = true;
+                    return; // `finished` follows once the reply is saved
+            }
+            broadcast(key, { type: 'event', event });
+        });
+
+        if (!job.error && !sawDone) job.error = 'Connection to the server was lost before the response finished.';
+    } catch (err) {
+        if (err.name === 'AbortError') {
+            status = 'cancelled';
+        } else {
+            console.error('Chat request failed:', err);
+            job.error = err.message;
+        }
+    }
+    if (status === 'done' && job.error) status = 'error';
+
+    let history = null;
+    try {
+        // Re-read: selection answers may have been added while streaming
+        history = await readHistory(key);
+        if (status === 'done' && job.text.trim()) {
+            // The full conversation is kept; the backend session has the same turns.
+            // Replies note their model (for exports); a summary replayed from
+            // the backend's cache also says when it was written.
+            const reply = { role: 'model', parts: [{ text: job.text.trim() }] };
+            const model = await replyModel();
+            if (model || job.cached) reply.meta = { ...(model && { model }), ...(job.cached && { cachedAt: job.cached.createdAt }) };
+            history.push(reply);
+            await chrome.storage.local.set({ [key]: history });
+        }
+    } finally {
+        chatJobs.delete(key);
+        updateKeepAlive();
+        broadcast(key, { type: 'finished', status, error: job.error, finishReason: job.finishReason, history });
+    }
+}
+
+function handleChatPort(port) {
+    chatPorts.set(port, null);
+
+    port.onMessage.addListener((message) => {
+        switch (message.type) {
+            case 'subscribe': {
+                chatPorts.set(port, message.key);
+                const job = chatJobs.get(message.key);
+                if (job) {
+                    port.postMessage({ type: 'started', key: message.key, job: jobSnapshot(job) });
+                } else if (message.key) {
+                    queueSessionWork(message.key, () => pullSession(message.key)).catch(err => {
+                        console.warn('Could not load the backend session:', err);
+                    });
+                }
+                break;
+            }
+            case 'usage':
+                backendJson('/api/usage')
+                    .then(usage => port.postMessage({ type: 'usage', usage }))
+                    .catch(err => console.warn('Could not load backend usage:', err));
+                break;
+            case 'sync':
+                if (!message.key) return;
+                queueSessionWork(message.key, () => pushSession(message.key)).catch(err => {
+                    console.warn('Could not update the backend session:', err);
+                });
+                break;
+            case 'run':
+                if (!message.key || chatJobs.has(message.key) || !CHAT_REQUESTS[message.kind]) return;
+                runChatJob(message.key, message);
+                break;
+            case 'abort': {
+                const job = chatJobs.get(message.key);
+                if (job) job.controller.abort();
+                break;
+            }
+        }
+    });
+
+    // The job keeps running; a reopened popup subscribes again
+    port.onDisconnect.addListener(() => chatPorts.delete(port));
+}
+
+// --- Documents ------------------------------------------------------------------
+// PDFs and text files have no page for the content script to read. The popup
+// downloads them and sends the bytes here, base64-encoded since messages are
+// JSON; the backend returns their text (see backend/documents.js).
+
+async function readDocument({ data, contentType }) {
+    const bytes = Uint8Array.from(atob(data), char => char.charCodeAt(0));
+    const path = `/api/document?type=${encodeURIComponent(contentType || '')}`;
+    const resp = await fetch(Settings.backendUrl(await Settings.load(), path), {
+        method: 'POST',
+        headers: await backendHeaders({ 'Content-Type': 'application/octet-stream' }),
+        body: bytes
+    });
+    if (!resp.ok) throw await responseError(resp);
+    return resp.json();
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message?.type !== 'readDocument') return;
+    readDocument(message).then(
+        document => sendResponse({ document }),
+        err => sendResponse({ error: err.message })
+    );
+    return true;
+});
+
+chrome.runtime.onConnect.addListener((port) => {
+    if (port.name === 'chat') handleChatPort(port);
+    else if (port.name === 'selection') handleSelectionPort(port);
+});
@@ -1,32 +1,85 @@
+/**
+ * Extract the page's main content as markdown plus article metadata
+ * (title, byline, published date, canonical URL, language).
+ * Scoring and boilerplate removal live in extractor.js.
+ */
 function extractMainContent() {
-    // 1. Identify the main content area
-    const articleSelectors = 'article, main, .post-content, .article-body, .main-content';
-    let contentElement = document.querySelector(articleSelectors) || document.body;
-
-    // 2. Extract and clean the text content
-    let rawText = contentElement.innerText || '';
-
-    //3. Cleanup
-    const cleanedText = rawText
-        .replace(/\s*\n\s*\n\s*/g, '\n\n') 
-        .trim();
-    // Limit the returned text to a safe size to avoid sending huge payloads
-    // Reduced for faster processing
-    const MAX_SCRAPE = 5000;
-    if (cleanedText.length > MAX_SCRAPE) {
-        return cleanedText.slice(0, MAX_SCRAPE) + '\n\n[...truncated]';
+    // No truncation: the backend chunks long pages for summarization
+    return PageExtractor.extract(document);
+}
+
+// How much page text around a selection to send along as context
+const SELECTION_CONTEXT_CHARS = 2000;
+
+/**
+ * The current selection plus the text around it, so the model can make
+ * sense of a sentence that refers back to earlier paragraphs.
+ * @param {string} [fallbackText] - selection text reported by the context menu
+ * @returns {{selection: string, context: string, rect: DOMRect|null}}
+ */
+function getSelectionContext(fallbackText = '') {
+    const selection = window.getSelection();
+    const text = (selection && selection.toString().trim()) || fallbackText.trim();
+    if (!selection || !selection.rangeCount || !text) {
+        return { selection: text, context: '', rect: null };
+    }
+
+    const range = selection.getRangeAt(0);
+    let node = range.commonAncestorContainer;
+    if (node.nodeType !== Node.ELEMENT_NODE) node = node.parentElement;
+
+    // Climb until the surrounding block holds a few paragraphs' worth of text
+    while (node && node !== document.body && PageExtractor.textOf(node).length < SELECTION_CONTEXT_CHARS) {
+        node = node.parentElement;
     }
 
-    return cleanedText;
+    const fullText = PageExtractor.textOf(node || document.body);
+    const selected = text.replace(/\s+/g, ' ');
+    const at = Math.max(0, fullText.indexOf(selected.slice(0, 100)));
+    const start = Math.max(0, at - SELECTION_CONTEXT_CHARS / 2);
+    const context = fullText.slice(start, at + selected.length + SELECTION_CONTEXT_CHARS / 2);
+
+    return { selection: text, context, rect: range.getBoundingClientRect() };
 }
 
 //Listen for a message from the popup script
 chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
     if (request.action === 'summarizePage') {
-        const pageContent = extractMainContent();
+        // The PDF viewer and plain text views have no article to extract;
+        // the popup has the backend read those documents instead
+        if (!/html/i.test(document.contentType)) {
+            sendResponse({ contentType: document.contentType });
+            return true;
+        }
+        const article = extractMainContent();
+
+        //Send scraped text and metadata to popup script
+        sendResponse(article);
+        return true;
+    }
+
+    // Tables, definition lists and repeated cards for the popup's Tables panel
+    if (request.action === 'extractTables') {
+        sendResponse({ tables: PageTables.extract(document) });
+        return true;
+    }
+
+    // Passages with stable IDs for answers that cite the page, and the
+    // popup's request to show a cited one
+    if (request.action === 'getPassages') {
+        sendResponse({ passages: PagePassages.split(document) });
+        return true;
+    }
+    if (request.action === 'highlightPassage') {
+        sendResponse({ found: PagePassages.highlight(request.id) });
+        return true;
+    }
 
-        //Send scraped text to popup script
-        sendResponse({ content: pageContent });
+    // Context menu action from the background worker
+    if (request.action === 'openSelectionOverlay') {
+        const { selection, context, rect } = getSelectionContext(request.selectionText);
+        if (selection) SelectionOverlay.open({ mode: request.mode, selection, context, rect });
+        sendResponse({ ok: Boolean(selection) });
         return true;
     }
 })
@@ -34,7 +87,7 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
 // Ensure stored conversation for this page is removed when the tab/page unloads.
 // This ties the lifetime of the saved conversation to the tab being open.
 try {
-    const key = `geminiHistory_${encodeURIComponent(location.href)}`;
+    const key = HistoryKeys.forUrl(location.href);
     window.addEventListener('beforeunload', () => {
         try {
             if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
@@ -0,0 +1,269 @@
+/**
+ * Conversations as files: Markdown with front matter, JSON in the
+ * conversationHistory shape, standalone HTML, and a printable page for PDF
+ * (print.html). Used for the page on screen (Export button) and for saved
+ * library entries, one or many to a file.
+ *
+ * A conversation here is {title, url, date, model, tags, messages}, where
+ * `messages` is the stored history. Summary, extraction and translation
+ * requests carry the scraped page; exports show what the transcript chip
+ * shows instead.
+ */
+const ConversationExport = (() => {
+    const PASSAGE_MARKER = / ?\[p[0-9a-z]{6}\]/g;
+    const PRINT_KEY = 'printExport';
+
+    const STYLE = `
+        body { max-width: 760px; margin: 32px auto; padding: 0 16px; font: 15px/1.6 system-ui, sans-serif; color: #1a1f35; }
+        article + article { margin-top: 48px; padding-top: 24px; border-top: 2px solid #d0d7e2; page-break-before: always; }
+        h1 { font-size: 24px; margin-bottom: 4px; }
+        h2 { font-size: 17px; margin: 28px 0 8px; color: #0b5e78; }
+        .meta { color: #5b6478; font-size: 13px; }
+        .meta a { color: inherit; }
+        blockquote { margin: 0 0 12px; padding: 4px 12px; border-left: 3px solid #0b5e78; color: #333; white-space: pre-wrap; }
+        pre { padding: 10px; overflow-x: auto; background: #f3f5f8; border-radius: 4px; }
+        code { font-family: ui-monospace, monospace; font-size: 13px; }
+        table { border-collapse: collapse; }
+        th, td { padding: 4px 8px; border: 1px solid #d0d7e2; text-align: left; }
+        @media print { body { margin: 0; max-width: none; } a { color: inherit; } }
+    `;
+
+    /**
+     * A conversation from a page's stored history.
+     * @param {object[]} messages - conversationHistory
+     * @param {{url: string, title?: string, date?: string, tags?: string[]}} page
+     */
+    function fromHistory(messages, { url, title = '', date = new Date().toISOString(), tags = [] }) {
+        const chip = messages.find(message => message.meta?.title);
+        const models = [...new Set(messages.map(message => message.meta?.model).filter(Boolean))];
+        return { title: title || chip?.meta.title || url, url, date, model: models.join(', '), tags, messages };
+    }
+
+    // What a user turn was, as the transcript chip puts it; null for a typed question
+    function requestLabel(meta) {
+        const page = meta?.title || meta?.url || 'page';
+        switch (meta?.kind) {
+            case 'summary': return meta.template ? `${meta.template.name}: ${page}` : `Summary of ${page}`;
+            case 'extract': return `Extracted ${meta.schema?.name || 'data'}: ${page}`;
+            case 'translate': return `Translated into ${meta.language?.name || 'English'}: ${page}`;
+            case 'table': return `About ${meta.caption}`;
+            case 'research': return meta.question ? `Research: ${meta.question}` : `Compared ${meta.sources.length} pages`;
+            case 'selection': return meta.question || meta.label;
+            default: return null;
+        }
+    }
+
+    /**
+     * The conversation as question/answer pairs.
+     * @returns {{label: string, question: string, sources: {title: string, url: string}[], answer: string}[]}
+     */
+    function turns({ messages }) {
+        const list = [];
+        for (const message of messages) {
+            const text = message.parts?.[0]?.text || '';
+            if (message.role === 'user') {
+                const label = requestLabel(message.meta);
+                let question = '';
+                if (!label) question = text;
+                else if (message.meta.kind === 'table') question = message.meta.question;
+                else if (message.meta.kind === 'selection') question = message.meta.preview;
+                list.push({ label: label || 'Question', question, sources: message.meta?.sources || [], answer: '' });
+            } else {
+                const answer = text.replace(PASSAGE_MARKER, '');
+                if (list.length && !list[list.length - 1].answer) list[list.length - 1].answer = answer;
+                else list.push({ label: 'Answer', question: '', sources: [], answer });
+            }
+        }
+        return list;
+    }
+
+    function sourceList(sources) {
+        return sources.map((source, i) => `${i + 1}. [${source.title || source.url}](${source.url})`).join('\n');
+    }
+
+    // Double-quoted YAML strings are JSON strings
+    function frontMatter(fields) {
+        const lines = Object.entries(fields)
+            .filter(([, value]) => value !== '' && !(Array.isArray(value) && !value.length))
+            .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+        return `---\n${lines.join('\n')}\n---`;
+    }
+
+    function markdownBody(conversation, level) {
+        const hashes = '#'.repeat(level);
+        return turns(conversation).map(turn => [
+            `${hashes} ${turn.label}`,
+            turn.question && turn.question.split('\n').map(line => `> ${line}`).join('\n'),
+            turn.sources.length && sourceList(turn.sources),
+            turn.answer,
+        ].filter(Boolean).join('\n\n')).join('\n\n');
+    }
+
+    /**
+     * One conversation: front matter, then its turns. Several: front matter
+     * for the batch, then each conversation under its own heading.
+     * @param {object[]} conversations
+     */
+    function toMarkdown(conversations) {
+        if (conversations.length === 1) {
+            const [conversation] = conversations;
+            const { title, url, date, model, tags } = conversation;
+            return `${frontMatter({ title, url, date, model, tags })}\n\n${markdownBody(conversation, 2)}\n`;
+        }
+        const sections = conversations.map(conversation => [
+            `# ${conversation.title}`,
+            [
+                `- URL: <${conversation.url}>`,
+                `- Date: ${conversation.date}`,
+                conversation.model && `- Model: ${conversation.model}`,
+                conversation.tags.length && `- Tags: ${conversation.tags.join(', ')}`,
+            ].filter(Boolean).join('\n'),
+            markdownBody(conversation, 2),
+        ].join('\n\n'));
+        const header = frontMatter({ title: `${conversations.length} saved conversations`, date: new Date().toISOString() });
+        return `${header}\n\n${sections.join('\n\n---\n\n')}\n`;
+    }
+
+    /**
+     * One conversation: its conversationHistory as stored. Several: a list of
+     * {title, url, date, model, tags, conversationHistory}.
+     * @param {object[]} conversations
+     */
+    function toJson(conversations) {
+        const data = conversations.length === 1
+            ? conversations[0].messages
+            : conversations.map(({ messages, ...conversation }) => ({ ...conversation, conversationHistory: messages }));
+        return JSON.stringify(data, null, 2);
+    }
+
+    function el(doc, tag, text) {
+        const node = doc.createElement(tag);
+        if (text) node.textContent = text;
+        return node;
+    }
+
+    function articleFor(doc, conversation) {
+        const article = el(doc, 'article');
+        const meta = el(doc, 'p');
+        meta.className = 'meta';
+        const link = el(doc, 'a', conversation.url);
+        const href = Markdown.safeUrl(conversation.url);
+        if (href) link.href = href;
+        meta.append(
+            link,
+            ` · ${new Date(conversation.date).toLocaleString()}`,
+            conversation.model ? ` · ${conversation.model}` : '',
+            conversation.tags.length ? ` · ${conversation.tags.map(tag => `#${tag}`).join(' ')}` : ''
+        );
+        article.append(el(doc, 'h1', conversation.title), meta);
+
+        for (const turn of turns(conversation)) {
+            article.appendChild(el(doc, 'h2', turn.label));
+            if (turn.question) article.appendChild(el(doc, 'blockquote', turn.question));
+            if (turn.sources.length) {
+                const sources = el(doc, 'div');
+                Markdown.render(sourceList(turn.sources), sources);
+                article.appendChild(sources);
+            }
+            const answer = el(doc, 'div');
+            Markdown.render(turn.answer, answer);
+            article.appendChild(answer);
+        }
+        // Copy buttons need the extension's script
+        article.querySelectorAll('button').forEach(button => button.remove());
+        return article;
+    }
+
+    /**
+     * Lay `conversations` out in `doc` (a new document, or print.html).
+     * @param {Document} doc
+     * @param {object[]} conversations
+     */
+    function fill(doc, conversations) {
+        doc.title = conversations.length === 1 ? conversations[0].title : `${conversations.length} saved conversations`;
+        const style = el(doc, 'style', STYLE);
+        doc.head.appendChild(style);
+        doc.body.replaceChildren(...conversations.map(conversation => articleFor(doc, conversation)));
+    }
+
+    /**
+     * A standalone HTML file: styles inline, no scripts.
+     * @param {object[]} conversations
+     */
+    function toHtml(conversations) {
+        const doc = document.implementation.createHTMLDocument('');
+        const charset = doc.createElement('meta');
+        charset.setAttribute('charset', 'utf-8');
+        doc.head.prepend(charset);
+        fill(doc, conversations);
+        return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+    }
+
+    /**
+     * A file name like "example-page.md", or "library-2026-10-19.md" for several.
+     * @param {object[]} conversations
+     * @param {string} extension
+     */
+    function fileName(conversations, extension) {
+        const base = conversations.length === 1
+            ? Extraction.fileBaseName(conversations[0].title)
+            : `library-${new Date().toISOString().slice(0, 10)}`;
+        return `${base}.${extension}`;
+    }
+
+    /**
+     * Save a file through chrome.downloads.
+     * @param {string} filename
+     * @param {string} text
+     * @param {string} type
+     */
+    async function download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        try {
+            await chrome.downloads.download({ url, filename, saveAs: false });
+        } finally {
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+        }
+    }
+
+    const FORMATS = {
+        markdown: { extension: 'md', type: 'text/markdown', build: toMarkdown },
+        json: { extension: 'json', type: 'application/json', build: toJson },
+        html: { extension: 'html', type: 'text/html', build: toHtml },
+    };
+
+    /**
+     * Export `conversations` as a file, or for PDF open print.html, whose
+     * print dialog saves the PDF.
+     * @param {object[]} conversations
+     * @param {'markdown'|'json'|'html'|'pdf'} format
+     */
+    async function save(conversations, format) {
+        if (format === 'pdf') {
+            // print.html only shows the chips, so the scraped pages stay behind
+            const light = conversations.map(conversation => ({
+                ...conversation,
+                messages: conversation.messages.map(message => (
+                    requestLabel(message.meta) ? { ...message, parts: [{ text: '' }] } : message
+                )),
+            }));
+            await chrome.storage.session.set({ [PRINT_KEY]: light });
+            await chrome.tabs.create({ url: chrome.runtime.getURL('print.html') });
+            return;
+        }
+        const { extension, type, build } = FORMATS[format];
+        await download(fileName(conversations, extension), build(conversations), type);
+    }
+
+    /**
+     * For print.html: the conversations the popup left to print, once.
+     * @returns {Promise<object[]|null>}
+     */
+    async function takePrintJob() {
+        const { [PRINT_KEY]: conversations } = await chrome.storage.session.get(PRINT_KEY);
+        await chrome.storage.session.remove(PRINT_KEY);
+        return conversations || null;
+    }
+
+    return { fromHistory, toMarkdown, toJson, toHtml, fill, save, takePrintJob };
+})();
@@ -0,0 +1,184 @@
+/**
+ * Tables and downloads for structured extraction results.
+ *
+ * The backend answers an Extract request with a fenced JSON block (see
+ * backend/extract.js). A list of records becomes one table row per record;
+ * nested objects become dotted columns ("seller.name") and lists of plain
+ * values are joined with "; ". The popup's Tables panel reuses the table and
+ * CSV helpers for tables found on the page (tables.js). Like markdown.js,
+ * everything is built with DOM APIs, never innerHTML.
+ */
+const Extraction = (() => {
+    const FENCED_JSON = /^\s*```(?:json)?\s*\n([\s\S]*?)\n?```\s*$/;
+
+    /**
+     * The JSON inside an extraction answer, or undefined if it isn't one.
+     * @param {string} text
+     */
+    function parse(text) {
+        const match = FENCED_JSON.exec(text || '');
+        if (!match) return undefined;
+        try {
+            return JSON.parse(match[1]);
+        } catch (e) {
+            return undefined;
+        }
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // The records to tabulate: a list, a single-list wrapper like {items: [...]}, or one object
+    function recordsOf(data) {
+        if (Array.isArray(data)) return data;
+        if (isPlainObject(data)) {
+            const values = Object.values(data);
+            if (values.length === 1 && Array.isArray(values[0])) return values[0];
+        }
+        return [data];
+    }
+
+    function flatten(value, prefix, row) {
+        if (isPlainObject(value)) {
+            for (const [key, child] of Object.entries(value)) flatten(child, prefix ? `${prefix}.${key}` : key, row);
+        } else if (Array.isArray(value)) {
+            row[prefix || 'value'] = value.every(item => !item || typeof item !== 'object')
+                ? value.filter(item => item !== null && item !== undefined).join('; ')
+                : JSON.stringify(value);
+        } else {
+            row[prefix || 'value'] = value === null || value === undefined ? '' : String(value);
+        }
+        return row;
+    }
+
+    /**
+     * @param {unknown} data
+     * @returns {{columns: string[], rows: Object<string, string>[]}}
+     */
+    function toTable(data) {
+        const rows = recordsOf(data).map(record => flatten(record, '', {}));
+        const columns = [];
+        for (const row of rows) {
+            for (const column of Object.keys(row)) {
+                if (!columns.includes(column)) columns.push(column);
+            }
+        }
+        return { columns, rows };
+    }
+
+    // Quote per RFC 4180, and keep spreadsheets from running scraped text as a formula
+    function csvCell(value) {
+        let text = value ?? '';
+        if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * CSV text for a header row plus rows of cells.
+     * @param {string[]} headers - left out when empty
+     * @param {string[][]} rows
+     */
+    function rowsToCsv(headers, rows) {
+        return (headers.length ? [headers, ...rows] : rows)
+            .map(cells => cells.map(csvCell).join(','))
+            .join('\r\n');
+    }
+
+    /**
+     * @param {{columns: string[], rows: Object<string, string>[]}} table
+     */
+    function toCsv({ columns, rows }) {
+        return rowsToCsv(columns, rows.map(row => columns.map(column => row[column])));
+    }
+
+    /**
+     * Save `text` as a file through a temporary object URL.
+     */
+    function download(filename, text, type) {
+        const url = URL.createObjectURL(new Blob([text], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * A file name like "example-page-listings", without extension.
+     * @param {...string} parts
+     */
+    function fileBaseName(...parts) {
+        const slug = parts.filter(Boolean).join(' ')
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 80);
+        return slug || 'extraction';
+    }
+
+    function button(label, title, onClick) {
+        const node = document.createElement('button');
+        node.className = 'message-action';
+        node.textContent = label;
+        node.title = title;
+        node.addEventListener('click', onClick);
+        return node;
+    }
+
+    /**
+     * A scrollable <table> of plain-text cells.
+     * @param {string[]} headers - no header row when empty
+     * @param {string[][]} rows
+     */
+    function tableElement(headers, rows) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-wrapper';
+        const tableEl = document.createElement('table');
+        if (headers.length) {
+            const headRow = tableEl.createTHead().insertRow();
+            for (const header of headers) {
+                const th = document.createElement('th');
+                th.textContent = header;
+                headRow.appendChild(th);
+            }
+        }
+        const body = tableEl.createTBody();
+        for (const row of rows) {
+            const tr = body.insertRow();
+            for (const cell of row) tr.insertCell().textContent = cell ?? '';
+        }
+        wrapper.appendChild(tableEl);
+        return wrapper;
+    }
+
+    /**
+     * Render `data` as a table with CSV and JSON download buttons.
+     * @param {unknown} data
+     * @param {HTMLElement} container
+     * @param {string} baseName - download file name without extension
+     */
+    function render(data, container, baseName) {
+        const table = toTable(data);
+        container.classList.add('markdown', 'extraction');
+
+        const wrapper = tableElement(table.columns, table.rows.map(row => table.columns.map(column => row[column])));
+
+        const footer = document.createElement('div');
+        footer.className = 'extraction-footer';
+        const count = document.createElement('span');
+        count.className = 'muted';
+        count.textContent = `${table.rows.length} row${table.rows.length === 1 ? '' : 's'}`;
+        footer.append(
+            count,
+            button('CSV', 'Download as CSV', () => download(`${baseName}.csv`, toCsv(table), 'text/csv')),
+            button('JSON', 'Download as JSON', () => download(`${baseName}.json`, JSON.stringify(data, null, 2), 'application/json'))
+        );
+
+        container.append(wrapper, footer);
+    }
+
+    return { parse, toTable, toCsv, rowsToCsv, tableElement, download, fileBaseName, render };
+})();
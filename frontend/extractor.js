@@ -0,0 +1,434 @@
+/**
+ * Main-content extraction for web pages.
+ *
+ * Scores candidate containers by how much paragraph text they hold versus
+ * how much of it is link text (Readability-style), drops boilerplate such
+ * as navigation, cookie banners, comments, ads and hidden elements, and
+ * serializes what is left as markdown so headings, lists, tables and code
+ * blocks keep their structure when the model reads them.
+ *
+ * Only standard DOM APIs are used (no innerText/layout), so the same code
+ * runs in the content script and under jsdom in Node.
+ */
+const PageExtractor = (() => {
+    // Never content
+    const SKIP_TAGS = new Set([
+        'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'IFRAME', 'OBJECT', 'EMBED', 'SVG', 'CANVAS',
+        'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'OPTION', 'LABEL', 'DIALOG', 'LINK', 'META',
+    ]);
+    // Page chrome; dropped unless it is the chosen content root itself
+    const BOILERPLATE_TAGS = new Set(['NAV', 'ASIDE', 'FOOTER', 'FORM', 'MENU']);
+    const BOILERPLATE_ROLES = /^(navigation|banner|complementary|contentinfo|search|menu|menubar|dialog|alertdialog)$/;
+    const BOILERPLATE_HINTS = /(^|[\s_-])(ad|ads|advert|advertisement|banner|breadcrumbs?|comments?|consent|cookies?|disqus|footer|gdpr|masthead|menu|modal|nav|navbar|newsletter|outbrain|pagination|popup|promo|related|share|sharing|sidebar|social|sponsored|subscribe|taboola|toolbar|widget)([\s_-]|$)/i;
+    const POSITIVE_HINTS = /article|body|content|entry|main|page|post|story|text|blog|docs?|markdown|prose/i;
+
+    const BLOCK_TAGS = new Set([
+        'ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'BODY', 'CENTER', 'DD', 'DETAILS', 'DIV', 'DL', 'DT',
+        'FIELDSET', 'FIGCAPTION', 'FIGURE', 'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER',
+        'HGROUP', 'HR', 'LI', 'MAIN', 'OL', 'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL',
+    ]);
+    const BLOCK_SELECTOR = [...BLOCK_TAGS].map(tag => tag.toLowerCase()).join(',');
+
+    // --- Visibility & boilerplate --------------------------------------------
+
+    function isHidden(el) {
+        if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+        const inline = el.getAttribute('style') || '';
+        if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(inline)) return true;
+        const view = el.ownerDocument.defaultView;
+        if (view && view.getComputedStyle) {
+            const style = view.getComputedStyle(el);
+            if (style.display === 'none' || style.visibility === 'hidden') return true;
+        }
+        return false;
+    }
+
+    function hintString(el) {
+        return `${el.id || ''} ${typeof el.className === 'string' ? el.className : ''}`;
+    }
+
+    function isBoilerplate(el) {
+        if (BOILERPLATE_TAGS.has(el.tagName)) return true;
+        const role = el.getAttribute('role');
+        if (role && BOILERPLATE_ROLES.test(role)) return true;
+        // Page-level header (not an article's own header)
+        if (el.tagName === 'HEADER' && !el.closest('article, main, [role="main"]')) return true;
+        const hints = hintString(el);
+        return BOILERPLATE_HINTS.test(hints) && !/article|main|content|post|entry/i.test(el.tagName + ' ' + hints);
+    }
+
+    function textOf(el) {
+        return (el.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    function linkDensity(el) {
+        const total = textOf(el).length;
+        if (!total) return 0;
+        let linked = 0;
+        el.querySelectorAll('a').forEach(a => { linked += textOf(a).length; });
+        return linked / total;
+    }
+
+    // --- Scoring ------------------------------------------------------------
+
+    function classWeight(el) {
+        const hints = hintString(el);
+        let weight = 0;
+        if (BOILERPLATE_HINTS.test(hints)) weight -= 25;
+        if (POSITIVE_HINTS.test(hints)) weight += 25;
+        return weight;
+    }
+
+    function baseScore(el) {
+        switch (el.tagName) {
+            case 'ARTICLE': case 'MAIN': return 25 + classWeight(el);
+            case 'DIV': case 'SECTION': return 5 + classWeight(el);
+            case 'PRE': case 'TD': case 'BLOCKQUOTE': return 3 + classWeight(el);
+            case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM':
+                return -3 + classWeight(el);
+            case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH':
+                return -5 + classWeight(el);
+            default: return classWeight(el);
+        }
+    }
+
+    /**
+     * Pick the element that most likely holds the main content.
+     * @param {Document} doc
+     * @returns {Element}
+     */
+    function findContentRoot(doc) {
+        const body = doc.body || doc.documentElement;
+        const scores = new Map();
+        const addScore = (el, amount) => {
+            if (!el || el.nodeType !== 1) return;
+            if (!scores.has(el)) scores.set(el, baseScore(el));
+            scores.set(el, scores.get(el) + amount);
+        };
+
+        body.querySelectorAll('p, pre, td, blockquote, li, section > div, article > div').forEach(node => {
+            if (node.closest('nav, aside, footer, form, script, style, noscript')) return;
+            const text = textOf(node);
+            if (text.length < 25) return;
+            // More text and more commas = more prose
+            const score = 1 + (text.match(/[,，、]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+            addScore(node.parentElement, score);
+            addScore(node.parentElement?.parentElement, score / 2);
+            addScore(node.parentElement?.parentElement?.parentElement, score / 3);
+        });
+
+        let best = null;
+        let bestScore = 0;
+        for (const [el, score] of scores) {
+            if (isBoilerplate(el) || isHidden(el)) continue;
+            const adjusted = score * (1 - linkDensity(el));
+            if (adjusted > bestScore) {
+                best = el;
+                bestScore = adjusted;
+            }
+        }
+
+        if (!best) {
+            return doc.querySelector('article, main, [role="main"], .post-content, .article-body, .main-content') || body;
+        }
+
+        // Content split over sibling wrappers (e.g. several <section>s) is
+        // better captured by their shared parent
+        const parent = best.parentElement;
+        if (parent && parent !== body && scores.has(parent) && !isBoilerplate(parent)) {
+            const parentScore = scores.get(parent) * (1 - linkDensity(parent));
+            if (parentScore >= bestScore * 0.75) best = parent;
+        }
+        return best;
+    }
+
+    // --- Markdown serialization ----------------------------------------------
+
+    const collapse = (text) => text.replace(/[ \t\r\n\f\v ]+/g, ' ');
+
+    function cleanInline(text) {
+        return text.split('\n').map(line => line.trim()).join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    function shouldSkip(el, root) {
+        if (SKIP_TAGS.has(el.tagName) || isHidden(el)) return true;
+        if (el !== root && isBoilerplate(el)) return true;
+        // Link farms (tag clouds, "read more" lists) that slipped past the hints
+        if (el !== root && /^(DIV|UL|OL|SECTION)$/.test(el.tagName)) {
+            const length = textOf(el).length;
+            if (length && length < 300 && linkDensity(el) > 0.6) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Text of inline content, keeping inline code marked and <br> as newlines.
+     */
+    function inlineText(node, root) {
+        if (node.nodeType === 3) return collapse(node.nodeValue);
+        if (node.nodeType !== 1 || shouldSkip(node, root)) return '';
+        if (node.tagName === 'BR') return '\n';
+        if (node.tagName === 'IMG') return '';
+        if (node.tagName === 'CODE' || node.tagName === 'KBD' || node.tagName === 'SAMP') {
+            const code = textOf(node);
+            return code ? `\`${code}\`` : '';
+        }
+        let text = '';
+        node.childNodes.forEach(child => { text += inlineText(child, root); });
+        return text;
+    }
+
+    function escapeCell(text) {
+        return cleanInline(text).replace(/\n+/g, ' ').replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Rows of a table as arrays of cell text (header row first when present).
+     * @param {HTMLTableElement} table
+     * @returns {{headers: string[], rows: string[][]}}
+     */
+    function tableData(table, root = table) {
+        const rows = [...table.rows]
+            .filter(row => row.closest('table') === table)
+            .map(row => [...row.cells].map(cell => {
+                const text = escapeCell(inlineText(cell, root));
+                const span = Math.max(1, Math.min(cell.colSpan || 1, 20));
+                return Array(span).fill(text);
+            }).flat());
+
+        let headers = [];
+        const firstRow = table.rows[0];
+        const hasHeader = table.tHead || (firstRow && [...firstRow.cells].every(cell => cell.tagName === 'TH'));
+        if (hasHeader && rows.length) headers = rows.shift();
+        return { headers, rows };
+    }
+
+    /**
+     * Serialize a table as a GitHub-flavoured markdown table.
+     * @param {{headers: string[], rows: string[][]}} data
+     */
+    function tableToMarkdown({ headers, rows }) {
+        const width = Math.max(headers.length, ...rows.map(row => row.length), 1);
+        const pad = (row) => [...row, ...Array(width - row.length).fill('')];
+        const head = headers.length ? pad(headers) : Array.from({ length: width }, (_, i) => `Column ${i + 1}`);
+        const line = (cells) => `| ${cells.join(' | ')} |`;
+        return [line(head), line(head.map(() => '---')), ...rows.map(row => line(pad(row)))].join('\n');
+    }
+
+    // Tables used for layout (one column, nested tables) are read as blocks
+    function isDataTable(table) {
+        if (table.querySelector('table')) return false;
+        const maxCells = Math.max(0, ...[...table.rows].map(row => row.cells.length));
+        return maxCells > 1 && table.rows.length > 0;
+    }
+
+    function listToMarkdown(list, root, depth) {
+        const ordered = list.tagName === 'OL';
+        let n = parseInt(list.getAttribute('start'), 10) || 1;
+        const indent = '  '.repeat(depth);
+        const lines = [];
+
+        for (const item of list.children) {
+            if (item.tagName !== 'LI' || shouldSkip(item, root)) continue;
+            let text = '';
+            const nested = [];
+            item.childNodes.forEach(child => {
+                if (child.nodeType === 1 && (child.tagName === 'UL' || child.tagName === 'OL')) {
+                    const inner = listToMarkdown(child, root, depth + 1);
+                    if (inner) nested.push(inner);
+                } else if (child.nodeType === 1 && BLOCK_TAGS.has(child.tagName)) {
+                    text += ' ' + blocksToMarkdown(child, root).replace(/\n+/g, ' ');
+                } else {
+                    text += inlineText(child, root);
+                }
+            });
+            text = cleanInline(text).replace(/\n+/g, ' ');
+            if (!text && !nested.length) continue;
+            const marker = ordered ? `${n++}.` : '-';
+            lines.push(`${indent}${marker} ${text}`, ...nested);
+        }
+        return lines.join('\n');
+    }
+
+    function definitionListToMarkdown(dl, root) {
+        const lines = [];
+        for (const child of dl.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd')) {
+            if (shouldSkip(child, root)) continue;
+            const text = cleanInline(inlineText(child, root)).replace(/\n+/g, ' ');
+            if (!text) continue;
+            lines.push(child.tagName === 'DT' ? `**${text}**` : `: ${text}`);
+        }
+        return lines.join('\n');
+    }
+
+    function codeBlockToMarkdown(pre) {
+        const code = pre.querySelector('code') || pre;
+        const langClass = `${code.className || ''} ${pre.className || ''}`.match(/(?:lang|language)-([\w+#-]+)/);
+        const body = (pre.textContent || '').replace(/\n+$/, '');
+        if (!body.trim()) return '';
+        return `\`\`\`${langClass ? langClass[1] : ''}\n${body}\n\`\`\``;
+    }
+
+    /**
+     * Serialize an element's children as markdown blocks.
+     * @param {Element} el
+     * @param {Element} root - the content root (never treated as boilerplate)
+     * @returns {string}
+     */
+    function blocksToMarkdown(el, root) {
+        const blocks = [];
+        let inline = '';
+        const flush = () => {
+            const text = cleanInline(inline);
+            if (text) blocks.push(text);
+            inline = '';
+        };
+
+        el.childNodes.forEach(child => {
+            if (child.nodeType === 3) {
+                inline += collapse(child.nodeValue);
+                return;
+            }
+            if (child.nodeType !== 1 || shouldSkip(child, root)) return;
+
+            const tag = child.tagName;
+            let block = null;
+
+            if (/^H[1-6]$/.test(tag)) {
+                const text = cleanInline(inlineText(child, root)).replace(/\n+/g, ' ');
+                if (text) block = `${'#'.repeat(Number(tag[1]))} ${text}`;
+            } else if (tag === 'P') {
+                block = cleanInline(inlineText(child, root));
+            } else if (tag === 'UL' || tag === 'OL') {
+                block = listToMarkdown(child, root, 0);
+            } else if (tag === 'DL') {
+                block = definitionListToMarkdown(child, root);
+            } else if (tag === 'PRE') {
+                block = codeBlockToMarkdown(child);
+            } else if (tag === 'TABLE') {
+                block = isDataTable(child) ? tableToMarkdown(tableData(child, root)) : blocksToMarkdown(child, root);
+            } else if (tag === 'BLOCKQUOTE') {
+                const inner = blocksToMarkdown(child, root);
+                if (inner) block = inner.split('\n').map(line => `> ${line}`).join('\n');
+            } else if (tag === 'HR') {
+                block = '---';
+            } else if (BLOCK_TAGS.has(tag) || child.querySelector(BLOCK_SELECTOR)) {
+                // Generic container: recurse
+                block = blocksToMarkdown(child, root);
+            } else {
+                inline += inlineText(child, root);
+                return;
+            }
+
+            flush();
+            if (block) blocks.push(block);
+        });
+
+        flush();
+        return blocks.join('\n\n');
+    }
+
+    // --- Metadata ------------------------------------------------------------
+
+    function meta(doc, ...selectors) {
+        for (const selector of selectors) {
+            const node = doc.querySelector(selector);
+            const value = node && (node.getAttribute('content') || node.getAttribute('datetime') || textOf(node));
+            if (value && value.trim()) return value.trim();
+        }
+        return '';
+    }
+
+    // schema.org JSON-LD blocks (Article, NewsArticle, BlogPosting...)
+    function jsonLd(doc) {
+        const items = [];
+        doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+            try {
+                const data = JSON.parse(script.textContent);
+                const queue = Array.isArray(data) ? [...data] : [data];
+                while (queue.length) {
+                    const item = queue.shift();
+                    if (!item || typeof item !== 'object') continue;
+                    if (Array.isArray(item['@graph'])) queue.push(...item['@graph']);
+                    items.push(item);
+                }
+            } catch (e) {
+                // Ignore malformed JSON-LD
+            }
+        });
+        return items.find(item => /Article|Posting|Report|WebPage/i.test([].concat(item['@type'] || '').join(' '))) || {};
+    }
+
+    function authorName(author) {
+        if (!author) return '';
+        if (typeof author === 'string') return author;
+        if (Array.isArray(author)) return author.map(authorName).filter(Boolean).join(', ');
+        return author.name || '';
+    }
+
+    function absoluteUrl(href, base) {
+        try {
+            return new URL(href, base).href;
+        } catch (e) {
+            return '';
+        }
+    }
+
+    function extractMetadata(doc, root) {
+        const ld = jsonLd(doc);
+        const baseUrl = doc.location ? doc.location.href : doc.baseURI;
+
+        let title = meta(doc, 'meta[property="og:title"]', 'meta[name="twitter:title"]') || ld.headline || '';
+        if (!title) {
+            const headings = root.querySelectorAll('h1');
+            title = headings.length === 1 ? textOf(headings[0]) : (doc.title || '').trim();
+        }
+
+        const canonical = doc.querySelector('link[rel="canonical"]');
+        const canonicalUrl = absoluteUrl(
+            (canonical && canonical.getAttribute('href')) || meta(doc, 'meta[property="og:url"]') || baseUrl.split('#')[0],
+            baseUrl
+        );
+
+        const lang = (doc.documentElement.getAttribute('lang') ||
+            meta(doc, 'meta[http-equiv="content-language"]', 'meta[property="og:locale"]') ||
+            ld.inLanguage || '').replace('_', '-');
+
+        return {
+            title,
+            byline: meta(doc, 'meta[name="author"]', 'meta[property="article:author"]', '[itemprop="author"] [itemprop="name"]',
+                '[itemprop="author"]', '[rel="author"]', '.byline', '.author') || authorName(ld.author),
+            publishedDate: meta(doc, 'meta[property="article:published_time"]', 'meta[itemprop="datePublished"]',
+                'meta[name="date"]', 'meta[name="publish-date"]', '[itemprop="datePublished"]') ||
+                ld.datePublished || (root.querySelector('time[datetime]') || {}).getAttribute?.('datetime') || '',
+            canonicalUrl,
+            lang,
+            siteName: meta(doc, 'meta[property="og:site_name"]') || '',
+            excerpt: meta(doc, 'meta[name="description"]', 'meta[property="og:description"]') || '',
+        };
+    }
+
+    /**
+     * Extract the main content of a document as markdown plus metadata.
+     * @param {Document} [doc]
+     * @returns {{title: string, byline: string, publishedDate: string, canonicalUrl: string,
+     *   lang: string, siteName: string, excerpt: string, content: string}}
+     */
+    function extract(doc = document) {
+        const root = findContentRoot(doc);
+        let content = blocksToMarkdown(root, root).replace(/\n{3,}/g, '\n\n').trim();
+
+        // Scoring can occasionally pick a tiny container; fall back to the whole body
+        if (content.length < 200 && root !== doc.body && doc.body) {
+            const whole = blocksToMarkdown(doc.body, doc.body).replace(/\n{3,}/g, '\n\n').trim();
+            if (whole.length > content.length) content = whole;
+        }
+
+        return { ...extractMetadata(doc, root), content };
+    }
+
+    return { extract, findContentRoot, tableData, tableToMarkdown, isDataTable, isHidden, textOf };
+})();
+
+// Allow Node (e.g. jsdom-based tools) to require this file
+if (typeof module !== 'undefined' && module.exports) module.exports = PageExtractor;
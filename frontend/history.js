@@ -0,0 +1,27 @@
+/**
+ * Where a page's conversation is kept in chrome.storage.local. The popup,
+ * the service worker and the content script (which drops the conversation
+ * when its tab unloads) all build the key here, so they find the same one.
+ */
+const HistoryKeys = (() => {
+    const PREFIX = 'geminiHistory_';
+
+    /**
+     * The key for a page. A PDF's page anchor (#page=3, set by page
+     * citations) is the same document.
+     * @param {string} url
+     */
+    function forUrl(url) {
+        return `${PREFIX}${encodeURIComponent(url.replace(/#page=\d+$/, ''))}`;
+    }
+
+    /**
+     * The page URL behind a key.
+     * @param {string} key
+     */
+    function urlOf(key) {
+        return decodeURIComponent(key.slice(PREFIX.length));
+    }
+
+    return { PREFIX, forUrl, urlOf };
+})();
@@ -0,0 +1,146 @@
+/**
+ * The library: conversations the user chose to keep (the Save button), with
+ * the page's title and URL, the summary and follow-up turns, tags and when
+ * they were saved. Per-page history in chrome.storage.local goes away when
+ * the tab closes (see content.js); library entries stay until deleted.
+ *
+ * Entries live in IndexedDB, one per page URL; saving a page again updates
+ * its entry. Search matches every word of the query against the title, URL,
+ * tags and the text of the conversation, leaving out scraped page bodies.
+ */
+const Library = (() => {
+    const DB_NAME = 'tron-library';
+    const DB_VERSION = 1;
+    const STORE = 'entries';
+    const MAX_TAGS = 20;
+    const MAX_TAG_CHARS = 40;
+
+    let opening = null;
+
+    function open() {
+        opening = opening || new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+                store.createIndex('url', 'url', { unique: true });
+                store.createIndex('tags', 'tags', { multiEntry: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                opening = null;
+                reject(request.error);
+            };
+        });
+        return opening;
+    }
+
+    function result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run `work` in one transaction; resolves with its result once the
+     * transaction has committed.
+     */
+    async function transaction(mode, work) {
+        const db = await open();
+        const tx = db.transaction(STORE, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Library transaction aborted'));
+        });
+        const value = await work(tx.objectStore(STORE));
+        await done;
+        return value;
+    }
+
+    /**
+     * Tags from a comma-separated string or a list: trimmed, lower case,
+     * without duplicates.
+     * @param {string|string[]} tags
+     * @returns {string[]}
+     */
+    function normalizeTags(tags) {
+        const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+        const unique = new Set(list.map(tag => String(tag).trim().toLowerCase().slice(0, MAX_TAG_CHARS)).filter(Boolean));
+        return [...unique].slice(0, MAX_TAGS);
+    }
+
+    // Summary, extraction and translation requests carry the whole page; the
+    // chip is what the user sees of them
+    function searchText({ title, url, tags, messages }) {
+        const turns = messages
+            .filter(message => !['summary', 'extract', 'translate'].includes(message.meta?.kind))
+            .map(message => message.parts?.[0]?.text || '');
+        return [title, url, ...tags, ...turns].join('\n').toLowerCase();
+    }
+
+    /**
+     * Save a page's conversation, replacing the entry already saved for its URL.
+     * @param {{url: string, title?: string, messages: object[], tags?: string|string[]}} conversation
+     * @returns {Promise<object>} the saved entry
+     */
+    function save({ url, title = '', messages, tags = [] }) {
+        return transaction('readwrite', async (store) => {
+            const existing = await result(store.index('url').get(url));
+            const now = new Date().toISOString();
+            const entry = {
+                id: existing ? existing.id : crypto.randomUUID(),
+                url,
+                title: title || existing?.title || url,
+                tags: normalizeTags(tags),
+                messages,
+                createdAt: existing ? existing.createdAt : now,
+                savedAt: now,
+            };
+            entry.searchText = searchText(entry);
+            await result(store.put(entry));
+            return entry;
+        });
+    }
+
+    /**
+     * The entry saved for a page, if any.
+     * @param {string} url
+     */
+    function find(url) {
+        return transaction('readonly', async store => (await result(store.index('url').get(url))) || null);
+    }
+
+    /**
+     * Saved entries, most recently saved first.
+     * @param {{query?: string, tag?: string}} [filter] - every word of `query`
+     *   must appear somewhere in the entry; `tag` must be one of its tags
+     */
+    async function list({ query = '', tag = '' } = {}) {
+        const entries = await transaction('readonly', store => result(tag ? store.index('tags').getAll(tag) : store.getAll()));
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        return entries
+            .filter(entry => words.every(word => entry.searchText.includes(word)))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /**
+     * Every tag in use, with how many entries have it, most used first.
+     * @returns {Promise<{tag: string, count: number}[]>}
+     */
+    async function tags() {
+        const counts = new Map();
+        for (const entry of await list()) {
+            for (const tag of entry.tags) counts.set(tag, (counts.get(tag) || 0) + 1);
+        }
+        return [...counts]
+            .map(([tag, count]) => ({ tag, count }))
+            .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+    }
+
+    function remove(id) {
+        return transaction('readwrite', store => result(store.delete(id)));
+    }
+
+    return { save, find, list, tags, remove, normalizeTags };
+})();
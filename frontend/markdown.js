@@ -0,0 +1,374 @@
+/**
+ * Minimal, safe markdown renderer for model responses.
+ *
+ * Output is built with DOM APIs only (createElement / text nodes), never
+ * innerHTML, so whatever the model sends can't inject markup or scripts.
+ * Rendering is cheap enough to redo on every typer tick: an unterminated
+ * code fence or half-written table simply renders as far as it goes.
+ *
+ * Supported: headings, paragraphs, ordered/unordered (nested) lists,
+ * blockquotes, fenced code with a copy button, tables, horizontal rules,
+ * bold, italic, strikethrough, inline code, links and bare URLs.
+ */
+const Markdown = (() => {
+    const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+    const FENCE = /^\s*(```|~~~)\s*([\w+#.-]*)\s*$/;
+    const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+    const HR = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+    const QUOTE = /^\s{0,3}>\s?(.*)$/;
+    const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+    const TABLE_SEPARATOR = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+    // Inline tokens, tried left to right. Groups:
+    // 1-2 code, 3 bold**, 4 bold__, 5 strike, 6 italic*, 7 italic_, 8-9 link, 10 bare URL
+    const INLINE = new RegExp([
+        /(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/.source,
+        /\*\*(?!\s)([\s\S]+?)\*\*/.source,
+        /(?<![A-Za-z0-9])__(?!\s)([\s\S]+?)__(?![A-Za-z0-9])/.source,
+        /~~(?!\s)([\s\S]+?)~~/.source,
+        /\*(?![\s*])([\s\S]*?[^\s*])\*/.source,
+        /(?<![A-Za-z0-9])_(?![\s_])([\s\S]*?[^\s_])_(?![A-Za-z0-9])/.source,
+        /\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/.source,
+        /(https?:\/\/[^\s<>()]*[^\s<>().,;:!?'"*_~])/.source,
+    ].join('|'), 'g');
+
+    function el(tag, className) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        return node;
+    }
+
+    /**
+     * Return the URL if it uses an allowed protocol, otherwise null.
+     * @param {string} href
+     */
+    function safeUrl(href) {
+        try {
+            const url = new URL(href);
+            return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} href
+     * @param {string} label - inline markdown, or literal text when `literal` is set
+     * @param {boolean} [literal]
+     */
+    function createLink(href, label, literal = false) {
+        const url = safeUrl(href);
+        if (!url) return null;
+        const a = el('a');
+        a.href = url;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer';
+        if (literal) a.textContent = label;
+        else appendInline(a, label);
+        return a;
+    }
+
+    /**
+     * Append inline markdown from `text` to `parent`.
+     * @param {Node} parent
+     * @param {string} text
+     */
+    function appendInline(parent, text) {
+        let last = 0;
+        INLINE.lastIndex = 0;
+        const matches = [...text.matchAll(INLINE)];
+
+        for (const m of matches) {
+            if (m.index > last) parent.appendChild(document.createTextNode(text.slice(last, m.index)));
+            last = m.index + m[0].length;
+
+            let node = null;
+            if (m[2] !== undefined) {
+                node = el('code');
+                node.textContent = m[2].replace(/^ (.*) $/, '$1');
+            } else if (m[3] !== undefined || m[4] !== undefined) {
+                node = el('strong');
+                appendInline(node, m[3] ?? m[4]);
+            } else if (m[5] !== undefined) {
+                node = el('del');
+                appendInline(node, m[5]);
+            } else if (m[6] !== undefined || m[7] !== undefined) {
+                node = el('em');
+                appendInline(node, m[6] ?? m[7]);
+            } else if (m[8] !== undefined) {
+                node = createLink(m[9], m[8]);
+            } else if (m[10] !== undefined) {
+                node = createLink(m[10], m[10], true);
+            }
+
+            // Unsafe links fall back to their literal text
+            parent.appendChild(node || document.createTextNode(m[0]));
+        }
+
+        if (last < text.length) parent.appendChild(document.createTextNode(text.slice(last)));
+    }
+
+    function createCodeBlock(code, lang) {
+        const wrapper = el('div', 'code-block');
+        const header = el('div', 'code-header');
+        const label = el('span', 'code-lang');
+        label.textContent = lang || 'code';
+        const copy = el('button', 'code-copy');
+        copy.type = 'button';
+        copy.textContent = 'Copy';
+        copy.title = 'Copy code';
+        copy.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(code);
+                copy.textContent = 'Copied!';
+            } catch (e) {
+                copy.textContent = 'Failed';
+            }
+            setTimeout(() => { copy.textContent = 'Copy'; }, 1500);
+        });
+        header.append(label, copy);
+
+        const pre = el('pre');
+        const codeEl = el('code');
+        if (lang) codeEl.className = `language-${lang}`;
+        codeEl.textContent = code;
+        pre.appendChild(codeEl);
+
+        wrapper.append(header, pre);
+        return wrapper;
+    }
+
+    function splitRow(line) {
+        let row = line.trim();
+        if (row.startsWith('|')) row = row.slice(1);
+        if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+        return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+    }
+
+    function createTable(headerLine, separatorLine, bodyLines) {
+        const headers = splitRow(headerLine);
+        const aligns = splitRow(separatorLine).map(cell => {
+            if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+            if (cell.endsWith(':')) return 'right';
+            return cell.startsWith(':') ? 'left' : '';
+        });
+
+        const wrapper = el('div', 'table-wrapper');
+        const table = el('table');
+        const thead = el('thead');
+        const headRow = el('tr');
+        headers.forEach((text, i) => {
+            const th = el('th');
+            if (aligns[i]) th.style.textAlign = aligns[i];
+            appendInline(th, text);
+            headRow.appendChild(th);
+        });
+        thead.appendChild(headRow);
+        table.appendChild(thead);
+
+        const tbody = el('tbody');
+        for (const line of bodyLines) {
+            const cells = splitRow(line);
+            const tr = el('tr');
+            headers.forEach((_, i) => {
+                const td = el('td');
+                if (aligns[i]) td.style.textAlign = aligns[i];
+                appendInline(td, cells[i] || '');
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        wrapper.appendChild(table);
+        return wrapper;
+    }
+
+    /**
+     * Build nested <ul>/<ol> elements from flat list entries.
+     * @param {{indent: number, ordered: boolean, start: number, text: string}[]} entries
+     */
+    function createLists(entries) {
+        const fragment = document.createDocumentFragment();
+        let i = 0;
+
+        function build(indent) {
+            const first = entries[i];
+            const list = el(first.ordered ? 'ol' : 'ul');
+            if (first.ordered && first.start !== 1) list.start = first.start;
+
+            while (i < entries.length && entries[i].indent >= indent) {
+                const entry = entries[i];
+                // Switching between bullets and numbers starts a new list
+                if (entry.indent === indent && entry.ordered !== first.ordered) break;
+                if (entry.indent > indent) {
+                    const parentItem = list.lastElementChild || list.appendChild(el('li'));
+                    parentItem.appendChild(build(entry.indent));
+                    continue;
+                }
+                const li = el('li');
+                appendInline(li, entry.text);
+                list.appendChild(li);
+                i++;
+            }
+            return list;
+        }
+
+        while (i < entries.length) fragment.appendChild(build(entries[i].indent));
+        return fragment;
+    }
+
+    const isBlank = (line) => !line.trim();
+
+    // A line that starts a block other than a paragraph
+    function startsBlock(line, next) {
+        return FENCE.test(line) || HEADING.test(line) || HR.test(line) || QUOTE.test(line) ||
+            LIST_ITEM.test(line) || (line.includes('|') && next !== undefined && TABLE_SEPARATOR.test(next));
+    }
+
+    /**
+     * Parse markdown source into a DocumentFragment.
+     * @param {string} source
+     */
+    function parse(source) {
+        const fragment = document.createDocumentFragment();
+        const lines = source.replace(/\r\n?/g, '\n').split('\n');
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (isBlank(line)) {
+                i++;
+                continue;
+            }
+
+            const fence = line.match(FENCE);
+            if (fence) {
+                const code = [];
+                i++;
+                while (i < lines.length && !(lines[i].trim().startsWith(fence[1]) && FENCE.test(lines[i]))) {
+                    code.push(lines[i]);
+                    i++;
+                }
+                i++; // closing fence (or end of a still-streaming block)
+                fragment.appendChild(createCodeBlock(code.join('\n'), fence[2]));
+                continue;
+            }
+
+            const heading = line.match(HEADING);
+            if (heading) {
+                const h = el(`h${heading[1].length}`);
+                appendInline(h, heading[2]);
+                fragment.appendChild(h);
+                i++;
+                continue;
+            }
+
+            if (HR.test(line)) {
+                fragment.appendChild(el('hr'));
+                i++;
+                continue;
+            }
+
+            if (QUOTE.test(line)) {
+                const quoted = [];
+                while (i < lines.length && QUOTE.test(lines[i])) {
+                    quoted.push(lines[i].match(QUOTE)[1]);
+                    i++;
+                }
+                const blockquote = el('blockquote');
+                blockquote.appendChild(parse(quoted.join('\n')));
+                fragment.appendChild(blockquote);
+                continue;
+            }
+
+            if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR.test(lines[i + 1])) {
+                const header = line;
+                const separator = lines[i + 1];
+                const body = [];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|') && !isBlank(lines[i])) {
+                    body.push(lines[i]);
+                    i++;
+                }
+                fragment.appendChild(createTable(header, separator, body));
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                const entries = [];
+                while (i < lines.length) {
+                    const item = lines[i].match(LIST_ITEM);
+                    if (item) {
+                        const marker = item[2];
+                        const ordered = /\d/.test(marker);
+                        entries.push({
+                            indent: item[1].replace(/\t/g, '    ').length,
+                            ordered,
+                            start: ordered ? parseInt(marker, 10) : 1,
+                            text: item[3],
+                        });
+                        i++;
+                    } else if (!isBlank(lines[i]) && /^\s+/.test(lines[i]) && entries.length) {
+                        // Indented continuation of the previous item
+                        entries[entries.length - 1].text += ' ' + lines[i].trim();
+                        i++;
+                    } else if (isBlank(lines[i]) && i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) {
+                        i++; // loose list: blank line between items
+                    } else {
+                        break;
+                    }
+                }
+                fragment.appendChild(createLists(entries));
+                continue;
+            }
+
+            // Paragraph: consume until a blank line or another block starts
+            const paragraph = [line.trim()];
+            i++;
+            while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i], lines[i + 1])) {
+                paragraph.push(lines[i].trim());
+                i++;
+            }
+            const p = el('p');
+            paragraph.forEach((text, index) => {
+                if (index > 0) p.appendChild(el('br'));
+                appendInline(p, text);
+            });
+            fragment.appendChild(p);
+        }
+
+        return fragment;
+    }
+
+    /**
+     * Replace the contents of `container` with the rendered markdown.
+     * @param {string} source
+     * @param {HTMLElement} container
+     */
+    function render(source, container) {
+        container.classList.add('markdown');
+        container.replaceChildren(parse(source || ''));
+    }
+
+    /**
+     * Plain-text version of the markdown (for text-to-speech): formatting
+     * markers and code-block chrome removed, one block per line.
+     * @param {string} source
+     * @returns {string}
+     */
+    function toPlainText(source) {
+        const holder = document.createElement('div');
+        holder.appendChild(parse(source || ''));
+        holder.querySelectorAll('.code-header').forEach(node => node.remove());
+        holder.querySelectorAll('li, tr').forEach(node => node.prepend('\n'));
+        holder.querySelectorAll('th, td').forEach(node => node.append(' '));
+        return [...holder.children]
+            .map(node => node.textContent.replace(/\n\s*\n/g, '\n').trim())
+            .filter(Boolean)
+            .join('\n');
+    }
+
+    return { render, toPlainText, safeUrl };
+})();
@@ -0,0 +1,427 @@
+// Extension settings page.
+// Pairing trades the one-time code printed by the backend for a token that
+// background.js sends with every request (see backend/auth.js). Everything
+// else is saved with settings.js and read by the popup and background.js.
+const pairingInput = document.getElementById('pairing-code');
+const pairButton = document.getElementById('pair-btn');
+const testButton = document.getElementById('test-btn');
+const unpairButton = document.getElementById('unpair-btn');
+const pairStatus = document.getElementById('pair-status');
+const backendUrlInput = document.getElementById('backend-url');
+const modelSelect = document.getElementById('model');
+const modelInfo = document.getElementById('model-info');
+const temperatureInput = document.getElementById('temperature');
+const maxOutputTokensInput = document.getElementById('max-output-tokens');
+const systemPromptInput = document.getElementById('system-prompt');
+const summaryLengthSelect = document.getElementById('summary-length');
+const summaryStyleSelect = document.getElementById('summary-style');
+const languageSelect = document.getElementById('language');
+const voiceSelect = document.getElementById('tts-voice');
+const rateInput = document.getElementById('tts-rate');
+const pitchInput = document.getElementById('tts-pitch');
+const rateValue = document.getElementById('tts-rate-value');
+const pitchValue = document.getElementById('tts-pitch-value');
+const testVoiceButton = document.getElementById('tts-test-btn');
+const saveButton = document.getElementById('save-btn');
+const resetButton = document.getElementById('reset-btn');
+const saveStatus = document.getElementById('save-status');
+
+const TOKEN_KEY = 'backendToken';
+const VOICE_SAMPLE = 'This is how summaries will sound when read aloud.';
+
+// Offered answer languages (BCP-47); the backend takes any valid tag
+const LANGUAGES = ['ar', 'cs', 'da', 'de', 'el', 'es', 'fi', 'fr', 'he', 'hi', 'hu', 'id', 'it', 'ja', 'ko', 'nb', 'nl',
+    'pl', 'pt-BR', 'pt-PT', 'ro', 'ru', 'sv', 'th', 'tr', 'uk', 'vi', 'zh-Hans', 'zh-Hant'];
+
+// What GET /api/settings allows; null until the backend answers
+let backendOptions = null;
+
+/**
+ * @param {string} text
+ * @param {'ok'|'error'|''} [kind]
+ */
+function setPairStatus(text, kind = '') {
+    pairStatus.textContent = text;
+    pairStatus.className = kind ? `pair-${kind}` : 'muted';
+}
+
+async function getToken() {
+    const data = await chrome.storage.local.get([TOKEN_KEY]);
+    return data[TOKEN_KEY] || '';
+}
+
+// The URL in the form, so a new backend can be paired before saving
+function backendUrl(path) {
+    return Settings.backendUrl({ backendUrl: backendUrlInput.value.trim() }, path);
+}
+
+/**
+ * Ask the backend whether it still accepts our token.
+ */
+async function checkConnection() {
+    const token = await getToken();
+    unpairButton.disabled = !token;
+    if (!token) {
+        setPairStatus('Not paired');
+        return;
+    }
+    setPairStatus('Checking...');
+    try {
+        const resp = await fetch(backendUrl('/api/auth'), {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        if (resp.ok) {
+            setPairStatus('Paired', 'ok');
+            loadBackendOptions(token);
+        } else if (resp.status === 401) {
+            setPairStatus('The backend no longer accepts this token. Pair again.', 'error');
+        } else {
+            setPairStatus(`Server error ${resp.status}`, 'error');
+        }
+    } catch (err) {
+        setPairStatus(`Backend not reachable at ${backendUrl('')}`, 'error');
+    }
+}
+
+async function pair() {
+    const code = pairingInput.value.trim();
+    if (!code) {
+        setPairStatus('Enter the pairing code printed by the backend.', 'error');
+        return;
+    }
+    pairButton.disabled = true;
+    try {
+        const resp = await fetch(backendUrl('/api/pair'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code, label: `${navigator.userAgent.match(/(Edg|Chrome)\/[\d.]+/)?.[0] || 'Browser'} extension` })
+        });
+        const data = await resp.json().catch(() => ({}));
+        if (!resp.ok) throw new Error(data.error || `Server error ${resp.status}`);
+
+        await chrome.storage.local.set({ [TOKEN_KEY]: data.token });
+        pairingInput.value = '';
+        await checkConnection();
+    } catch (err) {
+        console.error('Pairing failed:', err);
+        setPairStatus(`Pairing failed: ${err.message}`, 'error');
+    } finally {
+        pairButton.disabled = false;
+    }
+}
+
+/**
+ * Fill the model list and limits from the backend (GET /api/settings).
+ * @param {string} token
+ */
+async function loadBackendOptions(token) {
+    try {
+        const resp = await fetch(backendUrl('/api/settings'), {
+            headers: { Authorization: `Bearer ${token}` }
+        });
+        if (!resp.ok) throw new Error(`Server error ${resp.status}`);
+        backendOptions = await resp.json();
+    } catch (err) {
+        console.warn('Could not load backend settings:', err);
+        modelInfo.textContent = 'Could not load the model list from the backend.';
+        return;
+    }
+
+    const selected = modelSelect.value;
+    modelSelect.replaceChildren(new Option(`Backend default (${backendOptions.defaultModel})`, ''));
+    for (const model of backendOptions.models) modelSelect.add(new Option(model, model));
+    selectValue(modelSelect, selected);
+
+    modelInfo.textContent = `Provider: ${backendOptions.provider}`;
+    maxOutputTokensInput.max = backendOptions.maxOutputTokens.max;
+    systemPromptInput.placeholder = backendOptions.systemPrompt.default;
+    systemPromptInput.maxLength = backendOptions.systemPrompt.maxChars;
+}
+
+// Select `value`, adding it as an option first if the list doesn't have it
+function selectValue(select, value) {
+    if (![...select.options].some(option => option.value === value)) {
+        select.add(new Option(value, value));
+    }
+    select.value = value;
+}
+
+function populateLanguages() {
+    const options = LANGUAGES
+        .map(tag => new Option(`${Settings.languageName(tag)} (${tag})`, tag))
+        .sort((a, b) => a.text.localeCompare(b.text));
+    languageSelect.append(...options);
+}
+
+function populateVoices() {
+    const selected = voiceSelect.value;
+    const voices = speechSynthesis.getVoices()
+        .slice()
+        .sort((a, b) => a.lang.localeCompare(b.lang) || a.name.localeCompare(b.name));
+    voiceSelect.replaceChildren(new Option('Automatic (most natural voice for the answer language)', ''));
+    for (const voice of voices) {
+        voiceSelect.add(new Option(`${voice.name} (${voice.lang})`, voice.voiceURI));
+    }
+    if (selected) selectValue(voiceSelect, selected);
+}
+
+function showSliderValues() {
+    rateValue.textContent = `${Number(rateInput.value).toFixed(2)}x`;
+    pitchValue.textContent = Number(pitchInput.value).toFixed(2);
+}
+
+/**
+ * @param {typeof Settings.DEFAULTS} settings
+ */
+function fillForm(settings) {
+    backendUrlInput.value = settings.backendUrl;
+    selectValue(modelSelect, settings.model);
+    temperatureInput.value = settings.temperature ?? '';
+    maxOutputTokensInput.value = settings.maxOutputTokens ?? '';
+    systemPromptInput.value = settings.systemPrompt;
+    summaryLengthSelect.value = settings.summaryLength;
+    summaryStyleSelect.value = settings.summaryStyle;
+    selectValue(languageSelect, settings.language);
+    if (settings.ttsVoice) selectValue(voiceSelect, settings.ttsVoice);
+    else voiceSelect.value = '';
+    rateInput.value = settings.ttsRate;
+    pitchInput.value = settings.ttsPitch;
+    showSliderValues();
+}
+
+/**
+ * Settings from the form, or null (with the bad fields marked) if any are invalid.
+ * @returns {Partial<typeof Settings.DEFAULTS>|null}
+ */
+function readForm() {
+    const errors = [];
+    const check = (input, valid, message) => {
+        input.classList.toggle('setting-invalid', !valid);
+        if (!valid) errors.push(message);
+    };
+
+    const url = backendUrlInput.value.trim() || Settings.DEFAULTS.backendUrl;
+    check(backendUrlInput, /^https?:\/\/[^/\s]+/.test(url), 'The backend URL must start with http:// or https://');
+
+    const temperature = temperatureInput.value === '' ? null : Number(temperatureInput.value);
+    check(temperatureInput, temperature === null || (temperature >= 0 && temperature <= 2), 'Temperature must be from 0 to 2');
+
+    const maxTokensLimit = backendOptions?.maxOutputTokens.max ?? Infinity;
+    const maxOutputTokens = maxOutputTokensInput.value === '' ? null : Number(maxOutputTokensInput.value);
+    check(maxOutputTokensInput, maxOutputTokens === null || (Number.isInteger(maxOutputTokens) && maxOutputTokens >= 1 && maxOutputTokens <= maxTokensLimit),
+        `Max output tokens must be a whole number from 1${Number.isFinite(maxTokensLimit) ? ` to ${maxTokensLimit}` : ''}`);
+
+    if (errors.length) {
+        saveStatus.textContent = errors.join('. ');
+        saveStatus.className = 'pair-error';
+        return null;
+    }
+    return {
+        backendUrl: url,
+        model: modelSelect.value,
+        temperature,
+        maxOutputTokens,
+        systemPrompt: systemPromptInput.value.trim(),
+        summaryLength: summaryLengthSelect.value,
+        summaryStyle: summaryStyleSelect.value,
+        language: languageSelect.value,
+        ttsVoice: voiceSelect.value,
+        ttsRate: Number(rateInput.value),
+        ttsPitch: Number(pitchInput.value),
+    };
+}
+
+function showSaved(text) {
+    saveStatus.textContent = text;
+    saveStatus.className = 'pair-ok';
+}
+
+saveButton.addEventListener('click', async () => {
+    const settings = readForm();
+    if (!settings) return;
+    await Settings.save(settings);
+    showSaved('Saved');
+    checkConnection();
+});
+
+resetButton.addEventListener('click', async () => {
+    await Settings.reset();
+    fillForm(Settings.DEFAULTS);
+    showSaved('Defaults restored');
+    checkConnection();
+});
+
+testVoiceButton.addEventListener('click', () => {
+    speechSynthesis.cancel();
+    const utterance = new SpeechSynthesisUtterance(VOICE_SAMPLE);
+    const voice = speechSynthesis.getVoices().find(v => v.voiceURI === voiceSelect.value);
+    if (voice) {
+        utterance.voice = voice;
+        utterance.lang = voice.lang;
+    } else {
+        // Automatic: the browser's voice for the answer language
+        utterance.lang = Settings.language({ language: languageSelect.value });
+    }
+    utterance.rate = Number(rateInput.value);
+    utterance.pitch = Number(pitchInput.value);
+    speechSynthesis.speak(utterance);
+});
+
+rateInput.addEventListener('input', showSliderValues);
+pitchInput.addEventListener('input', showSliderValues);
+
+/**
+ * Editor for the user's own entries of one kind (summary templates,
+ * extraction schemas): a list with Edit/Delete plus a name/body form. The
+ * section's elements share an id prefix, e.g. "template-list".
+ * @param {object} options
+ * @param {string} options.prefix - id prefix of the section's elements
+ * @param {string} options.noun - what an entry is called, e.g. "template"
+ * @param {{list: Function, saveCustom: Function, removeCustom: Function}} options.store - templates.js / schemas.js
+ * @param {(entry: object) => string} options.format - an entry's body as the form shows it
+ * @param {(text: string) => ({value: object}|{error: string})} options.parse - the form's body back into entry fields
+ */
+function createCustomEditor({ prefix, noun, store, format, parse }) {
+    const list = document.getElementById(`${prefix}-list`);
+    const nameInput = document.getElementById(`${prefix}-name`);
+    const bodyInput = document.getElementById(`${prefix}-body`);
+    const saveButton = document.getElementById(`${prefix}-save-btn`);
+    const cancelButton = document.getElementById(`${prefix}-cancel-btn`);
+    const status = document.getElementById(`${prefix}-status`);
+    // Entry being edited in the form; null when adding a new one
+    let editingId = null;
+
+    /**
+     * @param {string} text
+     * @param {'ok'|'error'|''} [kind]
+     */
+    function setStatus(text, kind = '') {
+        status.textContent = text;
+        status.className = kind ? `pair-${kind}` : 'muted';
+    }
+
+    function createButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'message-action';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async function render() {
+        const entries = (await store.list()).filter(entry => entry.custom);
+        list.replaceChildren();
+        if (!entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'muted';
+            empty.textContent = `No ${noun}s yet.`;
+            list.appendChild(empty);
+            return;
+        }
+        for (const entry of entries) {
+            const item = document.createElement('li');
+            const name = document.createElement('span');
+            name.textContent = entry.name;
+            name.title = format(entry);
+            item.append(
+                name,
+                createButton('Edit', () => edit(entry)),
+                createButton('Delete', () => remove(entry))
+            );
+            list.appendChild(item);
+        }
+    }
+
+    // Load an entry into the form, or clear it for a new one
+    function edit(entry) {
+        editingId = entry?.id || null;
+        nameInput.value = entry?.name || '';
+        bodyInput.value = entry ? format(entry) : '';
+        saveButton.textContent = entry ? `Update ${noun}` : `Add ${noun}`;
+        cancelButton.classList.toggle('hidden', !entry);
+        nameInput.classList.remove('setting-invalid');
+        bodyInput.classList.remove('setting-invalid');
+    }
+
+    async function save() {
+        const name = nameInput.value.trim();
+        const parsed = parse(bodyInput.value.trim());
+        nameInput.classList.toggle('setting-invalid', !name);
+        bodyInput.classList.toggle('setting-invalid', Boolean(parsed.error));
+        if (!name || parsed.error) {
+            setStatus(name ? parsed.error : `Give the ${noun} a name.`, 'error');
+            return;
+        }
+        try {
+            await store.saveCustom({ id: editingId, name, ...parsed.value });
+        } catch (err) {
+            // e.g. the sync storage quota
+            console.error(`Saving ${noun} failed:`, err);
+            setStatus(`Could not save the ${noun}: ${err.message}`, 'error');
+            return;
+        }
+        setStatus(editingId ? `Updated "${name}"` : `Added "${name}"`, 'ok');
+        edit(null);
+        render();
+    }
+
+    async function remove(entry) {
+        if (!confirm(`Delete the ${noun} "${entry.name}"?`)) return;
+        await store.removeCustom(entry.id);
+        if (editingId === entry.id) edit(null);
+        setStatus(`Deleted "${entry.name}"`, 'ok');
+        render();
+    }
+
+    saveButton.addEventListener('click', save);
+    cancelButton.addEventListener('click', () => {
+        edit(null);
+        setStatus('');
+    });
+    render();
+}
+
+createCustomEditor({
+    prefix: 'template',
+    noun: 'template',
+    store: SummaryTemplates,
+    format: template => template.prompt,
+    parse: (prompt) => {
+        const limit = Math.min(SummaryTemplates.MAX_PROMPT_CHARS, backendOptions?.summaryTemplate?.maxChars ?? Infinity);
+        if (!prompt) return { error: 'A template needs a prompt.' };
+        if (prompt.length > limit) return { error: `The prompt is ${prompt.length} characters; the limit is ${limit}.` };
+        return { value: { prompt } };
+    },
+});
+
+createCustomEditor({
+    prefix: 'schema',
+    noun: 'schema',
+    store: ExtractionSchemas,
+    format: entry => JSON.stringify(entry.schema, null, 2),
+    parse: (text) => {
+        const { schema, error } = ExtractionSchemas.parse(text);
+        return error ? { error } : { value: { schema } };
+    },
+});
+
+populateLanguages();
+
+// Voices load asynchronously in Chrome
+populateVoices();
+speechSynthesis.onvoiceschanged = populateVoices;
+
+pairButton.addEventListener('click', pair);
+pairingInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') pair();
+});
+testButton.addEventListener('click', checkConnection);
+unpairButton.addEventListener('click', async () => {
+    await chrome.storage.local.remove([TOKEN_KEY]);
+    checkConnection();
+});
+
+Settings.load().then((settings) => {
+    fillForm(settings);
+    checkConnection();
+});
@@ -0,0 +1,248 @@
+/**
+ * In-page overlay for the "… selection" context menu actions.
+ *
+ * Lives in a shadow root so page styles can't leak in (or ours out). The
+ * request itself runs in the background service worker; the overlay talks to
+ * it over a `selection` runtime port and renders the streamed events.
+ */
+const SelectionOverlay = (() => {
+    const TITLES = {
+        explain: 'Explain selection',
+        summarize: 'Summarize selection',
+        translate: 'Translate selection',
+        ask: 'Ask about selection',
+    };
+
+    const STYLE = `
+        :host { all: initial; }
+        .panel {
+            position: fixed;
+            width: 380px;
+            max-height: 60vh;
+            display: flex;
+            flex-direction: column;
+            background: linear-gradient(135deg, #0a0e1a 0%, #1a1f35 100%);
+            border: 1px solid #00d4ff;
+            box-shadow: 0 0 20px rgba(0, 212, 255, 0.4);
+            border-radius: 2px;
+            color: #ff66ff;
+            font: 14px/1.5 "Segoe UI", "Roboto", -apple-system, sans-serif;
+        }
+        .header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            padding: 8px 12px;
+            border-bottom: 1px solid rgba(0, 212, 255, 0.4);
+            color: #00d4ff;
+            font-size: 12px;
+            letter-spacing: 1px;
+            text-transform: uppercase;
+        }
+        .quote {
+            margin: 8px 12px 0;
+            padding-left: 8px;
+            border-left: 2px solid #ff00ff;
+            color: rgba(0, 212, 255, 0.7);
+            font-size: 12px;
+            max-height: 4.5em;
+            overflow: hidden;
+        }
+        form { display: flex; gap: 6px; margin: 8px 12px 0; }
+        input {
+            flex: 1;
+            padding: 6px 8px;
+            background: rgba(0, 212, 255, 0.05);
+            border: 1px solid #00d4ff;
+            color: #e0f4ff;
+            font: inherit;
+            font-size: 13px;
+        }
+        button {
+            cursor: pointer;
+            background: rgba(0, 212, 255, 0.1);
+            border: 1px solid #00d4ff;
+            color: #00d4ff;
+            padding: 4px 10px;
+            font: inherit;
+            font-size: 11px;
+            text-transform: uppercase;
+        }
+        button:hover { background: rgba(0, 212, 255, 0.25); }
+        .close { border: none; background: none; font-size: 16px; padding: 0 4px; }
+        .body { padding: 8px 12px; overflow-y: auto; flex: 1; }
+        .status { color: rgba(0, 212, 255, 0.5); font-size: 12px; }
+        .error { color: #ff0044; font-size: 12px; padding: 0 12px 8px; }
+        .footer { display: flex; justify-content: flex-end; gap: 6px; padding: 0 12px 10px; }
+        .markdown > * + * { margin-top: 8px; }
+        .markdown h1, .markdown h2, .markdown h3, .markdown h4, .markdown h5, .markdown h6 {
+            margin: 10px 0 4px; color: #00d4ff; font-size: 15px;
+        }
+        .markdown p, .markdown ul, .markdown ol { margin: 0; }
+        .markdown ul, .markdown ol { padding-left: 20px; }
+        .markdown a { color: #00d4ff; }
+        .markdown code { font-family: monospace; font-size: 12px; color: #e0f4ff; background: rgba(0, 212, 255, 0.1); padding: 1px 4px; }
+        .markdown blockquote { margin: 0; padding-left: 8px; border-left: 2px solid #ff66ff; }
+        .markdown table { border-collapse: collapse; font-size: 12px; }
+        .markdown th, .markdown td { border: 1px solid rgba(255, 0, 255, 0.3); padding: 3px 6px; }
+        .table-wrapper { overflow-x: auto; }
+        .code-block { border: 1px solid rgba(0, 212, 255, 0.3); background: rgba(10, 14, 26, 0.8); }
+        .code-header { display: flex; justify-content: space-between; align-items: center; padding: 2px 8px; font-size: 10px; color: rgba(0, 212, 255, 0.5); }
+        .code-block pre { margin: 0; padding: 8px; overflow-x: auto; }
+        .code-block pre code { background: none; padding: 0; }
+        .code-copy { font-size: 10px; padding: 1px 6px; }
+    `;
+
+    let host = null;
+    let port = null;
+
+    function el(parent, tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text) node.textContent = text;
+        parent.appendChild(node);
+        return node;
+    }
+
+    function onKeydown(e) {
+        if (e.key === 'Escape') close();
+    }
+
+    /**
+     * Remove the overlay and cancel any request still streaming.
+     */
+    function close() {
+        if (port) {
+            port.disconnect();
+            port = null;
+        }
+        if (host) {
+            host.remove();
+            host = null;
+        }
+        document.removeEventListener('keydown', onKeydown, true);
+    }
+
+    // Keep the panel on screen, preferring just below the selection
+    function position(panel, rect) {
+        const width = 380;
+        const margin = 12;
+        if (!rect || (!rect.width && !rect.height)) {
+            panel.style.right = `${margin}px`;
+            panel.style.bottom = `${margin}px`;
+            return;
+        }
+        const left = Math.min(Math.max(margin, rect.left), window.innerWidth - width - margin);
+        const below = rect.bottom + 8;
+        if (below < window.innerHeight * 0.6) {
+            panel.style.top = `${below}px`;
+        } else {
+            panel.style.bottom = `${Math.max(margin, window.innerHeight - rect.top + 8)}px`;
+        }
+        panel.style.left = `${Math.max(margin, left)}px`;
+    }
+
+    /**
+     * Stream a selection request through the background worker into `view`.
+     */
+    function run(request, view) {
+        if (port) port.disconnect();
+        port = chrome.runtime.connect({ name: 'selection' });
+
+        let markdown = '';
+        view.body.replaceChildren();
+        view.error.textContent = '';
+        el(view.body, 'div', 'status', 'Thinking...');
+        view.copy.disabled = true;
+
+        port.onMessage.addListener((event) => {
+            switch (event.type) {
+                case 'delta':
+                    markdown += event.text;
+                    Markdown.render(markdown, view.body);
+                    break;
+                case 'error':
+                    view.error.textContent = `Error: ${event.message}`;
+                    if (!markdown) view.body.replaceChildren();
+                    break;
+                case 'done':
+                    view.copy.disabled = !markdown;
+                    view.markdown = markdown;
+                    break;
+            }
+        });
+        port.postMessage({ type: 'run', request });
+    }
+
+    /**
+     * Show the overlay for a selection action and start the request
+     * (for "ask", once the user has typed a question).
+     * @param {{mode: string, selection: string, context: string, rect?: DOMRect}} options
+     */
+    function open({ mode, selection, context, rect }) {
+        close();
+
+        host = document.createElement('div');
+        host.id = 'tron-selection-overlay';
+        host.style.cssText = 'position: fixed; top: 0; left: 0; z-index: 2147483647;';
+        const shadow = host.attachShadow({ mode: 'open' });
+        el(shadow, 'style').textContent = STYLE;
+
+        const panel = el(shadow, 'div', 'panel');
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-label', TITLES[mode] || 'Selection');
+        position(panel, rect);
+
+        const header = el(panel, 'div', 'header');
+        el(header, 'span', '', TITLES[mode] || 'Selection');
+        const closeButton = el(header, 'button', 'close', '×');
+        closeButton.title = 'Close (Esc)';
+        closeButton.addEventListener('click', close);
+
+        el(panel, 'div', 'quote', selection);
+
+        const view = {};
+        const request = {
+            mode,
+            selection,
+            context,
+            title: document.title,
+            url: location.href
+        };
+
+        if (mode === 'ask') {
+            const form = el(panel, 'form');
+            const input = el(form, 'input');
+            input.placeholder = 'Ask about this passage...';
+            el(form, 'button', '', 'Ask').type = 'submit';
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const question = input.value.trim();
+                if (question) run({ ...request, question }, view);
+            });
+            setTimeout(() => input.focus(), 0);
+        }
+
+        view.body = el(panel, 'div', 'body');
+        view.error = el(panel, 'div', 'error');
+        const footer = el(panel, 'div', 'footer');
+        view.copy = el(footer, 'button', '', 'Copy');
+        view.copy.disabled = true;
+        view.copy.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(view.markdown || '');
+                view.copy.textContent = 'Copied!';
+            } catch (e) {
+                view.copy.textContent = 'Failed';
+            }
+            setTimeout(() => { view.copy.textContent = 'Copy'; }, 1500);
+        });
+
+        document.documentElement.appendChild(host);
+        document.addEventListener('keydown', onKeydown, true);
+
+        if (mode !== 'ask') run(request, view);
+    }
+
+    return { open, close };
+})();
@@ -0,0 +1,102 @@
+/**
+ * The page's main content split into short passages with stable IDs, so an
+ * answer can cite where on the page a statement comes from
+ * (backend/passages.js) and the popup can scroll to it.
+ *
+ * A passage is an innermost text block (paragraph, list item, heading, table
+ * cell...) inside the content root that extractor.js picks. Its ID is a hash
+ * of its text, so the same page gives the same IDs when it is split again
+ * later, e.g. after a reload.
+ */
+const PagePassages = (() => {
+    const BLOCK_SELECTOR = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, dt, dd, td, th, figcaption';
+    // Shorter blocks (bylines, buttons, captions) rarely back up a claim; headings always count
+    const MIN_CHARS = 25;
+    const MAX_CHARS = 1000;
+    const MAX_PASSAGES = 1500;
+    const HIGHLIGHT_CLASS = 'tron-passage-highlight';
+    const HIGHLIGHT_MS = 4000;
+
+    // Passage ID -> element, from the last split
+    let elements = new Map();
+
+    // FNV-1a, as 6 base-36 characters
+    function hashId(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `p${(hash >>> 0).toString(36).padStart(6, '0').slice(-6)}`;
+    }
+
+    function isShown(el, root) {
+        for (let node = el; node && node !== root.parentElement; node = node.parentElement) {
+            if (PageExtractor.isHidden(node)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Split the page into passages, remembering their elements for highlight().
+     * @param {Document} [doc]
+     * @returns {{id: string, text: string}[]}
+     */
+    function split(doc = document) {
+        const root = PageExtractor.findContentRoot(doc);
+        const passages = [];
+        elements = new Map();
+
+        for (const el of root.querySelectorAll(BLOCK_SELECTOR)) {
+            // Innermost blocks only: a list item holding paragraphs is read through them
+            if (el.querySelector(BLOCK_SELECTOR) || !isShown(el, root)) continue;
+            const text = PageExtractor.textOf(el);
+            if (!text || (text.length < MIN_CHARS && !/^H[1-6]$/.test(el.tagName))) continue;
+
+            // Repeated text ("Read more") gets the next free ID
+            let id = hashId(text);
+            for (let n = 2; elements.has(id); n++) id = hashId(`${text}#${n}`);
+            elements.set(id, el);
+            passages.push({ id, text: text.length > MAX_CHARS ? `${text.slice(0, MAX_CHARS)}…` : text });
+            if (passages.length >= MAX_PASSAGES) break;
+        }
+        return passages;
+    }
+
+    function ensureStyle(doc) {
+        if (doc.getElementById('tron-passage-style')) return;
+        const style = doc.createElement('style');
+        style.id = 'tron-passage-style';
+        style.textContent = `.${HIGHLIGHT_CLASS} {
+            outline: 2px solid #00d4ff !important;
+            outline-offset: 2px;
+            background-color: rgba(0, 212, 255, 0.15) !important;
+            transition: background-color 0.3s, outline-color 0.3s;
+        }`;
+        (doc.head || doc.documentElement).appendChild(style);
+    }
+
+    let clearTimer = null;
+
+    /**
+     * Scroll to a passage and highlight it for a few seconds.
+     * @param {string} id
+     * @param {Document} [doc]
+     * @returns {boolean} false when the page no longer has that passage
+     */
+    function highlight(id, doc = document) {
+        if (!elements.get(id)?.isConnected) split(doc);
+        const el = elements.get(id);
+        if (!el) return false;
+
+        ensureStyle(doc);
+        doc.querySelectorAll(`.${HIGHLIGHT_CLASS}`).forEach(node => node.classList.remove(HIGHLIGHT_CLASS));
+        el.classList.add(HIGHLIGHT_CLASS);
+        el.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        clearTimeout(clearTimer);
+        clearTimer = setTimeout(() => el.classList.remove(HIGHLIGHT_CLASS), HIGHLIGHT_MS);
+        return true;
+    }
+
+    return { split, highlight };
+})();
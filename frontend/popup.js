@@ -1,35 +1,69 @@
 // DOM Elements for navigation
 const promptInput = document.getElementById('prompt');
-const responseDiv = document.getElementById('response');
+const transcriptDiv = document.getElementById('transcript');
 const sendButton = document.getElementById('send-btn');
 const stopButton = document.getElementById('stop-btn');
 const clearButton = document.getElementById('clear-btn');
 const statusSpan = document.getElementById('status');
-const ttsButton = document.getElementById('tts-btn');
-const copyButton = document.getElementById('copy-btn');
-
-// Streaming and typing states
-let abortController = null;
+const noticeDiv = document.getElementById('notice');
+const usageSpan = document.getElementById('usage');
+const contextSpan = document.getElementById('context');
+const usageMeter = document.getElementById('usage-meter');
+const sidePanelButton = document.getElementById('side-panel-btn');
+const templateSelect = document.getElementById('summary-template');
+const schemaSelect = document.getElementById('extraction-schema');
+const tablesPanel = document.getElementById('tables-panel');
+const tableScopeDiv = document.getElementById('table-scope');
+const researchPanel = document.getElementById('research-panel');
+const libraryPanel = document.getElementById('library-panel');
+const exportPanel = document.getElementById('export-panel');
+
+// The same page runs as the toolbar popup and as the side panel (popup.html?view=panel)
+const IS_SIDE_PANEL = new URLSearchParams(location.search).get('view') === 'panel';
+
+// Streaming and typing states. Requests run in background.js; `streaming`
+// is set while a reply for the conversation on screen is coming in.
+let streaming = false;
 let typeQueue = [];
 let typerInterval = null;
-
-// Session-based conversation history (resets when popup closes)
-// Format: [{role: 'user'|'model', parts: [{text: string}]}]
+// The model bubble currently being streamed into, and its raw markdown so far
+let streamingBody = null;
+let streamingMarkdown = '';
+// The reply being streamed is a cached summary or a page translation: drawn
+// as it arrives (see appendInBulk), not typed out
+let renderingInBulk = false;
+let bulkRenderTimer = null;
+
+// The conversation on screen: the active page's history from
+// chrome.storage.local, which outlives the popup (background.js saves replies
+// that finish after it closed to the same key)
+// Format: [{role: 'user'|'model', parts: [{text: string}], meta?: object}]
+// `meta` is UI-only (e.g. {kind: 'summary', title, url}) and never reaches the
+// model; backend sessions store the fields backend/sessions.js lists and drop the rest.
 let conversationHistory = [];
+// Storage key of the conversation on screen. Captured when it is loaded so a
+// reply that finishes after the user switched tabs (side panel) is still
+// saved to the page it belongs to.
+let historyKey = null;
+
+async function getActiveTab() {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    return tab;
+}
 
 // --- Storage helpers --------------------------------------------------
 // Wrap chrome.storage.local with a safe fallback to localStorage so the UI
 // doesn't blow up if the browser doesn't expose chrome.storage in some
 // contexts (e.g., previewing popup.html outside the extension).
-function storageKeyForUrl(url) {
-    return `geminiHistory_${encodeURIComponent(url)}`;
-}
 
 async function loadStoredHistory() {
+    conversationHistory = [];
+    historyKey = null;
     try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+        const tab = await getActiveTab();
         if (!tab || !tab.url) return;
-        const key = storageKeyForUrl(tab.url);
+        const key = HistoryKeys.forUrl(tab.url);
+        historyKey = key;
         if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
             return new Promise(resolve => chrome.storage.local.get([key], data => {
                 if (data && Array.isArray(data[key])) conversationHistory = data[key];
@@ -39,9 +73,7 @@ async function loadStoredHistory() {
     } catch (e) {
         // Fallback to window.localStorage if chrome.storage isn't available
         try {
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            const key = storageKeyForUrl(tab.url);
-            const raw = localStorage.getItem(key);
+            const raw = historyKey && localStorage.getItem(historyKey);
             if (raw) conversationHistory = JSON.parse(raw);
         } catch (err) {
             // ignore
@@ -50,17 +82,16 @@ async function loadStoredHistory() {
 }
 
 async function saveStoredHistory() {
+    const key = historyKey;
+    if (!key) return;
     try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab || !tab.url) return;
-        const key = storageKeyForUrl(tab.url);
         if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-            return new Promise(resolve => chrome.storage.local.set({ [key]: conversationHistory }, resolve));
+            await new Promise(resolve => chrome.storage.local.set({ [key]: conversationHistory }, resolve));
+            syncSession(key);
+            return;
         }
     } catch (e) {
         try {
-            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-            const key = storageKeyForUrl(tab.url);
             localStorage.setItem(key, JSON.stringify(conversationHistory));
         } catch (err) {
             // ignore
@@ -68,13 +99,14 @@ async function saveStoredHistory() {
     }
 }
 
-async function removeStoredHistoryForActiveTab() {
+async function removeStoredHistory() {
+    const key = historyKey;
+    if (!key) return;
     try {
-        const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-        if (!tab || !tab.url) return;
-        const key = storageKeyForUrl(tab.url);
         if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-            return new Promise(resolve => chrome.storage.local.remove([key], resolve));
+            await new Promise(resolve => chrome.storage.local.remove([key], resolve));
+            syncSession(key);
+            return;
         }
         localStorage.removeItem(key);
     } catch (e) {
@@ -87,10 +119,18 @@ let speechSynthesis = null;
 let currentUtterance = null;
 let isSpeaking = false;
 let isIntentionallyStopping = false; // Track if we're manually stopping
+let activeTtsButton = null; // Per-message "Read" button that started the speech
+
+// Options page settings (voice, rate, pitch); kept current while open
+let settings = Settings.DEFAULTS;
+Settings.load().then((loaded) => { settings = loaded; });
 
 // Typing animation tuning (adjust for speed/feel)
 const TYPING_BATCH = 4; // characters processed per tick
 const TYPING_INTERVAL_MS = 15; // milliseconds between ticks
+const TYPING_CATCH_UP_TICKS = 40; // a long backlog is typed out within about this many ticks
+// Bulk replies can be 200k characters; re-rendering them on every delta would stall the popup
+const BULK_RENDER_INTERVAL_MS = 100;
 
 /**
  * Update the small status label in the UI.
@@ -103,16 +143,22 @@ function setStatus(text) {
 }
 
 /**
- * Start the typing pump which empties `typeQueue` into the response box
+ * Start the typing pump which empties `typeQueue` into the streaming bubble
  * at a controlled rate so streamed text appears smooth.
  */
 function startTyper() {
     if (typerInterval) return;
     typerInterval = setInterval(() => {
-        if (typeQueue.length === 0) return;
-        const batch = typeQueue.splice(0, TYPING_BATCH).join('');
-        responseDiv.textContent += batch;
-        responseDiv.scrollTop = responseDiv.scrollHeight;
+        if (typeQueue.length === 0 || !streamingBody) return;
+        // Bigger batches when far behind (e.g. reopening mid-reply), so the
+        // text never lags the stream by more than a moment
+        const size = Math.max(TYPING_BATCH, Math.ceil(typeQueue.length / TYPING_CATCH_UP_TICKS));
+        const batch = typeQueue.splice(0, size).join('');
+        // Re-render the whole answer so partial markdown (open code fences,
+        // half-written lists) settles into place as more text arrives
+        streamingMarkdown += batch;
+        Markdown.render(streamingMarkdown, streamingBody);
+        transcriptDiv.scrollTop = transcriptDiv.scrollHeight;
     }, TYPING_INTERVAL_MS);
 }
 
@@ -136,36 +182,279 @@ function enqueueText(text) {
 }
 
 /**
- * Normalize incoming stream chunks.
- * Handles two common cases: JSON-wrapped payloads like {"text":"..."}
- * and escaped sequences (\n, \t) that were serialized earlier.
- * This function is intentionally conservative and will fall back to
- * the raw text if parsing fails.
- * @param {string} raw
- * @returns {string}
+ * Add text to a reply drawn in bulk. Rendering is batched: at most one
+ * re-render of the whole answer per BULK_RENDER_INTERVAL_MS.
+ * @param {string} text
  */
-function cleanChunk(raw) {
-    if (!raw) return '';
-    let s = raw;
+function appendInBulk(text) {
+    streamingMarkdown += text;
+    if (bulkRenderTimer) return;
+    bulkRenderTimer = setTimeout(() => {
+        bulkRenderTimer = null;
+        if (!streamingBody) return;
+        Markdown.render(streamingMarkdown, streamingBody);
+        transcriptDiv.scrollTop = transcriptDiv.scrollHeight;
+    }, BULK_RENDER_INTERVAL_MS);
+}
 
-    const looksLikeJson = /^\s*\{\s*"text"\s*:/;
-    if (looksLikeJson.test(s)) {
-        try {
-            const parsed = JSON.parse(s);
-            if (parsed && typeof parsed.text === 'string') s = parsed.text;
-        } catch (e) {
-            // If we can't parse, continue with the original string.
-            console.log('Chunk not valid JSON, using raw text:', e);
-        }
+// Draw what a bulk reply has so far right away, e.g. before it is marked incomplete
+function flushBulkRender() {
+    if (!bulkRenderTimer) return;
+    clearTimeout(bulkRenderTimer);
+    bulkRenderTimer = null;
+    if (streamingBody) Markdown.render(streamingMarkdown, streamingBody);
+}
+
+// --- Transcript ---------------------------------------------------------
+
+/**
+ * Build a small action button for a message bubble.
+ * @param {string} label
+ * @param {string} title
+ * @param {(button: HTMLButtonElement) => void} onClick
+ */
+function createActionButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'message-action';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', () => onClick(button));
+    return button;
+}
+
+// "3 min ago", "5 h ago"...
+function formatAge(iso) {
+    const minutes = Math.floor((Date.now() - Date.parse(iso)) / 60000);
+    if (!(minutes >= 1)) return 'just now';
+    if (minutes < 60) return `${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 24 ? `${hours} h ago` : `${Math.floor(hours / 24)} d ago`;
+}
+
+/**
+ * The "cached, refresh?" line under a summary the backend replayed from its
+ * cache; Refresh asks the model again.
+ * @param {string} cachedAt - when the cached summary was written
+ * @param {number} index - position of the reply in conversationHistory
+ */
+function createCacheIndicator(cachedAt, index) {
+    const indicator = document.createElement('div');
+    indicator.className = 'cache-indicator';
+    indicator.title = `Summary from ${new Date(cachedAt).toLocaleString()}, replayed from the backend's cache`;
+    const refresh = document.createElement('button');
+    refresh.type = 'button';
+    refresh.className = 'cache-refresh';
+    refresh.textContent = 'refresh?';
+    refresh.title = 'Summarize the page again instead of using the cached summary';
+    refresh.addEventListener('click', () => regenerateFrom(index, { refresh: true }));
+    indicator.append(`Cached ${formatAge(cachedAt)}, `, refresh);
+    return indicator;
+}
+
+/**
+ * Create the bubble for one history entry, including its action row.
+ * @param {{role: string, parts: {text: string}[], meta?: object}} message
+ * @param {number} index - position in conversationHistory
+ */
+function createMessageElement(message, index) {
+    const text = message.parts?.[0]?.text || '';
+    const bubble = document.createElement('div');
+    bubble.className = `message ${message.role}`;
+
+    const body = document.createElement('div');
+    body.className = 'message-body';
+    if (message.meta?.kind === 'summary') {
+        // Show a compact chip instead of the full scraped page prompt
+        bubble.classList.add('chip');
+        const page = message.meta.title || message.meta.url || 'page';
+        body.textContent = message.meta.template ? `${message.meta.template.name}: ${page}` : `Summarized ${page}`;
+        body.title = message.meta.url || '';
+    } else if (message.meta?.kind === 'extract') {
+        bubble.classList.add('chip');
+        body.textContent = `Extracted ${message.meta.schema?.name || 'data'}: ${message.meta.title || message.meta.url || 'page'}`;
+        body.title = message.meta.url || '';
+    } else if (message.meta?.kind === 'translate') {
+        bubble.classList.add('chip');
+        body.textContent = `Translated into ${message.meta.language?.name || 'English'}: ${message.meta.title || message.meta.url || 'page'}`;
+        body.title = message.meta.url || '';
+    } else if (message.meta?.kind === 'table') {
+        // Question asked from the Tables panel; the table itself is in the prompt
+        bubble.classList.add('chip');
+        body.textContent = `About ${message.meta.caption}: ${message.meta.question}`;
+        body.title = message.meta.question;
+    } else if (message.meta?.kind === 'research') {
+        bubble.classList.add('chip');
+        const count = `${message.meta.sources.length} pages`;
+        body.textContent = message.meta.question ? `Research (${count}): ${message.meta.question}` : `Compared ${count}`;
+        body.title = message.meta.sources.map((source, i) => `[${i + 1}] ${source.title || source.url}`).join('\n');
+    } else if (message.role === 'model' && conversationHistory[index - 1]?.meta?.kind === 'research') {
+        Markdown.render(text, body);
+        linkCitations(body, conversationHistory[index - 1].meta.sources);
+    } else if (message.meta?.kind === 'selection') {
+        // Context menu action on selected text (added by background.js)
+        bubble.classList.add('chip');
+        const action = message.meta.question || message.meta.label;
+        body.textContent = `${action}: “${message.meta.preview}”`;
+        body.title = text;
+    } else if (message.role === 'model' && conversationHistory[index - 1]?.meta?.kind === 'extract'
+        && Extraction.parse(text) !== undefined) {
+        const request = conversationHistory[index - 1].meta;
+        Extraction.render(Extraction.parse(text), body, Extraction.fileBaseName(request.title, request.schema?.name));
+    } else if (message.role === 'model') {
+        Markdown.render(text, body);
+        if (isPdfConversation()) linkPages(body);
+        else linkPassages(body);
+    } else {
+        body.textContent = text;
     }
+    bubble.appendChild(body);
+    if (message.role === 'model' && message.meta?.cachedAt) bubble.appendChild(createCacheIndicator(message.meta.cachedAt, index));
+
+    // A translation is read in the language it was made in; anything else in the answer language
+    const request = message.role === 'model' ? conversationHistory[index - 1]?.meta : null;
+    const spokenLanguage = request?.kind === 'translate' ? request.language?.tag : undefined;
+
+    const actions = document.createElement('div');
+    actions.className = 'message-actions';
+    actions.append(
+        createActionButton('Copy', 'Copy message to clipboard', (button) => copyText(text, button)),
+        createActionButton('Read', 'Read message aloud', (button) => startTextToSpeech(Markdown.toPlainText(text.replace(PASSAGE_MARKER, '')), button, spokenLanguage)),
+        createActionButton('Delete', 'Delete this message', () => deleteMessage(index)),
+        createActionButton('Regenerate', 'Regenerate the answer from here', () => regenerateFrom(index))
+    );
+    bubble.appendChild(actions);
+    return bubble;
+}
+
+/**
+ * Rebuild the transcript from `conversationHistory`.
+ */
+function renderTranscript() {
+    streamingBody = null;
+    transcriptDiv.replaceChildren();
+    if (conversationHistory.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'transcript-empty';
+        empty.textContent = 'Waiting for a prompt...';
+        transcriptDiv.appendChild(empty);
+        return;
+    }
+    conversationHistory.forEach((message, index) => {
+        transcriptDiv.appendChild(createMessageElement(message, index));
+    });
+    transcriptDiv.scrollTop = transcriptDiv.scrollHeight;
+}
+
+/**
+ * Append an empty model bubble that the typer streams into.
+ */
+function startStreamingBubble() {
+    const bubble = document.createElement('div');
+    bubble.className = 'message model streaming';
+    const body = document.createElement('div');
+    body.className = 'message-body';
+    const loadingBox = document.createElement('div');
+    loadingBox.className = 'loading-box';
+    body.appendChild(loadingBox);
+    bubble.appendChild(body);
+    transcriptDiv.appendChild(bubble);
+    transcriptDiv.scrollTop = transcriptDiv.scrollHeight;
+
+    streamingBody = body;
+    streamingMarkdown = '';
+}
+
+/**
+ * Remove one message from the conversation.
+ * @param {number} index
+ */
+async function deleteMessage(index) {
+    if (streaming) return; // don't reshuffle history mid-stream
+    stopTextToSpeech();
+    conversationHistory.splice(index, 1);
+    await saveStoredHistory();
+    renderTranscript();
+}
 
-    // Replace common escape sequences produced by JSON serialization
-    s = s.replace(/\\n/g, '\n').replace(/\\t/g, '\t');
+/**
+ * Drop everything from the given turn onward and resend the user message
+ * that produced it (or the user message itself when one is picked).
+ * @param {number} index
+ * @param {{refresh?: boolean}} [options] - `refresh` skips the backend's summary cache
+ */
+async function regenerateFrom(index, { refresh = false } = {}) {
+    if (streaming) return;
+    let userIndex = index;
+    while (userIndex >= 0 && conversationHistory[userIndex].role !== 'user') userIndex--;
+    if (userIndex < 0) return;
 
-    // Strip lightweight markdown bold markers for display clarity
-    s = s.replace(/\*\*(.*?)\*\*/g, '$1');
+    const userMessage = conversationHistory[userIndex];
+    stopTextToSpeech();
+    conversationHistory = conversationHistory.slice(0, userIndex);
+    await saveStoredHistory();
+    if (userMessage.meta?.kind === 'summary') {
+        // Re-scrape so long pages go through the chunked summary pipeline again
+        renderTranscript();
+        summarizeCurrentPage(userMessage.meta.template?.id || 'standard', { refresh });
+    } else if (userMessage.meta?.kind === 'extract') {
+        renderTranscript();
+        extractFromCurrentPage(userMessage.meta.schema?.id);
+    } else if (userMessage.meta?.kind === 'translate') {
+        renderTranscript();
+        translateCurrentPage(userMessage.meta.language?.tag);
+    } else if (userMessage.meta?.kind === 'research') {
+        // Re-read the pages, from whichever of their tabs are still open
+        renderTranscript();
+        const open = await chrome.tabs.query({});
+        const tabs = userMessage.meta.sources
+            .map(source => open.find(tab => tab.id === source.tabId) || open.find(tab => tab.url === source.url))
+            .filter(Boolean);
+        researchTabs(tabs, userMessage.meta.question);
+    } else {
+        sendPrompt(userMessage.parts[0].text, userMessage.meta);
+    }
+}
 
-    return s;
+/**
+ * Show a stream notice (error, cancellation, early stop, work in progress)
+ * below the response so it never gets mixed into the answer text. Pass an
+ * empty text to hide it.
+ * @param {string} text
+ * @param {'error'|'cancelled'|'warning'|'info'} [kind]
+ */
+function showNotice(text, kind = 'warning') {
+    noticeDiv.textContent = text;
+    noticeDiv.className = text ? `notice ${kind}` : 'notice hidden';
+}
+
+/**
+ * Show token counts reported by the backend `usage` event.
+ * @param {{promptTokens: number, candidatesTokens: number, totalTokens: number}|null} usage
+ */
+function showUsage(usage) {
+    usageSpan.textContent = usage
+        ? `${usage.promptTokens} in · ${usage.candidatesTokens} out · ${usage.totalTokens} tokens`
+        : '';
+}
+
+/**
+ * Show how much of the model's context budget the last question used
+ * (backend `context` event).
+ * @param {{usedTokens: number, budgetTokens: number, summarizedTurns: number}|null} context
+ */
+function showContext(context) {
+    if (!context) {
+        contextSpan.textContent = '';
+        contextSpan.className = 'muted';
+        return;
+    }
+    const percent = Math.min(100, Math.round((context.usedTokens / context.budgetTokens) * 100));
+    contextSpan.textContent = `· context ${percent}% of ${context.budgetTokens.toLocaleString()}`;
+    contextSpan.title = context.summarizedTurns
+        ? `${context.summarizedTurns} older message(s) were condensed into a summary to fit the budget`
+        : 'Share of the model context budget used by this conversation';
+    contextSpan.className = context.summarizedTurns ? 'muted summarized' : 'muted';
 }
 
 /**
@@ -173,88 +462,224 @@ function cleanChunk(raw) {
  * If `overridePrompt` is provided, it will be sent directly and the textarea
  * will be disabled while the request is in flight.
  * @param {string} [overridePrompt] - Optional prompt to send (for summarize)
- * @param {boolean} [hideUserMessage] - If true, don't show user message in UI (for summarize)
+ * @param {object} [meta] - UI metadata stored with the user turn; `{kind: 'summary', title, url}`
+ *   renders the turn as a compact chip instead of the full prompt
  */
-async function sendPrompt(overridePrompt, hideUserMessage = false) {
+async function sendPrompt(overridePrompt, meta = null) {
     const prompt = (typeof overridePrompt === 'string' ? overridePrompt : promptInput.value).trim();
     if (!prompt) {
-        responseDiv.textContent = 'Please enter a question.';
+        showNotice('Please enter a question.');
         return;
     }
 
-    // Add user message to conversation history
-    conversationHistory.push({
+    const hideInput = typeof overridePrompt === 'string';
+    let text = prompt;
+    if (!hideInput && tableScope) {
+        text = tablePrompt(tableScope, prompt);
+        meta = { kind: 'table', caption: tableScope.caption, question: prompt };
+        setTableScope(null);
+    }
+
+    const userMessage = {
         role: 'user',
-        parts: [{ text: prompt }]
-    });
-    // Persist to storage for this page/tab
-    await saveStoredHistory();
-    
-    // Debug: Log conversation history
-    console.log('Conversation History (after adding user message):', conversationHistory);
-    console.log('History length:', conversationHistory.length);
+        parts: [{ text }]
+    };
+    if (meta) userMessage.meta = meta;
 
-    // Prepare UI for streaming
-    responseDiv.textContent = '';
-    const hideInput = typeof overridePrompt === 'string';
-    if (hideInput) {
-        promptInput.value = '';
-        promptInput.disabled = true;
+    // Follow-ups about a summarized page go with its passages so the answer
+    // can cite them
+    const passages = !meta && conversationHistory.some(message => message.meta?.kind === 'summary')
+        ? await activePagePassages()
+        : undefined;
+
+    console.log('Sending to API - History length:', conversationHistory.length);
+    console.log('Sending to API - Current prompt:', prompt);
+
+    requestTurn({ kind: 'prompt', userMessage, passages }, hideInput);
+}
+
+/**
+ * Describe a backend `progress` event in the streaming bubble until the
+ * first answer text arrives.
+ * @param {{stage: string, completed: number, total: number}} event
+ */
+function showProgress(event) {
+    const loadingBox = streamingBody && streamingBody.querySelector('.loading-box');
+    if (!loadingBox) return;
+    const labels = {
+        map: `Reading chunk ${event.completed}/${event.total}...`,
+        condense: `Condensing notes ${event.completed}/${event.total}...`,
+        reduce: 'Writing summary...',
+        extract: event.total > 1 ? `Extracting part ${event.completed}/${event.total}...` : 'Extracting...',
+        translate: `Translating, ${event.completed}/${event.total} parts done...`,
+        context: 'Condensing earlier conversation...',
+        sources: `Reading long pages ${event.completed}/${event.total}...`,
+        synthesize: 'Comparing sources...',
+    };
+    loadingBox.textContent = labels[event.stage] || `${event.stage} ${event.completed}/${event.total}...`;
+}
+
+// --- Background requests --------------------------------------------------
+// background.js owns the backend calls and history writes (so replies finish
+// after the popup closes); this page follows the conversation over a port.
+
+let chatPort = null;
+
+function getChatPort() {
+    if (!chatPort) {
+        chatPort = chrome.runtime.connect({ name: 'chat' });
+        chatPort.onMessage.addListener(onChatMessage);
+        chatPort.onDisconnect.addListener(() => {
+            chatPort = null;
+            // The service worker went away with the request
+            if (streaming) finishStream({ status: 'error', error: 'Lost connection to the extension background worker.' });
+        });
     }
+    return chatPort;
+}
 
-    setStatus('loading');
-    const loadingBox = document.createElement('div');
-    loadingBox.className = 'loading-box';
-    responseDiv.style.position = 'relative';
-    responseDiv.appendChild(loadingBox);
+// Follow the background job (if any) of the conversation now on screen.
+// background.js also refreshes the stored history from the backend session.
+function subscribeToHistory() {
+    if (historyKey) getChatPort().postMessage({ type: 'subscribe', key: historyKey });
+}
+
+// Push a history edited here (deleted, regenerated or cleared turns) to the
+// backend session
+function syncSession(key) {
+    getChatPort().postMessage({ type: 'sync', key });
+}
+
+function onChatMessage(message) {
+    if (message.type === 'usage') {
+        showUsageMeter(message.usage);
+        return;
+    }
+    if (message.key !== historyKey) return;
+    switch (message.type) {
+        case 'started':
+            beginStream(message.job);
+            break;
+        case 'event':
+            handleStreamEvent(message.event);
+            break;
+        case 'finished':
+            finishStream(message);
+            break;
+    }
+}
 
+/**
+ * Ask background.js to add `request.userMessage` to this page's conversation
+ * and stream the reply. The UI switches to streaming on its `started` message.
+ * @param {{kind: 'prompt'|'summarize'|'extract'|'research', userMessage: object, page?: object, research?: object,
+ *   passages?: object[]}} request
+ * @param {boolean} [lockInput] - disable the textarea while streaming
+ */
+function requestTurn(request, lockInput = false) {
+    if (!historyKey) {
+        showNotice('Could not determine the active tab URL.', 'error');
+        return;
+    }
+    showNotice('');
+    showUsage(null);
+    if (lockInput) {
+        promptInput.disabled = true;
+    }
+    promptInput.value = '';
+    setStatus('loading');
     sendButton.disabled = true;
-    stopButton.disabled = false;
 
-    abortController = new AbortController();
-    let fullResponse = '';
+    getChatPort().postMessage({ type: 'run', key: historyKey, ...request });
+}
 
-    // Prepare history to send (without the current message we just added)
-    const historyToSend = conversationHistory.slice(0, -1);
-    console.log('Sending to API - History length:', historyToSend.length);
-    console.log('Sending to API - Current prompt:', prompt);
-    
-    try {
-        const resp = await fetch('http://localhost:3000/api/gemini', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ 
-                prompt,
-                conversationHistory: historyToSend // Send history without current message
-            }),
-            signal: abortController.signal
-        });
+/**
+ * Show the saved history plus a bubble for the reply being streamed. Also
+ * used when the popup reopens while a reply is still coming in.
+ * @param {{history: object[], text: string, usage: object|null, progress: object|null}} job
+ */
+function beginStream(job) {
+    streaming = true;
+    conversationHistory = job.history;
 
-        if (!resp.ok) {
-            const text = await resp.text().catch(() => '');
-            throw new Error(`Server error ${resp.status}: ${text}`);
-        }
+    // Debug: Log conversation history
+    console.log('Conversation History (after adding user message):', conversationHistory);
+    console.log('History length:', conversationHistory.length);
+
+    typeQueue = [];
+    stopTyper();
+    setStatus('loading');
+    renderTranscript();
+    startStreamingBubble();
+    renderingInBulk = Boolean(job.cached) || job.kind === 'translate';
+    if (job.progress) showProgress(job.progress);
+    showUsage(job.usage);
+    if (job.context) showContext(job.context);
+    if (job.text) {
+        if (renderingInBulk) appendInBulk(job.text);
+        else enqueueText(job.text);
+    }
 
-        const reader = resp.body.getReader();
-        const decoder = new TextDecoder();
-        let done = false;
+    sendButton.disabled = true;
+    stopButton.disabled = false;
+}
 
-        while (!done) {
-            const { value, done: streamDone } = await reader.read();
-            if (streamDone) {
-                done = true;
-                break;
+/**
+ * Apply one backend stream event forwarded by background.js.
+ * @param {{type: string}} event
+ */
+function handleStreamEvent(event) {
+    if (!streaming) return;
+    switch (event.type) {
+        case 'delta':
+            if (renderingInBulk) {
+                appendInBulk(event.text);
+            } else {
+                enqueueText(event.text);
             }
-            if (value) {
-                let chunkText = decoder.decode(value, { stream: true });
-                chunkText = cleanChunk(chunkText);
-                if (chunkText) {
-                    enqueueText(chunkText);
-                    fullResponse += chunkText;
-                }
+            break;
+        case 'cache':
+            renderingInBulk = true;
+            break;
+        case 'usage':
+            showUsage(event);
+            break;
+        case 'context':
+            showContext(event);
+            break;
+        case 'progress':
+            showProgress(event);
+            break;
+        case 'extraction':
+            if (!event.valid) {
+                showNotice(`The extracted data doesn't fully match the schema: ${event.errors.slice(0, 3).join('; ')}`, 'warning');
             }
+            break;
+    }
+}
+
+/**
+ * Wrap up a reply once background.js has saved it (or given up). Partial
+ * answers from a failed or cancelled stream stay visible, marked incomplete,
+ * but are not saved.
+ * @param {{status: 'done'|'error'|'cancelled', error?: string, finishReason?: string, history?: object[]}} result
+ */
+async function finishStream(result) {
+    if (!streaming) {
+        // Failed before the turn was even added (or cleared mid-stream)
+        if (result.error) {
+            showNotice(`Error: ${result.error}`, 'error');
+            setStatus('error');
         }
+        promptInput.disabled = false;
+        sendButton.disabled = false;
+        return;
+    }
+    streaming = false;
+    stopButton.disabled = true;
+    flushBulkRender();
 
+    if (result.status === 'done') {
         // Wait for the UI queue to fully render the streamed text
         await new Promise(resolve => {
             const check = setInterval(() => {
@@ -265,169 +690,1123 @@ async function sendPrompt(overridePrompt, hideUserMessage = false) {
             }, 50);
         });
 
-        // Add model response to conversation history
-        if (fullResponse.trim()) {
-            conversationHistory.push({
-                role: 'model',
-                parts: [{ text: fullResponse.trim() }]
-            });
-            
-            // Limit history to last 10 messages to keep it manageable
-            if (conversationHistory.length > 10) {
-                conversationHistory = conversationHistory.slice(-10);
-            }
-            
-            // Debug: Log conversation history
-            console.log('🤖 Conversation History (after adding AI response):', conversationHistory);
-            console.log('📊 History length:', conversationHistory.length);
-            // Persist
-            await saveStoredHistory();
+        // Anything other than a natural stop (e.g. MAX_TOKENS, SAFETY) is worth flagging
+        if (result.finishReason && !/^stop$/i.test(result.finishReason)) {
+            showNotice(`Response stopped early (${result.finishReason}).`, 'warning');
         }
+        if (result.history) conversationHistory = result.history;
 
-        setStatus('done');
-        
-        // Enable response control buttons
-        ttsButton.disabled = false;
-        copyButton.disabled = false;
+        // Debug: Log conversation history
+        console.log('🤖 Conversation History (after adding AI response):', conversationHistory);
+        console.log('📊 History length:', conversationHistory.length);
 
-    } catch (err) {
-        if (err.name === 'AbortError') {
-            responseDiv.textContent += '\n[Cancelled]\n';
+        setStatus('done');
+        renderTranscript();
+    } else {
+        if (result.status === 'cancelled') {
+            showNotice('Cancelled.', 'cancelled');
             setStatus('cancelled');
         } else {
-            console.error('Fetch/Stream error:', err);
-            responseDiv.textContent = `Error: ${err.message}`;
+            console.error('Fetch/Stream error:', result.error);
+            showNotice(`Error: ${result.error}`, 'error');
             setStatus('error');
         }
-    } finally {
-        const loadingBox = responseDiv.querySelector('.loading-box');
-        if (loadingBox) loadingBox.remove();
+        if (streamingBody) {
+            streamingBody.parentElement.classList.add('incomplete');
+            const loadingBox = streamingBody.querySelector('.loading-box');
+            if (loadingBox) loadingBox.remove();
+            streamingBody.parentElement.classList.remove('streaming');
+        }
+        streamingBody = null;
+    }
 
-        // Restore the input area if it was hidden for this flow
-        try { promptInput.disabled = false; } catch (e) {}
+    // Restore the input area if it was hidden for this flow
+    try { promptInput.disabled = false; } catch (e) {}
 
-        sendButton.disabled = false;
-        stopButton.disabled = true;
-        abortController = null;
-        stopTyper();
-        
-        // Disable response controls on error
-        if (responseDiv.textContent.includes('Error') || responseDiv.textContent.includes('Cancelled')) {
-            ttsButton.disabled = true;
-            copyButton.disabled = true;
-        }
+    sendButton.disabled = false;
+    stopTyper();
+
+    refreshUsageMeter();
+
+    // The side panel held off switching conversations while streaming
+    if (pendingTabSwitch) followActiveTab();
+}
+
+// --- Usage meter --------------------------------------------------------------
+
+function formatTokens(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+}
+
+// Ask background.js for the backend's usage totals (answered with a `usage` message)
+function refreshUsageMeter() {
+    getChatPort().postMessage({ type: 'usage' });
+}
+
+/**
+ * Show today's backend usage. With quotas configured the bar fills toward
+ * whichever daily or monthly limit is closest to being reached.
+ * @param {{today: object, month: object, limits: {daily: object, monthly: object}}} usage
+ */
+function showUsageMeter(usage) {
+    const { today, month, limits } = usage;
+    const shares = [
+        [limits.daily.tokens, today.totalTokens, 'daily tokens'],
+        [limits.daily.requests, today.requests, 'daily requests'],
+        [limits.monthly.tokens, month.totalTokens, 'monthly tokens'],
+        [limits.monthly.requests, month.requests, 'monthly requests'],
+    ].filter(([limit]) => limit > 0).map(([limit, used, label]) => ({ share: used / limit, label }));
+    const tightest = shares.sort((a, b) => b.share - a.share)[0];
+
+    const text = `Today: ${formatTokens(today.totalTokens)} tokens · ${today.requests} requests`;
+    usageMeter.querySelector('.usage-meter-text').textContent = tightest
+        ? `${text} · ${Math.round(tightest.share * 100)}% of ${tightest.label}`
+        : text;
+    usageMeter.title = `This month: ${formatTokens(month.totalTokens)} tokens, ${month.requests} requests`;
+
+    const fill = usageMeter.querySelector('.usage-meter-fill');
+    fill.style.width = tightest ? `${Math.min(100, tightest.share * 100)}%` : '0';
+    usageMeter.classList.toggle('no-quota', !tightest);
+    usageMeter.classList.toggle('near-limit', Boolean(tightest && tightest.share >= 0.8));
+    usageMeter.classList.remove('hidden');
+}
+
+/**
+ * Fill the summary template picker, keeping the remembered choice.
+ */
+async function populateTemplates() {
+    const [templates, selected] = await Promise.all([SummaryTemplates.list(), SummaryTemplates.getSelected()]);
+    const custom = document.createElement('optgroup');
+    custom.label = 'Your templates';
+    templateSelect.replaceChildren();
+    for (const template of templates) {
+        (template.custom ? custom : templateSelect).appendChild(new Option(template.name, template.id));
     }
+    if (custom.children.length) templateSelect.appendChild(custom);
+    templateSelect.value = templates.some(template => template.id === selected) ? selected : 'standard';
 }
 
 /**
- * Extracts the active tab content via a content script and streams a summary.
- * This function attempts a direct message first; if there is no listener it
- * will inject the content script dynamically and retry.
+ * Fill the extraction schema picker, keeping the remembered choice.
  */
-async function summarizeCurrentPage() {
-    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+async function populateSchemas() {
+    const [schemas, selected] = await Promise.all([ExtractionSchemas.list(), ExtractionSchemas.getSelected()]);
+    const custom = document.createElement('optgroup');
+    custom.label = 'Your schemas';
+    schemaSelect.replaceChildren();
+    for (const entry of schemas) {
+        (entry.custom ? custom : schemaSelect).appendChild(new Option(entry.name, entry.id));
+    }
+    if (custom.children.length) schemaSelect.appendChild(custom);
+    schemaSelect.value = schemas.some(entry => entry.id === selected) ? selected : schemas[0].id;
+}
 
-    // Avoid trying to inject into privileged or non-http pages
+// Only regular web pages and local files can run the content script
+function isWebPage(tab) {
     try {
-        const url = new URL(tab.url);
-        if (!/^https?:/.test(url.protocol)) {
-            alert('Cannot summarize this page (internal or unsupported page). Try a regular website page.');
-            return;
-        }
+        return /^(https?|file):$/.test(new URL(tab.url).protocol);
+    } catch (e) {
+        return false;
+    }
+}
+
+function isPdfUrl(url) {
+    try {
+        return /\.pdf$/i.test(new URL(url).pathname);
     } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * The active tab, if the extension can read it; otherwise tells the user why not.
+ * @param {string} action - what the page is for, for error messages ('summarize', 'extract')
+ * @returns {Promise<chrome.tabs.Tab|null>}
+ */
+async function readableActiveTab(action) {
+    const tab = await getActiveTab();
+
+    // Avoid trying to inject into privileged or non-http pages
+    if (!tab || !tab.url) {
         alert('Could not determine the active tab URL. Make sure you are on a normal web page.');
-        return;
+        return null;
+    }
+    if (!isWebPage(tab)) {
+        alert(`Cannot ${action} this page (internal or unsupported page). Try a regular website page.`);
+        return null;
+    }
+    if (tab.url.startsWith('file:') && !(await chrome.extension.isAllowedFileSchemeAccess())) {
+        alert(`To ${action} local files, turn on "Allow access to file URLs" for this extension on the chrome://extensions page.`);
+        return null;
     }
+    return tab;
+}
+
+/**
+ * Send a message to the active tab's content script (see tabs.js),
+ * telling the user when that isn't possible.
+ * @param {string} action - what the page is for, for error messages ('summarize', 'extract')
+ * @param {{action: string}} message - see content.js
+ * @returns {Promise<{tab: chrome.tabs.Tab, response: object}|null>} null after telling the user why not
+ */
+async function messageActivePage(action, message) {
+    const tab = await readableActiveTab(action);
+    if (!tab) return null;
 
-    // Try messaging the page. If that fails, inject the content script and retry.
-    let response = null;
     try {
-        response = await chrome.tabs.sendMessage(tab.id, { action: 'summarizePage' });
+        return { tab, response: await TabMessages.send(tab.id, message) };
     } catch (err) {
-        console.log('Initial sendMessage failed (will try injecting content script):', err);
+        console.error('Failed to inject or message content script:', err);
+        alert('Could not contact the page. Make sure the page allows scripts (not chrome:// or extension pages).');
+        return null;
+    }
+}
+
+/**
+ * The page fields the backend takes, from a `summarizePage` response.
+ * @param {object} response - see content.js
+ * @param {chrome.tabs.Tab} tab
+ */
+function pageFromResponse(response, tab) {
+    return {
+        content: response.content,
+        title: response.title || tab.title || '',
+        url: response.canonicalUrl || tab.url,
+        byline: response.byline || '',
+        publishedDate: response.publishedDate || '',
+        lang: response.lang || ''
+    };
+}
+
+/**
+ * Download a document's bytes. XHR rather than fetch(), which can't read
+ * file:// URLs even once the user allows file access.
+ * @param {string} url
+ * @returns {Promise<{bytes: ArrayBuffer, type: string}>}
+ */
+function downloadDocument(url) {
+    return new Promise((resolve, reject) => {
+        const xhr = new XMLHttpRequest();
+        xhr.open('GET', url.replace(/#.*$/, ''));
+        xhr.responseType = 'arraybuffer';
+        // Local files answer with status 0
+        xhr.onload = () => (xhr.status === 200 || (xhr.status === 0 && xhr.response)
+            ? resolve({ bytes: xhr.response, type: xhr.getResponseHeader('Content-Type') || '' })
+            : reject(new Error(`The document could not be downloaded (HTTP ${xhr.status})`)));
+        xhr.onerror = () => reject(new Error('The document could not be downloaded'));
+        xhr.send();
+    });
+}
+
+function toBase64(bytes) {
+    const view = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < view.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, view.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
+}
 
-    if (!response) {
+/**
+ * Read a PDF or text file open in a tab: the bytes go to the backend, which
+ * sends back the text (see backend/documents.js). A PDF comes back with a
+ * "## Page N" section per page and `format: 'pdf'` so answers cite pages.
+ * @param {chrome.tabs.Tab} tab
+ * @param {string} [contentType] - the type the page reported, for files served without one
+ * @returns {Promise<object|null>} the page fields the backend takes; null after telling the user why not
+ */
+async function readDocumentTab(tab, contentType = '') {
+    showNotice('Reading the document…', 'info');
+    try {
+        const { bytes, type } = await downloadDocument(tab.url);
+        const { document: doc, error } = await chrome.runtime.sendMessage({
+            type: 'readDocument',
+            data: toBase64(bytes),
+            // Local files have no Content-Type header
+            contentType: type || contentType || (isPdfUrl(tab.url) ? 'application/pdf' : '')
+        });
+        if (error) throw new Error(error);
+        showNotice('');
+        return {
+            content: doc.content,
+            title: doc.title || tab.title || '',
+            url: tab.url.replace(/#.*$/, ''),
+            byline: doc.byline,
+            publishedDate: '',
+            ...(doc.format === 'pdf' && { format: 'pdf' })
+        };
+    } catch (err) {
+        console.error('Could not read the document:', err);
+        showNotice('');
+        alert(`Could not read this document. ${err.message}`);
+        return null;
+    }
+}
+
+/**
+ * Extracts the active tab content via a content script, or through the
+ * backend for PDFs and text files.
+ * @param {string} action - what the page is for, for error messages ('summarize', 'extract')
+ * @returns {Promise<{page: object, details: string, tabUrl: string}|null>} null after telling the user why not
+ */
+async function scrapeActivePage(action) {
+    const tab = await readableActiveTab(action);
+    if (!tab) return null;
+
+    let page = null;
+    if (isPdfUrl(tab.url)) {
+        page = await readDocumentTab(tab);
+    } else {
+        let response;
         try {
-            await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content.js'] });
-            await new Promise(r => setTimeout(r, 150));
-            response = await chrome.tabs.sendMessage(tab.id, { action: 'summarizePage' });
+            response = await TabMessages.send(tab.id, { action: 'summarizePage' });
         } catch (err) {
             console.error('Failed to inject or message content script:', err);
             alert('Could not contact the page. Make sure the page allows scripts (not chrome:// or extension pages).');
+            return null;
+        }
+        if (response?.contentType) {
+            // Not an HTML page (see content.js)
+            page = await readDocumentTab(tab, response.contentType);
+        } else if (!response || !response.content) {
+            alert('Could not extract content from the page or the page returned empty content.');
+            return null;
+        } else {
+            page = pageFromResponse(response, tab);
+        }
+    }
+    if (!page) return null;
+
+    // Metadata header gives the model context the body text lacks
+    const details = [
+        page.title && `Title: ${page.title}`,
+        page.byline && `Author: ${page.byline}`,
+        page.publishedDate && `Published: ${page.publishedDate}`,
+        `URL: ${page.url}`,
+    ].filter(Boolean).join('\n');
+
+    return { page, details, tabUrl: tab.url };
+}
+
+/**
+ * Scrape the active tab and stream a summary of it.
+ * @param {string} [templateId] - summary template (see templates.js); defaults to the picker's
+ * @param {{refresh?: boolean}} [options] - `refresh` skips the backend's summary cache
+ */
+async function summarizeCurrentPage(templateId = templateSelect.value, { refresh = false } = {}) {
+    const scraped = await scrapeActivePage('summarize');
+    if (!scraped) return;
+    const { details, tabUrl } = scraped;
+
+    // A deleted custom template falls back to the standard summary
+    const template = await SummaryTemplates.find(templateId) || await SummaryTemplates.find('standard');
+    const page = { ...scraped.page, template: SummaryTemplates.forRequest(template) };
+    // The backend replays a cached summary of the same page unless told otherwise
+    if (refresh) page.refresh = true;
+
+    // The full page goes into history so follow-up questions can use it;
+    // the transcript shows a "Summarized <title>" chip instead. The
+    // template is recorded so the chip (and Regenerate) can name it.
+    const request = page.template ? `Summarize this page (${template.name})` : 'Summarize this page';
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `${request}:\n\n${details}\n\n${page.content}` }],
+        meta: { kind: 'summary', title: page.title, url: tabUrl }
+    };
+    if (page.format === 'pdf') userMessage.meta.format = 'pdf';
+    if (page.template) userMessage.meta.template = { id: template.id, name: template.name };
+
+    // Reset UI queue and start streaming the summary
+    typeQueue = [];
+    stopTyper();
+
+    // The backend chunks long pages and summarizes them map-reduce style
+    requestTurn({ kind: 'summarize', userMessage, page }, true);
+}
+
+/**
+ * Scrape the active tab and extract data matching a JSON schema from it;
+ * the answer renders as a table (see extraction.js).
+ * @param {string} [schemaId] - extraction schema (see schemas.js); defaults to the picker's
+ */
+async function extractFromCurrentPage(schemaId = schemaSelect.value) {
+    const entry = await ExtractionSchemas.find(schemaId);
+    if (!entry) {
+        alert('That schema no longer exists. Pick another one next to the Extract button.');
+        return;
+    }
+    const scraped = await scrapeActivePage('extract data from');
+    if (!scraped) return;
+    const { details, tabUrl } = scraped;
+
+    const page = { ...scraped.page, schema: entry.schema, schemaName: entry.name };
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `Extract ${entry.name} from this page:\n\n${details}\n\n${page.content}` }],
+        meta: { kind: 'extract', title: page.title, url: tabUrl, schema: { id: entry.id, name: entry.name } }
+    };
+
+    typeQueue = [];
+    stopTyper();
+    requestTurn({ kind: 'extract', userMessage, page }, true);
+}
+
+/**
+ * Scrape the active tab and stream a translation of it into the answer
+ * language (options page). The backend translates long pages in parts.
+ * @param {string} [tag] - BCP-47 tag to translate into; defaults to the answer language
+ */
+async function translateCurrentPage(tag = Settings.language(settings)) {
+    const scraped = await scrapeActivePage('translate');
+    if (!scraped) return;
+    const { details, tabUrl } = scraped;
+    const language = { tag, name: Settings.languageName(tag) };
+
+    // Pages declare their language (<html lang>), though not always correctly
+    const declared = (scraped.page.lang || '').toLowerCase().split('-')[0];
+    if (declared && declared === tag.toLowerCase().split('-')[0]
+        && !confirm(`This page says it is already in ${language.name}. Translate it anyway?`)) {
+        return;
+    }
+
+    const page = { ...scraped.page, language: tag };
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `Translate this page into ${language.name}:\n\n${details}\n\n${page.content}` }],
+        meta: { kind: 'translate', title: page.title, url: tabUrl, language }
+    };
+
+    typeQueue = [];
+    stopTyper();
+    requestTurn({ kind: 'translate', userMessage, page }, true);
+}
+
+// --- Page tables ----------------------------------------------------------------
+// Tables, definition lists and repeated cards found by tables.js, listed
+// under the controls for preview, CSV export or a question about just one.
+
+const TABLE_PREVIEW_ROWS = 20;
+// Longer serializations are cut off when sent with a question
+const TABLE_PROMPT_MAX_CHARS = 30000;
+const TABLE_KINDS = { table: 'Table', definitions: 'Definition list', cards: 'Repeated items' };
+
+// The table the next typed question is about, or null
+let tableScope = null;
+
+/**
+ * Point the next question at one table (null: back to the whole conversation).
+ * @param {object|null} table - from PageTables.extract
+ */
+function setTableScope(table) {
+    tableScope = table;
+    tableScopeDiv.replaceChildren();
+    tableScopeDiv.classList.toggle('hidden', !table);
+    if (!table) return;
+    const label = document.createElement('span');
+    label.textContent = `Next question is about: ${table.caption}`;
+    tableScopeDiv.append(label, createActionButton('Cancel', 'Ask about the page instead', () => setTableScope(null)));
+    promptInput.focus();
+}
+
+/**
+ * The prompt for a question about one table: the table (markdown, or JSON
+ * for cards) followed by the question.
+ */
+function tablePrompt(table, question) {
+    let body = table.text;
+    const notes = [];
+    if (table.rowCount > table.rows.length) notes.push(`only the first ${table.rows.length} of ${table.rowCount} rows are included`);
+    if (body.length > TABLE_PROMPT_MAX_CHARS) {
+        body = body.slice(0, TABLE_PROMPT_MAX_CHARS);
+        notes.push('it is cut off at the end');
+    }
+    if (table.format === 'json') body = `\`\`\`json\n${body}\n\`\`\``;
+    const note = notes.length ? ` (${notes.join('; ')})` : '';
+    const noun = { table: 'table', definitions: 'definition list', cards: 'list of items' }[table.kind];
+    return `Answer using this ${noun} from the page, "${table.caption}"${note}:\n\n${body}\n\nQuestion: ${question}`;
+}
+
+function createTableItem(table, pageTitle) {
+    const item = document.createElement('div');
+    item.className = 'table-item';
+
+    const title = document.createElement('span');
+    title.className = 'table-item-title';
+    title.textContent = table.caption;
+    const size = document.createElement('span');
+    size.className = 'muted';
+    const columns = table.headers.length || table.rows[0]?.length || 0;
+    size.textContent = `${TABLE_KINDS[table.kind]} · ${table.rowCount} × ${columns}`;
+
+    const preview = document.createElement('div');
+    preview.className = 'markdown table-preview hidden';
+
+    const header = document.createElement('div');
+    header.className = 'table-item-header';
+    header.append(
+        title,
+        size,
+        createActionButton('Preview', 'Show the first rows', (button) => {
+            if (!preview.childElementCount) {
+                preview.appendChild(Extraction.tableElement(table.headers, table.rows.slice(0, TABLE_PREVIEW_ROWS)));
+                if (table.rowCount > TABLE_PREVIEW_ROWS) {
+                    const more = document.createElement('span');
+                    more.className = 'muted';
+                    more.textContent = `First ${TABLE_PREVIEW_ROWS} of ${table.rowCount} rows`;
+                    preview.appendChild(more);
+                }
+            }
+            const hidden = preview.classList.toggle('hidden');
+            button.textContent = hidden ? 'Preview' : 'Hide';
+        }),
+        createActionButton('CSV', 'Download as CSV', () => {
+            const name = Extraction.fileBaseName(pageTitle, table.caption);
+            Extraction.download(`${name}.csv`, Extraction.rowsToCsv(table.headers, table.rows), 'text/csv');
+        }),
+        createActionButton('Ask', 'Ask a question about just this table', () => setTableScope(table))
+    );
+
+    item.append(header, preview);
+    return item;
+}
+
+function closeTablesPanel() {
+    tablesPanel.replaceChildren();
+    tablesPanel.classList.add('hidden');
+}
+
+/**
+ * List the active tab's tables under the controls, or close the list.
+ */
+async function toggleTablesPanel() {
+    if (!tablesPanel.classList.contains('hidden')) {
+        closeTablesPanel();
+        return;
+    }
+    const result = await messageActivePage('read tables on', { action: 'extractTables' });
+    if (!result) return;
+    const tables = result.response.tables || [];
+
+    tablesPanel.replaceChildren();
+    if (!tables.length) {
+        const empty = document.createElement('span');
+        empty.className = 'muted';
+        empty.textContent = 'No tables, definition lists or repeated items found on this page.';
+        tablesPanel.appendChild(empty);
+    }
+    for (const table of tables) tablesPanel.appendChild(createTableItem(table, result.tab.title || ''));
+    tablesPanel.classList.remove('hidden');
+}
+
+// --- Citations ------------------------------------------------------------------
+// Answers cite research sources as [1], [2]..., page passages as [p1a2b3c]
+// (see passages.js) and PDF pages as [page 3]; all become links once the
+// answer is rendered.
+
+const PASSAGE_MARKER = /\[(p[0-9a-z]{6})\]/g;
+const PAGE_MARKER = /\[page (\d+)\]/gi;
+
+/**
+ * Replace `pattern` matches in a rendered answer's text (outside links and
+ * code) with the links `createLink` makes; matches it returns null for stay text.
+ * @param {HTMLElement} container
+ * @param {RegExp} pattern - global
+ * @param {(match: RegExpMatchArray) => HTMLElement|null} createLink
+ */
+function linkMarkers(container, pattern, createLink) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT, {
+        acceptNode: node => (node.parentElement.closest('a, code, pre') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT),
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+
+    for (const node of nodes) {
+        const fragment = document.createDocumentFragment();
+        let last = 0;
+        for (const match of node.nodeValue.matchAll(pattern)) {
+            const link = createLink(match);
+            if (!link) continue;
+            fragment.append(node.nodeValue.slice(last, match.index), link);
+            last = match.index + match[0].length;
+        }
+        if (!last) continue;
+        fragment.append(node.nodeValue.slice(last));
+        node.replaceWith(fragment);
+    }
+}
+
+function citationLink(text, title, href, onClick) {
+    const link = document.createElement('a');
+    link.className = 'citation';
+    link.href = href;
+    link.textContent = text;
+    link.title = title;
+    link.addEventListener('click', (event) => {
+        event.preventDefault();
+        onClick();
+    });
+    return link;
+}
+
+/**
+ * Turn [n] markers in a rendered answer into links to the nth source.
+ * @param {HTMLElement} container
+ * @param {{title: string, url: string, tabId?: number}[]} sources
+ */
+function linkCitations(container, sources) {
+    linkMarkers(container, /\[(\d+)\]/g, (match) => {
+        const source = sources[Number(match[1]) - 1];
+        return source ? citationLink(match[0], source.title || source.url, source.url, () => openSource(source)) : null;
+    });
+}
+
+/**
+ * Switch to a cited source's tab, or open it again if the tab has moved on.
+ * @param {{url: string, tabId?: number}} source
+ */
+async function openSource(source) {
+    try {
+        const tab = await chrome.tabs.get(source.tabId);
+        if (tab.url === source.url) {
+            await chrome.tabs.update(tab.id, { active: true });
+            await chrome.windows.update(tab.windowId, { focused: true });
             return;
         }
+    } catch (e) {
+        // The tab was closed
     }
+    chrome.tabs.create({ url: source.url });
+}
 
-    if (response && response.content) {
-        // Reduced content size for faster processing
-        const MAX_SCRAPE = 5000;
-        let textToSummarize = response.content || '';
-        if (textToSummarize.length > MAX_SCRAPE) {
-            textToSummarize = textToSummarize.slice(0, MAX_SCRAPE) + '\n\n[...truncated]';
+/**
+ * Turn [p1a2b3c] passage markers into numbered links (¹, ², ... in order of
+ * first use) that show the passage on the page.
+ * @param {HTMLElement} container
+ */
+function linkPassages(container) {
+    const numbers = new Map();
+    linkMarkers(container, PASSAGE_MARKER, (match) => {
+        const id = match[1];
+        if (!numbers.has(id)) numbers.set(id, numbers.size + 1);
+        return citationLink(`[${numbers.get(id)}]`, 'Show this passage on the page', '#', () => showPassage(id));
+    });
+}
+
+// The open tab showing the conversation's page, preferring the active one
+async function conversationTab() {
+    const tabs = await chrome.tabs.query({});
+    const active = await getActiveTab();
+    return [active, ...tabs].find(candidate => candidate?.url && HistoryKeys.forUrl(candidate.url) === historyKey);
+}
+
+/**
+ * Scroll the conversation's page to a cited passage and highlight it.
+ * @param {string} id
+ */
+async function showPassage(id) {
+    const tab = await conversationTab();
+    if (!tab) {
+        showNotice('Open the page again to see the cited passage.');
+        return;
+    }
+    try {
+        await chrome.tabs.update(tab.id, { active: true });
+        const response = await TabMessages.send(tab.id, { action: 'highlightPassage', id });
+        if (!response?.found) showNotice('That passage is no longer on the page.');
+    } catch (err) {
+        console.error('Could not show passage:', err);
+        showNotice('Could not reach the page to show the passage.', 'error');
+    }
+}
+
+// Whether the conversation is about a PDF read by readDocumentTab
+function isPdfConversation() {
+    return conversationHistory.some(message => message.meta?.kind === 'summary' && message.meta.format === 'pdf');
+}
+
+/**
+ * Turn [page 3] markers into links that open the PDF at that page.
+ * @param {HTMLElement} container
+ */
+function linkPages(container) {
+    linkMarkers(container, PAGE_MARKER, (match) => (
+        citationLink(match[0], `Show page ${match[1]} of the document`, '#', () => showPage(Number(match[1])))
+    ));
+}
+
+/**
+ * Open the conversation's PDF at a cited page; the browser's viewer follows #page=N.
+ * @param {number} number
+ */
+async function showPage(number) {
+    const tab = await conversationTab();
+    if (!tab) {
+        showNotice('Open the document again to see the cited page.');
+        return;
+    }
+    const url = new URL(tab.url);
+    url.hash = `page=${number}`;
+    await chrome.tabs.update(tab.id, { active: true, url: url.href });
+}
+
+/**
+ * The active tab's passages to send with a question, or undefined when the
+ * page can't be read (the question then goes without them).
+ */
+async function activePagePassages() {
+    try {
+        const tab = await getActiveTab();
+        if (!tab || !isWebPage(tab) || HistoryKeys.forUrl(tab.url) !== historyKey) return undefined;
+        const response = await TabMessages.send(tab.id, { action: 'getPassages' });
+        return response?.passages?.length ? response.passages : undefined;
+    } catch (err) {
+        console.warn('Could not read page passages:', err);
+        return undefined;
+    }
+}
+
+// --- Research across tabs --------------------------------------------------------
+// Pick several open tabs (or a tab group) and get one comparison that cites
+// them as [1], [2]... The text in the prompt box, if any, is the question.
+// The exchange is kept in the active tab's conversation.
+
+// Matches RESEARCH_MAX_SOURCES on the backend
+const RESEARCH_MAX_TABS = 8;
+
+/**
+ * Scrape `tabs` and stream a comparison of them into the active tab's
+ * conversation. Tabs that can't be read are skipped with a notice.
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {string} [question]
+ */
+async function researchTabs(tabs, question = '') {
+    const sources = [];
+    const skipped = [];
+    setStatus('loading');
+    for (const tab of tabs.slice(0, RESEARCH_MAX_TABS)) {
+        try {
+            const response = isWebPage(tab) ? await TabMessages.send(tab.id, { action: 'summarizePage' }) : null;
+            if (!response || !response.content) throw new Error('no content');
+            sources.push({ tab, page: pageFromResponse(response, tab) });
+        } catch (err) {
+            console.warn('Could not read tab for research:', tab.url, err);
+            skipped.push(tab.title || tab.url);
         }
+    }
+    setStatus('idle');
 
-        // Concise prompt for quick summary
-        const prompt = `Summarize this article in 3-4 sentences:\n\n${textToSummarize}`;
+    if (sources.length < 2) {
+        showNotice('Research needs at least two readable pages. Pick regular web pages that have finished loading.', 'error');
+        return;
+    }
 
-        // Reset UI queue and start streaming the summary
-        typeQueue = [];
-        stopTyper();
-        responseDiv.textContent = '';
-        
-        // Send prompt (hideUserMessage=true so we don't show the full prompt in UI)
-        sendPrompt(prompt, true);
+    const list = sources.map(({ page }, index) => `[${index + 1}] ${page.title || page.url}${page.url ? ` (${page.url})` : ''}`).join('\n');
+    const userMessage = {
+        role: 'user',
+        parts: [{ text: `${question ? `Research question: ${question}` : 'Compare these pages'}\n\nSources:\n${list}` }],
+        meta: {
+            kind: 'research',
+            question,
+            sources: sources.map(({ tab, page }) => ({ title: page.title, url: page.url, tabId: tab.id })),
+        }
+    };
+
+    typeQueue = [];
+    stopTyper();
+    closeResearchPanel();
+    requestTurn({ kind: 'research', userMessage, research: { sources: sources.map(({ page }) => page), question } }, true);
+    if (skipped.length) showNotice(`Skipped pages that could not be read: ${skipped.join(', ')}`, 'warning');
+}
+
+function closeResearchPanel() {
+    researchPanel.replaceChildren();
+    researchPanel.classList.add('hidden');
+}
+
+/**
+ * List this window's tabs (and tab groups) to pick research sources from,
+ * or close the list.
+ */
+async function toggleResearchPanel() {
+    if (!researchPanel.classList.contains('hidden')) {
+        closeResearchPanel();
+        return;
+    }
+    const tabs = (await chrome.tabs.query({ currentWindow: true })).filter(isWebPage);
+    const boxes = new Map();
+
+    const compareButton = document.createElement('button');
+    compareButton.type = 'button';
+    const updateCount = () => {
+        const count = [...boxes.values()].filter(box => box.checked).length;
+        compareButton.textContent = `Compare ${count} tab${count === 1 ? '' : 's'}`;
+        compareButton.disabled = count < 2 || count > RESEARCH_MAX_TABS || streaming;
+        compareButton.title = count > RESEARCH_MAX_TABS ? `Pick at most ${RESEARCH_MAX_TABS} tabs` : 'Uses the text in the prompt box as the question';
+    };
+
+    const list = document.createElement('div');
+    list.className = 'research-tabs';
+    for (const tab of tabs) {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.checked = tab.active;
+        box.addEventListener('change', updateCount);
+        const title = document.createElement('span');
+        title.textContent = tab.title || tab.url;
+        title.title = tab.url;
+        label.append(box, title);
+        list.appendChild(label);
+        boxes.set(tab, box);
+    }
+
+    // Picking a tab group selects exactly its tabs
+    const groups = document.createElement('div');
+    groups.className = 'research-groups';
+    const groupIds = [...new Set(tabs.map(tab => tab.groupId).filter(id => id !== undefined && id !== -1))];
+    for (const groupId of groupIds) {
+        let name = 'Tab group';
+        try {
+            name = (await chrome.tabGroups.get(groupId)).title || name;
+        } catch (e) {
+            // tabGroups isn't available in every browser
+        }
+        groups.appendChild(createActionButton(name, 'Select the tabs in this group', () => {
+            for (const [tab, box] of boxes) box.checked = tab.groupId === groupId;
+            updateCount();
+        }));
+    }
+
+    compareButton.addEventListener('click', () => {
+        const picked = tabs.filter(tab => boxes.get(tab).checked);
+        researchTabs(picked, promptInput.value.trim());
+    });
+    updateCount();
+
+    researchPanel.replaceChildren();
+    if (tabs.length < 2) {
+        const empty = document.createElement('span');
+        empty.className = 'muted';
+        empty.textContent = 'Open at least two web pages in this window to compare them.';
+        researchPanel.appendChild(empty);
+    } else {
+        if (groupIds.length) researchPanel.appendChild(groups);
+        researchPanel.append(list, compareButton);
+    }
+    researchPanel.classList.remove('hidden');
+}
+
+// --- Library ----------------------------------------------------------------------
+// Save keeps the page's conversation in the library (see library.js), which
+// outlives the tab. The Library panel searches and filters saved pages and
+// opens one again with its conversation restored.
+
+/**
+ * Save the conversation on screen to the library, asking for tags.
+ */
+async function saveConversation() {
+    if (!historyKey || !conversationHistory.length) {
+        showNotice('Nothing to save yet: summarize the page or ask a question first.');
+        return;
+    }
+    if (streaming) {
+        showNotice('Wait for the answer to finish before saving.');
+        return;
+    }
+    const url = HistoryKeys.urlOf(historyKey);
+    const existing = await Library.find(url);
+    const tags = prompt('Tags for this page, separated by commas (optional):', existing ? existing.tags.join(', ') : '');
+    if (tags === null) return;
+
+    const tab = await getActiveTab();
+    const summary = conversationHistory.find(message => message.meta?.title);
+    const title = summary?.meta.title || (tab?.url && HistoryKeys.forUrl(tab.url) === historyKey ? tab.title : '') || existing?.title || url;
+    try {
+        await Library.save({ url, title, messages: conversationHistory, tags });
+        showNotice(existing ? 'Updated in your library.' : 'Saved to your library.', 'info');
+        if (!libraryPanel.classList.contains('hidden')) renderLibrary();
+    } catch (err) {
+        console.error('Could not save to the library:', err);
+        showNotice(`Could not save to the library: ${err.message}`, 'error');
+    }
+}
+
+/**
+ * Restore a saved conversation as its page's history and show the page:
+ * its open tab, or a new one. Asks before replacing a different
+ * conversation the page has now.
+ * @param {object} entry - see Library.save
+ */
+async function openLibraryEntry(entry) {
+    const key = HistoryKeys.forUrl(entry.url);
+    const current = (await chrome.storage.local.get([key]))[key] || [];
+    if (current.length && JSON.stringify(current) !== JSON.stringify(entry.messages)
+        && !confirm('This page already has a conversation. Replace it with the saved one?')) {
+        return;
+    }
+    await chrome.storage.local.set({ [key]: entry.messages });
+    syncSession(key);
+
+    const [tab] = (await chrome.tabs.query({})).filter(candidate => candidate.url && HistoryKeys.forUrl(candidate.url) === key);
+    if (tab) {
+        await chrome.tabs.update(tab.id, { active: true });
+        await chrome.windows.update(tab.windowId, { focused: true });
     } else {
-        alert('Could not extract content from the page or the page returned empty content.');
+        await chrome.tabs.create({ url: entry.url });
+    }
+    // The page on screen was already this one: show the restored conversation
+    if (key === historyKey && !streaming) {
+        conversationHistory = entry.messages;
+        renderTranscript();
+    }
+}
+
+function createLibraryItem(entry) {
+    const item = document.createElement('div');
+    item.className = 'library-item';
+
+    const header = document.createElement('div');
+    header.className = 'table-item-header';
+    const title = document.createElement('span');
+    title.className = 'table-item-title';
+    title.textContent = entry.title;
+    title.title = entry.url;
+    header.append(
+        title,
+        createActionButton('Open', 'Open the page with this conversation', () => openLibraryEntry(entry)),
+        createActionButton('Delete', 'Remove from the library', async () => {
+            if (!confirm(`Remove "${entry.title}" from the library?`)) return;
+            await Library.remove(entry.id);
+            renderLibrary();
+        })
+    );
+
+    const details = document.createElement('div');
+    details.className = 'muted';
+    const turns = entry.messages.filter(message => message.role === 'model').length;
+    details.textContent = [
+        new Date(entry.savedAt).toLocaleDateString(),
+        `${turns} answer${turns === 1 ? '' : 's'}`,
+        ...entry.tags.map(tag => `#${tag}`),
+    ].join(' · ');
+
+    const answer = entry.messages.find(message => message.role === 'model');
+    const preview = document.createElement('div');
+    preview.className = 'library-preview';
+    preview.textContent = answer ? Markdown.toPlainText(answer.parts[0].text).slice(0, 200) : '';
+
+    item.append(header, details, preview);
+    return item;
+}
+
+// Search and tag filter of the open Library panel
+let libraryFilter = { query: '', tag: '' };
+
+/**
+ * Fill the Library panel: search box, tag filters and the matching entries.
+ */
+async function renderLibrary() {
+    const [entries, tags] = await Promise.all([Library.list(libraryFilter), Library.tags()]);
+    if (libraryFilter.tag && !tags.some(({ tag }) => tag === libraryFilter.tag)) {
+        libraryFilter.tag = '';
+        return renderLibrary();
+    }
+
+    let search = libraryPanel.querySelector('.library-search');
+    if (!search) {
+        search = document.createElement('input');
+        search.type = 'search';
+        search.className = 'library-search';
+        search.placeholder = 'Search saved pages...';
+        search.addEventListener('input', () => {
+            libraryFilter.query = search.value;
+            renderLibrary();
+        });
+    }
+
+    const tagBar = document.createElement('div');
+    tagBar.className = 'research-groups';
+    for (const { tag, count } of [{ tag: '', count: 0 }, ...tags]) {
+        const button = createActionButton(tag ? `#${tag} (${count})` : 'All', tag ? `Only pages tagged ${tag}` : 'Every saved page', () => {
+            libraryFilter.tag = tag;
+            renderLibrary();
+        });
+        if (tag === libraryFilter.tag) button.classList.add('active');
+        tagBar.appendChild(button);
+    }
+
+    const list = document.createElement('div');
+    list.className = 'library-list';
+    for (const entry of entries) list.appendChild(createLibraryItem(entry));
+    if (!entries.length) {
+        const empty = document.createElement('span');
+        empty.className = 'muted';
+        empty.textContent = libraryFilter.query || libraryFilter.tag
+            ? 'No saved pages match.'
+            : 'No saved pages yet. Use Save to keep a conversation here.';
+        list.appendChild(empty);
+    }
+
+    const exportRow = createExportRow(`Export ${entries.length === 1 ? 'this page' : `these ${entries.length} pages`} as`, async () => (
+        entries.map(entry => ConversationExport.fromHistory(entry.messages, { url: entry.url, title: entry.title, date: entry.savedAt, tags: entry.tags }))
+    ));
+
+    // The search box is kept so typing isn't interrupted
+    libraryPanel.replaceChildren(search, ...(tags.length ? [tagBar] : []), list, ...(entries.length ? [exportRow] : []));
+}
+
+function closeLibraryPanel() {
+    libraryPanel.replaceChildren();
+    libraryPanel.classList.add('hidden');
+    libraryFilter = { query: '', tag: '' };
+}
+
+/**
+ * Show the library under the controls, or close it.
+ */
+async function toggleLibraryPanel() {
+    if (!libraryPanel.classList.contains('hidden')) {
+        closeLibraryPanel();
+        return;
+    }
+    libraryPanel.classList.remove('hidden');
+    try {
+        await renderLibrary();
+        libraryPanel.querySelector('.library-search').focus();
+    } catch (err) {
+        console.error('Could not open the library:', err);
+        closeLibraryPanel();
+        showNotice(`Could not open the library: ${err.message}`, 'error');
+    }
+}
+
+// --- Export -----------------------------------------------------------------------
+// The page's conversation, or the saved pages shown in the Library panel, as
+// Markdown, JSON, HTML or PDF (see export.js).
+
+const EXPORT_FORMATS = [
+    { format: 'markdown', label: 'Markdown', title: 'Markdown with front matter (title, URL, date, model)' },
+    { format: 'json', label: 'JSON', title: 'The conversation history as JSON' },
+    { format: 'html', label: 'HTML', title: 'A standalone web page' },
+    // Not a download: the browser's print dialog writes the PDF (see print.js)
+    { format: 'pdf', label: 'PDF (print)', title: 'Open a printable page; choose "Save as PDF" in the print dialog' },
+];
+
+/**
+ * A row of export format buttons.
+ * @param {string} text - what is exported, shown before the buttons
+ * @param {() => Promise<object[]>} conversations - what to export, read when a button is clicked
+ */
+function createExportRow(text, conversations) {
+    const row = document.createElement('div');
+    row.className = 'export-row';
+    const label = document.createElement('span');
+    label.className = 'muted';
+    label.textContent = text;
+    row.appendChild(label);
+    for (const { format, label: name, title } of EXPORT_FORMATS) {
+        row.appendChild(createActionButton(name, title, async () => {
+            try {
+                await ConversationExport.save(await conversations(), format);
+                if (format === 'pdf') showNotice('Opened a printable page: choose "Save as PDF" as the printer to save the file.', 'info');
+            } catch (err) {
+                console.error('Export failed:', err);
+                showNotice(`Could not export: ${err.message}`, 'error');
+            }
+        }));
+    }
+    return row;
+}
+
+function closeExportPanel() {
+    exportPanel.replaceChildren();
+    exportPanel.classList.add('hidden');
+}
+
+/**
+ * Offer the export formats for the conversation on screen, or close the offer.
+ */
+async function toggleExportPanel() {
+    if (!exportPanel.classList.contains('hidden')) {
+        closeExportPanel();
+        return;
     }
+    if (!historyKey || !conversationHistory.length) {
+        showNotice('Nothing to export yet: summarize the page or ask a question first.');
+        return;
+    }
+    const url = HistoryKeys.urlOf(historyKey);
+    const saved = await Library.find(url).catch(() => null);
+    exportPanel.replaceChildren(createExportRow('Export this conversation as', async () => [
+        ConversationExport.fromHistory(conversationHistory, { url, title: saved?.title, tags: saved?.tags }),
+    ]));
+    exportPanel.classList.remove('hidden');
 }
 
 // Wire UI controls
-document.getElementById('summarize-btn').addEventListener('click', summarizeCurrentPage);
+document.getElementById('summarize-btn').addEventListener('click', () => summarizeCurrentPage());
+templateSelect.addEventListener('change', () => SummaryTemplates.setSelected(templateSelect.value));
+document.getElementById('extract-btn').addEventListener('click', () => extractFromCurrentPage());
+document.getElementById('translate-btn').addEventListener('click', () => translateCurrentPage());
+schemaSelect.addEventListener('change', () => ExtractionSchemas.setSelected(schemaSelect.value));
+document.getElementById('tables-btn').addEventListener('click', toggleTablesPanel);
+document.getElementById('research-btn').addEventListener('click', toggleResearchPanel);
+document.getElementById('save-btn').addEventListener('click', saveConversation);
+document.getElementById('library-btn').addEventListener('click', toggleLibraryPanel);
+document.getElementById('export-btn').addEventListener('click', toggleExportPanel);
 
 sendButton.addEventListener('click', () => {
     stopTextToSpeech(); // Stop any ongoing speech when sending new message
     typeQueue = [];
     stopTyper();
-    responseDiv.textContent = '';
-    ttsButton.disabled = true;
-    copyButton.disabled = true;
     sendPrompt();
 });
 
 stopButton.addEventListener('click', () => {
-    if (abortController) abortController.abort();
+    if (streaming) getChatPort().postMessage({ type: 'abort', key: historyKey });
     stopButton.disabled = true;
 });
 
 clearButton.addEventListener('click', () => {
-    if (abortController) abortController.abort();
+    if (streaming) {
+        getChatPort().postMessage({ type: 'abort', key: historyKey });
+        streaming = false;
+    }
     stopTextToSpeech(); // Stop any ongoing speech
     typeQueue = [];
     stopTyper();
-    responseDiv.textContent = '';
     conversationHistory = []; // Clear conversation history
-    // Also remove any stored conversation for the active tab
-    removeStoredHistoryForActiveTab();
+    renderTranscript();
+    // Also remove any stored conversation for this page
+    removeStoredHistory();
     console.log('Conversation History cleared');
+    showNotice('');
+    showUsage(null);
+    showContext(null);
     setStatus('idle');
     sendButton.disabled = false;
     stopButton.disabled = true;
-    ttsButton.disabled = true;
-    copyButton.disabled = true;
 });
 
 /**
  * Text-to-Speech functionality
  */
+
+// Put the message's "Read" button back into its idle state
+function resetTtsButton() {
+    if (!activeTtsButton) return;
+    activeTtsButton.textContent = 'Read';
+    activeTtsButton.title = 'Read message aloud';
+    activeTtsButton = null;
+}
+
 function stopTextToSpeech() {
     if (speechSynthesis && (isSpeaking || speechSynthesis.speaking)) {
         isIntentionallyStopping = true; // Mark that we're intentionally stopping
         speechSynthesis.cancel();
         isSpeaking = false;
         currentUtterance = null;
-        ttsButton.textContent = 'Read';
-        ttsButton.title = 'Read response aloud';
+        resetTtsButton();
         // Reset flag after a short delay
         setTimeout(() => {
             isIntentionallyStopping = false;
@@ -435,9 +1814,30 @@ function stopTextToSpeech() {
     }
 }
 
-function startTextToSpeech() {
-    const text = responseDiv.textContent.trim();
-    if (!text || text === 'Waiting for a prompt...') {
+/**
+ * Voices that speak `lang` (a BCP-47 tag): those for the exact tag first,
+ * then other variants of the language ("de-AT" or "de-CH" for "de-DE").
+ * @param {SpeechSynthesisVoice[]} voices
+ * @param {string} lang
+ */
+function voicesFor(voices, lang) {
+    const tagOf = voice => voice.lang.replace(/_/g, '-').toLowerCase();
+    const tag = lang.toLowerCase();
+    const base = tag.split('-')[0];
+    return [
+        ...voices.filter(v => tagOf(v) === tag),
+        ...voices.filter(v => tagOf(v) !== tag && tagOf(v).split('-')[0] === base),
+    ];
+}
+
+/**
+ * Read `text` aloud, toggling off if `button` started the current speech.
+ * @param {string} text - plain text (markdown already stripped)
+ * @param {HTMLButtonElement} button - the message's Read button
+ * @param {string} [lang] - BCP-47 tag of the text; defaults to the answer language
+ */
+function startTextToSpeech(text, button, lang = Settings.language(settings)) {
+    if (!text) {
         return;
     }
 
@@ -447,25 +1847,25 @@ function startTextToSpeech() {
         return;
     }
 
-    if (isSpeaking) {
+    if (isSpeaking && activeTtsButton === button) {
         stopTextToSpeech();
         return;
     }
 
     stopTextToSpeech();
+    activeTtsButton = button;
 
     speechSynthesis = window.speechSynthesis;
     currentUtterance = new SpeechSynthesisUtterance(text);
     
-    // MORE HUMAN settings - slower, natural pitch
-    currentUtterance.rate = 0.95;  // Slightly slower = more natural and clear
-    currentUtterance.pitch = 1.0;  // Normal pitch = less robotic
+    currentUtterance.rate = settings.ttsRate;
+    currentUtterance.pitch = settings.ttsPitch;
     currentUtterance.volume = 1.0;
 
-    // Get voices and prioritize the MOST natural sounding ones
-    const voices = speechSynthesis.getVoices();
-    
-    // Priority list of the best natural voices across platforms
+    // Voices that speak the language, best first
+    const voices = voicesFor(speechSynthesis.getVoices(), lang);
+
+    // Priority list of the best natural English voices across platforms
     const bestVoiceNames = [
         'Samantha',           // macOS - extremely natural
         'Google UK English Female', // Chrome - very natural
@@ -478,22 +1878,25 @@ function startTextToSpeech() {
         'Tessa',             // macOS - South African, very natural
     ];
     
-    // Try to find the best voice from priority list
-    let selectedVoice = null;
-    for (const voiceName of bestVoiceNames) {
-        selectedVoice = voices.find(v => v.name === voiceName);
-        if (selectedVoice) break;
+    // The voice chosen on the options page wins if it speaks the language
+    let selectedVoice = settings.ttsVoice ? voices.find(v => v.voiceURI === settings.ttsVoice) : null;
+
+    // Otherwise try to find the best voice from priority list
+    if (!selectedVoice) {
+        for (const voiceName of bestVoiceNames) {
+            selectedVoice = voices.find(v => v.name === voiceName);
+            if (selectedVoice) break;
+        }
     }
     
     // If no exact match, look for Neural/Natural/Premium voices
     if (!selectedVoice) {
         const premiumVoices = voices.filter(v => 
-            v.lang.startsWith('en') && 
-            (v.name.includes('Neural') || 
-             v.name.includes('Natural') || 
-             v.name.includes('Premium') ||
-             v.name.includes('Enhanced') ||
-             v.name.includes('Google'))
+            v.name.includes('Neural') || 
+            v.name.includes('Natural') || 
+            v.name.includes('Premium') ||
+            v.name.includes('Enhanced') ||
+            v.name.includes('Google')
         );
         
         // Prefer female voices as they often sound more natural
@@ -507,12 +1910,13 @@ function startTextToSpeech() {
         selectedVoice = femaleVoices[0] || premiumVoices[0];
     }
     
-    // Final fallback to any English voice
+    // Final fallback to any voice for the language; without one the
+    // browser picks by `lang`
     if (!selectedVoice) {
-        const englishVoices = voices.filter(v => v.lang.startsWith('en'));
-        selectedVoice = englishVoices[0] || voices[0];
+        selectedVoice = voices[0];
     }
     
+    currentUtterance.lang = selectedVoice ? selectedVoice.lang : lang;
     if (selectedVoice) {
         currentUtterance.voice = selectedVoice;
         console.log('Using voice:', selectedVoice.name); // Helpful for debugging
@@ -522,15 +1926,16 @@ function startTextToSpeech() {
     currentUtterance.onstart = () => {
         isSpeaking = true;
         isIntentionallyStopping = false;
-        ttsButton.textContent = 'Stop';
-        ttsButton.title = 'Stop reading';
+        if (activeTtsButton) {
+            activeTtsButton.textContent = 'Stop';
+            activeTtsButton.title = 'Stop reading';
+        }
     };
 
     currentUtterance.onend = () => {
         isSpeaking = false;
         currentUtterance = null;
-        ttsButton.textContent = 'Read';
-        ttsButton.title = 'Read response aloud';
+        resetTtsButton();
     };
 
     currentUtterance.onerror = (event) => {
@@ -544,14 +1949,12 @@ function startTextToSpeech() {
             console.error('Speech synthesis error:', event);
             isSpeaking = false;
             currentUtterance = null;
-            ttsButton.textContent = 'Read';
-            ttsButton.title = 'Read response aloud';
+            resetTtsButton();
             alert('Error reading text. Please try again.');
         } else {
             isSpeaking = false;
             currentUtterance = null;
-            ttsButton.textContent = 'Read';
-            ttsButton.title = 'Read response aloud';
+            resetTtsButton();
         }
     };
 
@@ -559,23 +1962,27 @@ function startTextToSpeech() {
 }
 
 /**
- * Copy response to clipboard
+ * Copy text to the clipboard, flashing "Copied!" on the button that asked.
+ * Message text is copied as raw markdown so formatting survives pasting
+ * into docs and tickets.
+ * @param {string} text
+ * @param {HTMLButtonElement} button
  */
-async function copyResponseToClipboard() {
-    const text = responseDiv.textContent.trim();
-    if (!text || text === 'Waiting for a prompt...') {
+async function copyText(text, button) {
+    text = (text || '').trim();
+    if (!text) {
         return;
     }
 
     try {
         await navigator.clipboard.writeText(text);
         // Visual feedback
-        const originalText = copyButton.textContent;
-        copyButton.textContent = 'Copied!';
-        copyButton.style.color = '#00ff00';
+        const originalText = button.textContent;
+        button.textContent = 'Copied!';
+        button.style.color = '#00ff00';
         setTimeout(() => {
-            copyButton.textContent = originalText;
-            copyButton.style.color = '';
+            button.textContent = originalText;
+            button.style.color = '';
         }, 2000);
     } catch (err) {
         console.error('Failed to copy text:', err);
@@ -588,9 +1995,9 @@ async function copyResponseToClipboard() {
         textArea.select();
         try {
             document.execCommand('copy');
-            copyButton.textContent = 'Copied!';
+            button.textContent = 'Copied!';
             setTimeout(() => {
-                copyButton.textContent = 'Copy';
+                button.textContent = 'Copy';
             }, 2000);
         } catch (e) {
             alert('Failed to copy text. Please select and copy manually.');
@@ -599,10 +2006,6 @@ async function copyResponseToClipboard() {
     }
 }
 
-// TTS and Copy button event listeners
-ttsButton.addEventListener('click', startTextToSpeech);
-copyButton.addEventListener('click', copyResponseToClipboard);
-
 // Load voices when available (some browsers need this)
 if ('speechSynthesis' in window) {
     // Initialize speechSynthesis variable to the browser's implementation
@@ -617,6 +2020,8 @@ if ('speechSynthesis' in window) {
     }
 }
 
+document.getElementById('settings-btn').addEventListener('click', () => chrome.runtime.openOptionsPage());
+
 // Keyboard shortcuts
 promptInput.addEventListener('keydown', (e) => {
     // Enter to send (Shift+Enter for new line)
@@ -636,23 +2041,94 @@ promptInput.addEventListener('keydown', (e) => {
     }
 });
 
+// --- Side panel -----------------------------------------------------------
+
+// Set while a tab change arrives mid-stream; applied once the reply is saved
+let pendingTabSwitch = false;
+
+/**
+ * Show the conversation of whichever tab is now active. Runs in the side
+ * panel, which (unlike the popup) stays open while the user browses.
+ */
+async function followActiveTab() {
+    if (streaming) {
+        pendingTabSwitch = true;
+        return;
+    }
+    pendingTabSwitch = false;
+
+    const tab = await getActiveTab();
+    const key = tab && tab.url ? HistoryKeys.forUrl(tab.url) : null;
+    if (key === historyKey) return;
+
+    stopTextToSpeech();
+    showNotice('');
+    showUsage(null);
+    showContext(null);
+    setStatus('idle');
+    // Tables and exports belong to the page they were read from
+    closeTablesPanel();
+    closeExportPanel();
+    setTableScope(null);
+    await loadStoredHistory();
+    renderTranscript();
+    subscribeToHistory();
+}
+
+/**
+ * Open the side panel for this window and close the popup.
+ */
+async function openSidePanel() {
+    try {
+        const tab = await getActiveTab();
+        await chrome.sidePanel.open({ windowId: tab.windowId });
+        window.close();
+    } catch (err) {
+        console.error('Could not open the side panel:', err);
+        showNotice('This browser does not support the side panel.', 'error');
+    }
+}
+
+if (IS_SIDE_PANEL) {
+    document.body.classList.add('side-panel');
+    sidePanelButton.classList.add('hidden');
+    chrome.tabs.onActivated.addListener(followActiveTab);
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+        if (changeInfo.url && tab.active) followActiveTab();
+    });
+} else {
+    sidePanelButton.addEventListener('click', openSidePanel);
+}
+
+// Pick up history written elsewhere (selection answers from background.js,
+// the same page open in both the popup and the side panel)
+chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === 'sync') {
+        Settings.load().then((loaded) => { settings = loaded; });
+        populateTemplates();
+        populateSchemas();
+        return;
+    }
+    if (area !== 'local' || !historyKey || !changes[historyKey] || streaming) return;
+    const updated = changes[historyKey].newValue || [];
+    if (JSON.stringify(updated) === JSON.stringify(conversationHistory)) return;
+    conversationHistory = updated;
+    renderTranscript();
+});
+
 // Initialize UI state
 setStatus('idle');
+populateTemplates();
+populateSchemas();
 
 // Load any stored history for the active tab so the chat can remember what we were
-// talking about between popup sessions for the same page. If there is previous
-// model output, display it to provide context immediately.
+// talking about between popup sessions for the same page, and show every turn.
 (async () => {
     await loadStoredHistory();
-    if (conversationHistory.length > 0) {
-        const lastModel = [...conversationHistory].reverse().find(m => m.role === 'model');
-        if (lastModel && lastModel.parts && lastModel.parts[0]) {
-            responseDiv.textContent = lastModel.parts[0].text;
-            ttsButton.disabled = false;
-            copyButton.disabled = false;
-            setStatus('idle');
-        }
-    }
+    renderTranscript();
+    // Pick up a reply still streaming from before the popup was closed
+    subscribeToHistory();
+    refreshUsageMeter();
 })();
 
 // Debug helper: Expose conversation history to window for easy inspection
@@ -0,0 +1,17 @@
+// Printable view of an export (Export > PDF). The popup leaves the
+// conversations in chrome.storage.session (see export.js); they are laid out
+// here and the print dialog opens, where "Save as PDF" writes the file.
+(async () => {
+    const conversations = await ConversationExport.takePrintJob();
+    if (!conversations) {
+        document.body.textContent = 'Nothing to print. Export again from the extension.';
+        return;
+    }
+    ConversationExport.fill(document, conversations);
+    // Shown on screen only, for whoever closes the dialog looking for a file
+    const hint = document.createElement('p');
+    hint.className = 'print-hint';
+    hint.textContent = 'To save a PDF, print this page and choose "Save as PDF" as the printer.';
+    document.body.prepend(hint);
+    window.print();
+})();
@@ -0,0 +1,138 @@
+/**
+ * JSON schemas for the Extract button's picker. The built-in ones ship with
+ * the extension; custom ones are written on the options page and kept in
+ * chrome.storage.sync like summary templates (see templates.js). The
+ * backend checks them against the subset it supports (backend/schema.js).
+ */
+const ExtractionSchemas = (() => {
+    const CUSTOM_PREFIX = 'extractionSchema_';
+    const SELECTED_KEY = 'extractionSchemaSelected';
+    // Matches EXTRACT_SCHEMA_MAX_CHARS on the backend
+    const MAX_SCHEMA_CHARS = 8000;
+
+    const string = { type: 'string' };
+    const number = { type: 'number' };
+
+    // A list of objects wrapped in an object: not every provider accepts a
+    // top-level array
+    function listOf(properties, required) {
+        return {
+            type: 'object',
+            properties: { items: { type: 'array', items: { type: 'object', properties, required } } },
+            required: ['items'],
+        };
+    }
+
+    const BUILT_IN = [
+        {
+            id: 'product',
+            name: 'Product',
+            schema: {
+                type: 'object',
+                properties: {
+                    name: string,
+                    brand: string,
+                    price: number,
+                    currency: string,
+                    rating: number,
+                    reviewCount: { type: 'integer' },
+                    availability: string,
+                },
+                required: ['name'],
+            },
+        },
+        {
+            id: 'listings',
+            name: 'Listings',
+            schema: listOf({ title: string, price: number, currency: string, location: string, url: string, description: string }, ['title']),
+        },
+        {
+            id: 'specs',
+            name: 'Specifications',
+            schema: listOf({ name: string, value: string }, ['name', 'value']),
+        },
+        {
+            id: 'contacts',
+            name: 'Contacts',
+            schema: listOf({ name: string, role: string, organization: string, email: string, phone: string }, ['name']),
+        },
+        {
+            id: 'events',
+            name: 'Events',
+            schema: listOf({ name: string, date: string, time: string, location: string, url: string }, ['name']),
+        },
+    ];
+
+    /**
+     * Built-in schemas followed by the user's, oldest first.
+     * @returns {Promise<{id: string, name: string, schema: object, custom?: boolean}[]>}
+     */
+    async function list() {
+        const stored = await chrome.storage.sync.get(null);
+        const custom = Object.entries(stored)
+            .filter(([key]) => key.startsWith(CUSTOM_PREFIX))
+            .map(([, entry]) => ({ ...entry, custom: true }))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        return [...BUILT_IN, ...custom];
+    }
+
+    /**
+     * @param {string} id
+     */
+    async function find(id) {
+        return (await list()).find(entry => entry.id === id) || null;
+    }
+
+    /**
+     * Parse schema JSON typed by the user. Only the basics are checked here;
+     * the backend reports anything it doesn't support.
+     * @param {string} text
+     * @returns {{schema: object} | {error: string}}
+     */
+    function parse(text) {
+        if (text.length > MAX_SCHEMA_CHARS) return { error: `The schema is longer than ${MAX_SCHEMA_CHARS} characters.` };
+        let schema;
+        try {
+            schema = JSON.parse(text);
+        } catch (err) {
+            return { error: `The schema is not valid JSON: ${err.message}` };
+        }
+        if (!schema || typeof schema !== 'object' || Array.isArray(schema) || !schema.type) {
+            return { error: 'The schema must be a JSON object with a "type".' };
+        }
+        return { schema };
+    }
+
+    /**
+     * Create or update a custom schema.
+     * @param {{id?: string, name: string, schema: object}} entry
+     * @returns {Promise<string>} the schema's id
+     */
+    async function saveCustom({ id, name, schema }) {
+        const existing = id ? await find(id) : null;
+        const entry = {
+            id: existing?.custom ? id : `custom-${Date.now().toString(36)}`,
+            name: name.trim(),
+            schema,
+            createdAt: existing?.createdAt || Date.now(),
+        };
+        await chrome.storage.sync.set({ [CUSTOM_PREFIX + entry.id]: entry });
+        return entry.id;
+    }
+
+    function removeCustom(id) {
+        return chrome.storage.sync.remove(CUSTOM_PREFIX + id);
+    }
+
+    // The schema the picker shows, remembered across popups
+    async function getSelected() {
+        const { [SELECTED_KEY]: id } = await chrome.storage.sync.get([SELECTED_KEY]);
+        return id || BUILT_IN[0].id;
+    }
+
+    function setSelected(id) {
+        return chrome.storage.sync.set({ [SELECTED_KEY]: id });
+    }
+
+    return { BUILT_IN, MAX_SCHEMA_CHARS, list, find, parse, saveCustom, removeCustom, getSelected, setSelected };
+})();
@@ -0,0 +1,87 @@
+/**
+ * User settings from the options page. They live in chrome.storage.sync so
+ * they follow the user to other browsers; empty values mean "use the
+ * backend's (or browser's) default".
+ */
+const Settings = (() => {
+    const DEFAULTS = {
+        backendUrl: 'http://localhost:3000',
+        model: '',
+        temperature: null,
+        maxOutputTokens: null,
+        systemPrompt: '',
+        summaryLength: 'medium',
+        summaryStyle: 'paragraph',
+        language: '', // BCP-47 tag answers and translations are written in; empty for English
+        ttsVoice: '', // voiceURI; empty picks the most natural voice for the language
+        ttsRate: 0.95,
+        ttsPitch: 1.0,
+    };
+
+    /**
+     * @returns {Promise<typeof DEFAULTS>}
+     */
+    async function load() {
+        const stored = await chrome.storage.sync.get(Object.keys(DEFAULTS));
+        return { ...DEFAULTS, ...stored };
+    }
+
+    /**
+     * @param {Partial<typeof DEFAULTS>} values
+     */
+    function save(values) {
+        return chrome.storage.sync.set(values);
+    }
+
+    function reset() {
+        return chrome.storage.sync.remove(Object.keys(DEFAULTS));
+    }
+
+    /**
+     * The part the backend takes with each request (see backend/settings.js).
+     * @param {typeof DEFAULTS} settings
+     */
+    function forRequest(settings) {
+        const request = {
+            summaryLength: settings.summaryLength,
+            summaryStyle: settings.summaryStyle,
+        };
+        if (settings.model) request.model = settings.model;
+        if (typeof settings.temperature === 'number') request.temperature = settings.temperature;
+        if (typeof settings.maxOutputTokens === 'number') request.maxOutputTokens = settings.maxOutputTokens;
+        if (settings.systemPrompt) request.systemPrompt = settings.systemPrompt;
+        if (settings.language) request.language = settings.language;
+        return request;
+    }
+
+    /**
+     * The language answers come back in, as a BCP-47 tag.
+     * @param {typeof DEFAULTS} settings
+     */
+    function language(settings) {
+        return settings.language || 'en';
+    }
+
+    /**
+     * English name of a language tag, e.g. "German" for "de".
+     * @param {string} tag
+     */
+    function languageName(tag) {
+        try {
+            return new Intl.DisplayNames(['en'], { type: 'language' }).of(tag) || tag;
+        } catch (e) {
+            return tag;
+        }
+    }
+
+    /**
+     * Absolute URL of a backend endpoint.
+     * @param {typeof DEFAULTS} settings
+     * @param {string} path - e.g. '/api/gemini'
+     */
+    function backendUrl(settings, path) {
+        return `${(settings.backendUrl || DEFAULTS.backendUrl).replace(/\/+$/, '')}${path}`;
+    }
+
+    return { DEFAULTS, load, save, reset, forRequest, language, languageName, backendUrl };
+})();
@@ -0,0 +1,35 @@
+/**
+ * Read an NDJSON event stream from the backend and hand each parsed event
+ * to `onEvent`. Events look like {type: 'delta'|'usage'|'finish_reason'|'error'|'done', ...}.
+ * Lines are only parsed once complete, so events are never split across
+ * network chunk boundaries.
+ * @param {Response} resp - fetch response whose body is the event stream
+ * @param {(event: object) => void} onEvent
+ */
+async function readEventStream(resp, onEvent) {
+    const reader = resp.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    const emitLine = (line) => {
+        if (!line.trim()) return;
+        try {
+            onEvent(JSON.parse(line));
+        } catch (e) {
+            console.warn('Skipping malformed stream event:', line, e);
+        }
+    };
+
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(emitLine);
+    }
+
+    buffer += decoder.decode();
+    emitLine(buffer);
+}
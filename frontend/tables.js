@@ -0,0 +1,281 @@
+/**
+ * Structured data on a page: HTML tables, definition lists and repeated
+ * card-like elements (product grids, search results, listings).
+ *
+ * The main-content extractor keeps tables inside the article, but cards and
+ * tables outside it are read as loose text if at all. Here each one comes
+ * back on its own as headers plus rows of plain cell text, with a
+ * serialization for the model: a markdown table for tables and definition
+ * lists, a JSON array of records for cards. Helpers come from extractor.js;
+ * like it, only standard DOM APIs are used.
+ */
+const PageTables = (() => {
+    const MAX_ITEMS = 30;
+    const MAX_ROWS = 2000;
+    // Repeated siblings needed before a group counts as cards
+    const MIN_CARDS = 3;
+    // Fields a card group needs in common; one field is just a list
+    const MIN_CARD_FIELDS = 2;
+    const MAX_CARD_TEXT = 1500;
+    const MAX_CELL_CHARS = 500;
+
+    // Cards inside page chrome are menus and footers, not data
+    const CHROME_SELECTOR = 'nav, footer, aside, form, menu, [role="navigation"], [role="menu"], [role="menubar"], [role="contentinfo"]';
+    const HEADING_SELECTOR = 'h1, h2, h3, h4, h5, h6';
+
+    const { textOf, isHidden } = PageExtractor;
+
+    function cellText(node) {
+        const text = textOf(node);
+        return text.length > MAX_CELL_CHARS ? `${text.slice(0, MAX_CELL_CHARS)}…` : text;
+    }
+
+    function isVisible(el) {
+        for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+            if (isHidden(node)) return false;
+        }
+        return true;
+    }
+
+    // --- Captions --------------------------------------------------------------
+
+    // The nearest heading before `el`, looking back a few siblings per level
+    function precedingHeading(el) {
+        for (let node = el, depth = 0; node && node.tagName !== 'BODY' && depth < 4; node = node.parentElement, depth++) {
+            let sibling = node.previousElementSibling;
+            for (let steps = 0; sibling && steps < 3; sibling = sibling.previousElementSibling, steps++) {
+                const heading = sibling.matches(HEADING_SELECTOR) ? sibling : [...sibling.querySelectorAll(HEADING_SELECTOR)].pop();
+                if (heading && textOf(heading)) return textOf(heading);
+            }
+        }
+        return '';
+    }
+
+    function captionFor(el, fallback) {
+        const labelledBy = el.getAttribute('aria-labelledby');
+        const label = labelledBy && el.ownerDocument.getElementById(labelledBy.split(/\s+/)[0]);
+        const caption = (el.tagName === 'TABLE' && el.caption && textOf(el.caption)) ||
+            (label && textOf(label)) ||
+            el.getAttribute('aria-label') ||
+            el.getAttribute('summary') ||
+            precedingHeading(el);
+        return (caption || fallback).trim().slice(0, 120);
+    }
+
+    // --- Tables and definition lists ---------------------------------------------
+
+    function fromTable(table) {
+        const rows = [...table.rows]
+            .filter(row => row.closest('table') === table)
+            .map(row => [...row.cells].flatMap(cell => {
+                const span = Math.max(1, Math.min(cell.colSpan || 1, 20));
+                return Array(span).fill(cellText(cell));
+            }))
+            .filter(row => row.some(Boolean));
+
+        let headers = [];
+        const firstRow = table.rows[0];
+        if ((table.tHead || (firstRow && [...firstRow.cells].every(cell => cell.tagName === 'TH'))) && rows.length) {
+            headers = rows.shift();
+        }
+        return { kind: 'table', headers, rows };
+    }
+
+    function fromDefinitionList(dl) {
+        const rows = [];
+        for (const child of dl.querySelectorAll(':scope > dt, :scope > dd, :scope > div > dt, :scope > div > dd')) {
+            const text = cellText(child);
+            if (!text) continue;
+            if (child.tagName === 'DT') {
+                rows.push([text, '']);
+            } else if (rows.length) {
+                const row = rows[rows.length - 1];
+                row[1] = row[1] ? `${row[1]}; ${text}` : text;
+            }
+        }
+        return { kind: 'definitions', headers: ['Term', 'Definition'], rows };
+    }
+
+    // --- Cards ---------------------------------------------------------------
+
+    function signature(el) {
+        const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean).sort() : [];
+        return [el.tagName.toLowerCase(), ...classes].join('.');
+    }
+
+    // A readable column name for a card field: itemprop, a meaningful class
+    // (the last word of "product-card__price"), else the tag
+    function fieldLabel(el) {
+        const itemprop = el.getAttribute('itemprop');
+        if (itemprop) return itemprop;
+        const classes = typeof el.className === 'string' ? el.className.trim().split(/\s+/).filter(Boolean) : [];
+        for (const name of classes) {
+            const word = name.split(/__|--|[-_]/).filter(Boolean).pop();
+            if (word && /^[a-z]{3,}$/i.test(word)) return word.toLowerCase();
+        }
+        if (/^H[1-6]$/.test(el.tagName)) return 'heading';
+        return { A: 'link text', TIME: 'date', STRONG: 'bold', B: 'bold', EM: 'emphasis' }[el.tagName] || 'text';
+    }
+
+    function ownText(el) {
+        let text = '';
+        el.childNodes.forEach(child => {
+            if (child.nodeType === 3) text += child.nodeValue;
+        });
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * The text fields of one card, keyed by their element path inside it so
+     * the same field lines up across cards.
+     * @returns {Map<string, {label: string, value: string}>}
+     */
+    function cardFields(card) {
+        const fields = new Map();
+        const walk = (el, path) => {
+            for (const child of el.children) {
+                if (isHidden(child) || /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|SVG|BUTTON)$/.test(child.tagName)) continue;
+                const key = `${path}>${signature(child)}`;
+                // An element with text of its own is one field, inline markup and all
+                if (ownText(child)) {
+                    if (!fields.has(key)) fields.set(key, { label: fieldLabel(child), value: cellText(child) });
+                } else {
+                    walk(child, key);
+                }
+            }
+        };
+        walk(card, '');
+
+        const link = card.tagName === 'A' ? card : card.querySelector('a[href]');
+        const href = link && link.getAttribute('href');
+        if (href && !/^(javascript:|#)/i.test(href)) {
+            try {
+                fields.set('@link', { label: 'link', value: new URL(href, link.baseURI).href });
+            } catch (e) {
+                // Ignore malformed links
+            }
+        }
+        return fields;
+    }
+
+    function fromCards(cards) {
+        const perCard = cards.map(cardFields);
+        const counts = new Map();
+        for (const fields of perCard) {
+            for (const key of fields.keys()) counts.set(key, (counts.get(key) || 0) + 1);
+        }
+        // Columns: fields at least half the cards have, in first-seen order
+        const keys = [...counts.keys()].filter(key => counts.get(key) * 2 >= cards.length);
+        if (keys.length < MIN_CARD_FIELDS) return null;
+
+        const labels = [];
+        for (const key of keys) {
+            const field = perCard.find(fields => fields.has(key)).get(key);
+            let label = field.label;
+            for (let n = 2; labels.includes(label); n++) label = `${field.label} ${n}`;
+            labels.push(label);
+        }
+        const rows = perCard.map(fields => keys.map(key => fields.get(key)?.value || ''));
+        return { kind: 'cards', headers: labels, rows };
+    }
+
+    function insideAny(el, cards) {
+        for (let node = el; node; node = node.parentElement) {
+            if (cards.has(node)) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Groups of repeated sibling elements that look like cards: the same tag
+     * and classes, each with a modest amount of text and enough fields in
+     * common to make columns.
+     * @returns {{el: Element, data: {kind: 'cards', headers: string[], rows: string[][]}}[]}
+     */
+    function findCardGroups(doc) {
+        const groups = [];
+        const taken = new Set();
+        for (const parent of (doc.body || doc.documentElement).querySelectorAll('*')) {
+            if (parent.children.length < MIN_CARDS || parent.closest('table, dl') || parent.closest(CHROME_SELECTOR)) continue;
+            // Groups nested inside cards already found are part of them
+            if (insideAny(parent, taken)) continue;
+
+            const bySignature = new Map();
+            for (const child of parent.children) {
+                if (/^(SCRIPT|STYLE|TEMPLATE|BR|HR)$/.test(child.tagName) || isHidden(child)) continue;
+                const length = textOf(child).length;
+                if (!length || length > MAX_CARD_TEXT) continue;
+                const key = signature(child);
+                if (!bySignature.has(key)) bySignature.set(key, []);
+                bySignature.get(key).push(child);
+            }
+            for (const cards of bySignature.values()) {
+                // Cards are containers; siblings with text of their own are prose
+                if (cards.length < MIN_CARDS || !cards.every(card => card.children.length && !ownText(card))) continue;
+                const data = fromCards(cards);
+                if (!data) continue;
+                groups.push({ el: parent, data });
+                cards.forEach(card => taken.add(card));
+            }
+        }
+        return groups;
+    }
+
+    // --- Public API ------------------------------------------------------------
+
+    function escapeCell(text) {
+        return text.replace(/\|/g, '\\|');
+    }
+
+    function serialize({ kind, headers, rows }) {
+        if (kind === 'cards') {
+            const records = rows.map(row => Object.fromEntries(headers.map((header, i) => [header, row[i]]).filter(([, value]) => value)));
+            return { format: 'json', text: JSON.stringify(records, null, 2) };
+        }
+        return {
+            format: 'markdown',
+            text: PageExtractor.tableToMarkdown({ headers: headers.map(escapeCell), rows: rows.map(row => row.map(escapeCell)) }),
+        };
+    }
+
+    /**
+     * Find the tables, definition lists and card groups on a page, in
+     * document order.
+     * @param {Document} [doc]
+     * @returns {{id: string, kind: 'table'|'definitions'|'cards', caption: string, headers: string[],
+     *   rows: string[][], rowCount: number, format: 'markdown'|'json', text: string}[]}
+     *   `rows` holds at most MAX_ROWS rows; `rowCount` is how many the page has
+     */
+    function extract(doc = document) {
+        const found = [];
+        for (const table of doc.querySelectorAll('table')) {
+            if (!PageExtractor.isDataTable(table) || !isVisible(table)) continue;
+            const data = fromTable(table);
+            if (data.rows.length) found.push({ el: table, data });
+        }
+        for (const dl of doc.querySelectorAll('dl')) {
+            if (!isVisible(dl)) continue;
+            const data = fromDefinitionList(dl);
+            if (data.rows.length >= 2) found.push({ el: dl, data });
+        }
+        found.push(...findCardGroups(doc));
+
+        found.sort((a, b) => (a.el.compareDocumentPosition(b.el) & a.el.DOCUMENT_POSITION_FOLLOWING ? -1 : 1));
+
+        const fallbacks = { table: 'Table', definitions: 'Definition list', cards: 'Repeated items' };
+        return found.slice(0, MAX_ITEMS).map(({ el, data }, index) => {
+            const rows = data.rows.slice(0, MAX_ROWS);
+            return {
+                id: `t${index + 1}`,
+                kind: data.kind,
+                caption: captionFor(el, `${fallbacks[data.kind]} ${index + 1}`),
+                headers: data.headers,
+                rows,
+                rowCount: data.rows.length,
+                ...serialize({ ...data, rows }),
+            };
+        });
+    }
+
+    return { extract };
+})();
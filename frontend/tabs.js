@@ -0,0 +1,33 @@
+/**
+ * Messages to a tab's content script. The popup and the service worker both
+ * send them here, so a tab opened before the extension was installed (or
+ * updated) gets the whole content script list from manifest.json injected
+ * in the same way.
+ */
+const TabMessages = (() => {
+    // Gives freshly injected scripts time to register their listener
+    const INJECT_DELAY_MS = 150;
+
+    /**
+     * Send a message to a tab's content script. Tries a direct message
+     * first; if nothing answers it injects the content scripts and retries.
+     * @param {number} tabId
+     * @param {{action: string}} message - see content.js
+     * @returns {Promise<object>} the content script's response; rejects when the page can't be reached
+     */
+    async function send(tabId, message) {
+        let response = null;
+        try {
+            response = await chrome.tabs.sendMessage(tabId, message);
+        } catch (err) {
+            // No listener yet: inject below
+        }
+        if (response) return response;
+
+        await chrome.scripting.executeScript({ target: { tabId }, files: chrome.runtime.getManifest().content_scripts[0].js });
+        await new Promise(resolve => setTimeout(resolve, INJECT_DELAY_MS));
+        return chrome.tabs.sendMessage(tabId, message);
+    }
+
+    return { send };
+})();
@@ -0,0 +1,89 @@
+/**
+ * Summary templates for the Summary button's picker. The built-in ones ship
+ * with the extension; custom ones are created on the options page and kept
+ * in chrome.storage.sync, one item per template to stay under the per-item
+ * quota. A prompt may use {title}, {url} and {content}; without {content}
+ * the backend appends the page after it (see backend/summarize.js).
+ */
+const SummaryTemplates = (() => {
+    const CUSTOM_PREFIX = 'summaryTemplate_';
+    const SELECTED_KEY = 'summaryTemplateSelected';
+    // Matches SUMMARY_TEMPLATE_MAX_CHARS on the backend
+    const MAX_PROMPT_CHARS = 4000;
+
+    // 'standard' has no prompt: it uses the length and style from the options page
+    const BUILT_IN = [
+        { id: 'standard', name: 'Summary', prompt: '' },
+        { id: 'bullets', name: 'Bullet points', prompt: 'Summarize this page as 5-7 concise bullet points covering the main ideas' },
+        { id: 'tldr', name: 'TL;DR', prompt: 'Write a one-line TL;DR of this page: a single sentence of at most 25 words' },
+        { id: 'quotes', name: 'Key quotes', prompt: 'List the 3-5 most important quotes from this page, verbatim, each as a blockquote followed by one line on why it matters' },
+        { id: 'actions', name: 'Action items', prompt: 'List the concrete action items, recommendations and next steps from this page as a checklist. If there are none, say so' },
+        { id: 'proscons', name: 'Pros and cons', prompt: 'List the pros and cons (or the arguments for and against) presented on this page as two bullet lists' },
+        { id: 'eli5', name: 'ELI5', prompt: 'Explain what this page says as if to a five-year-old, in one short paragraph of simple words' },
+        { id: 'brief', name: 'Executive brief', prompt: 'Write an executive brief of this page: a one-sentence bottom line, then "Key points" (3-5 bullets), then "Implications" (1-3 bullets)' },
+    ];
+
+    /**
+     * Built-in templates followed by the user's, oldest first.
+     * @returns {Promise<{id: string, name: string, prompt: string, custom?: boolean}[]>}
+     */
+    async function list() {
+        const stored = await chrome.storage.sync.get(null);
+        const custom = Object.entries(stored)
+            .filter(([key]) => key.startsWith(CUSTOM_PREFIX))
+            .map(([, template]) => ({ ...template, custom: true }))
+            .sort((a, b) => a.createdAt - b.createdAt);
+        return [...BUILT_IN, ...custom];
+    }
+
+    /**
+     * @param {string} id
+     */
+    async function find(id) {
+        return (await list()).find(template => template.id === id) || null;
+    }
+
+    /**
+     * Create or update a custom template.
+     * @param {{id?: string, name: string, prompt: string}} template
+     * @returns {Promise<string>} the template's id
+     */
+    async function saveCustom({ id, name, prompt }) {
+        const existing = id ? await find(id) : null;
+        const template = {
+            id: existing?.custom ? id : `custom-${Date.now().toString(36)}`,
+            name: name.trim(),
+            prompt: prompt.trim(),
+            createdAt: existing?.createdAt || Date.now(),
+        };
+        await chrome.storage.sync.set({ [CUSTOM_PREFIX + template.id]: template });
+        return template.id;
+    }
+
+    function removeCustom(id) {
+        return chrome.storage.sync.remove(CUSTOM_PREFIX + id);
+    }
+
+    // The template the picker shows, remembered across popups
+    async function getSelected() {
+        const { [SELECTED_KEY]: id } = await chrome.storage.sync.get([SELECTED_KEY]);
+        return id || 'standard';
+    }
+
+    function setSelected(id) {
+        return chrome.storage.sync.set({ [SELECTED_KEY]: id });
+    }
+
+    /**
+     * What to send to /api/summarize; null for the standard summary.
+     * @param {{name: string, prompt: string}|null} template
+     */
+    function forRequest(template) {
+        return template?.prompt ? { name: template.name, prompt: template.prompt } : null;
+    }
+
+    return { BUILT_IN, MAX_PROMPT_CHARS, list, find, saveCustom, removeCustom, getSelected, setSelected, forRequest };
+})();
+
+// Allow Node (the backend's scrape-summarize CLI) to require this file
+if (typeof module !== 'undefined' && module.exports) module.exports = SummaryTemplates;